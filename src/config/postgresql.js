@@ -237,6 +237,103 @@ const AuditLog = sequelize.define('AuditLog', {
   ]
 });
 
+// Permisos que un usuario puede conceder a sus contactos de confianza
+const CONTACT_PERMISSIONS = ['view_location', 'receive_sos', 'manage_routes'];
+
+const TrustedContact = sequelize.define('TrustedContact', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  // Cuenta del contacto, se vincula al aceptar la invitación
+  contactUserId: {
+    type: DataTypes.UUID,
+    field: 'contact_user_id'
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  telefono: {
+    type: DataTypes.STRING(20)
+  },
+  relationship: {
+    type: DataTypes.STRING(50) // familiar, cuidador, amigo...
+  },
+  permissions: {
+    type: DataTypes.ARRAY(DataTypes.STRING(50)),
+    allowNull: false,
+    defaultValue: ['receive_sos'],
+    validate: {
+      isValidPermissions(value) {
+        if (!Array.isArray(value) || value.some(permission => !CONTACT_PERMISSIONS.includes(permission))) {
+          throw new Error(`Permissions must be any of: ${CONTACT_PERMISSIONS.join(', ')}`);
+        }
+      }
+    }
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [['pending', 'accepted', 'declined', 'revoked']]
+    }
+  },
+  // Marcas de tiempo del consentimiento
+  invitedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'invited_at'
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    field: 'accepted_at'
+  },
+  declinedAt: {
+    type: DataTypes.DATE,
+    field: 'declined_at'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    field: 'revoked_at'
+  },
+  revokedBy: {
+    type: DataTypes.UUID,
+    field: 'revoked_by'
+  },
+  // Hash SHA-256 del token de un solo uso enviado en el correo de invitación
+  inviteTokenHash: {
+    type: DataTypes.STRING(64),
+    field: 'invite_token_hash'
+  }
+}, {
+  tableName: 'trusted_contacts',
+  // El hash del token nunca se devuelve en las consultas
+  defaultScope: {
+    attributes: { exclude: ['inviteTokenHash'] }
+  },
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['contact_user_id'] },
+    { fields: ['email'] }
+  ]
+});
+
 // Definir asociaciones
 User.hasMany(UserSession, { foreignKey: 'userId', as: 'sessions' });
 UserSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -244,6 +341,11 @@ UserSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(AuditLog, { foreignKey: 'userId', as: 'auditLogs' });
 AuditLog.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+User.hasMany(TrustedContact, { foreignKey: 'userId', as: 'trustedContacts' });
+TrustedContact.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(TrustedContact, { foreignKey: 'contactUserId', as: 'caregiverLinks' });
+TrustedContact.belongsTo(User, { foreignKey: 'contactUserId', as: 'contactUser' });
+
 // Asociaciones many-to-many
 User.belongsToMany(Role, { 
   through: UserRole, 
@@ -299,5 +401,7 @@ module.exports = {
   Permission,
   RolePermission,
   UserRole,
-  AuditLog
+  AuditLog,
+  TrustedContact,
+  CONTACT_PERMISSIONS
 };
\ No newline at end of file
@@ -0,0 +1,506 @@
+const mongoose = require('mongoose');
+const { Beacon, BeaconSighting, PersonalizedMessage, Route } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { normalizeUuid, normalizeHex, parseRssi, buildAdvertisementQuery } = require('../utils/beacons');
+
+const MAX_SIGHTINGS_PER_BATCH = 500;
+const DEFAULT_STALE_DAYS = 7;
+const DEFAULT_LOW_BATTERY = 20; // porcentaje
+
+// Normalizar los identificadores del anuncio antes de guardar
+const normalizeIdentifiers = (beacon) => {
+  if (beacon.protocol === 'ibeacon' && beacon.ibeacon && beacon.ibeacon.uuid) {
+    beacon.ibeacon.uuid = normalizeUuid(beacon.ibeacon.uuid) || beacon.ibeacon.uuid;
+  }
+
+  if (beacon.protocol === 'eddystone' && beacon.eddystone) {
+    if (beacon.eddystone.namespace) {
+      beacon.eddystone.namespace = normalizeHex(beacon.eddystone.namespace, 10) || beacon.eddystone.namespace;
+    }
+    if (beacon.eddystone.instance) {
+      beacon.eddystone.instance = normalizeHex(beacon.eddystone.instance, 6) || beacon.eddystone.instance;
+    }
+  }
+};
+
+// Obtener todos los beacons
+const getAllBeacons = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    search,
+    protocol,
+    routeId,
+    touristSpotId,
+    floor,
+    isActive,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const query = {};
+
+  // Filtros
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { legacyId: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (protocol) {
+    query.protocol = protocol;
+  }
+
+  if (routeId) {
+    query.routes = routeId;
+  }
+
+  if (touristSpotId) {
+    query.touristSpots = touristSpotId;
+  }
+
+  if (floor !== undefined) {
+    query.floor = parseInt(floor);
+  }
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === 'true';
+  }
+
+  // Ordenamiento
+  const sort = {};
+  sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+  const beacons = await Beacon.find(query)
+    .sort(sort)
+    .skip(offset)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await Beacon.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      beacons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Obtener beacon por ID
+const getBeaconById = asyncHandler(async (req, res) => {
+  const beacon = await Beacon.findById(req.params.id)
+    .populate('routes', 'name location transportName')
+    .populate('touristSpots', 'nombre lugarDestino')
+    .populate('messages', 'message estado language priority');
+
+  if (!beacon) {
+    throw createError('Beacon not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { beacon }
+  });
+});
+
+// Resolver los identificadores de un anuncio BLE al contenido a anunciar
+const resolveBeacon = asyncHandler(async (req, res) => {
+  const { language } = req.query;
+  const query = buildAdvertisementQuery(req.query);
+
+  if (!query) {
+    throw createError('Provide uuid, major and minor (iBeacon) or namespace and instance (Eddystone)', 400);
+  }
+
+  const beacon = await Beacon.findOne({ ...query, isActive: true })
+    .populate('routes', 'name location transportName')
+    .populate('touristSpots', 'nombre lugarDestino descripcion category accessibility')
+    .lean();
+
+  if (!beacon) {
+    throw createError('Beacon not found', 404);
+  }
+
+  // Mensajes vinculados directamente o a través de sus rutas y puntos turísticos
+  const messageQuery = {
+    estado: 'active',
+    $or: [
+      { _id: { $in: beacon.messages } },
+      { routeId: { $in: beacon.routes.map(route => route._id) } },
+      { touristSpotId: { $in: beacon.touristSpots.map(spot => spot._id) } }
+    ]
+  };
+
+  if (language) {
+    messageQuery.language = language;
+  }
+
+  const messages = await PersonalizedMessage.find(messageQuery)
+    .select('message language audioUrl priority routeId touristSpotId')
+    .sort({ priority: -1 })
+    .lean();
+
+  // Los mensajes vinculados al beacon van primero
+  const linkedIds = new Set(beacon.messages.map(id => id.toString()));
+  messages.sort((a, b) => linkedIds.has(b._id.toString()) - linkedIds.has(a._id.toString()));
+
+  const [firstSpot] = beacon.touristSpots;
+  const announcement = messages.length > 0
+    ? messages[0].message
+    : firstSpot ? firstSpot.nombre : beacon.name;
+
+  res.json({
+    success: true,
+    data: {
+      beacon: {
+        _id: beacon._id,
+        name: beacon.name,
+        protocol: beacon.protocol,
+        position: beacon.position,
+        floor: beacon.floor,
+        category: beacon.category
+      },
+      announcement,
+      messages,
+      routes: beacon.routes,
+      touristSpots: beacon.touristSpots
+    }
+  });
+});
+
+// Buscar el _id de un beacon a partir de su id o de los identificadores del anuncio
+const resolveSightingBeacon = async (sighting, cache) => {
+  let query;
+  if (sighting.beaconId !== undefined) {
+    query = mongoose.isValidObjectId(sighting.beaconId) ? { _id: sighting.beaconId.toString() } : null;
+  } else {
+    query = buildAdvertisementQuery(sighting);
+  }
+
+  if (!query) {
+    return null;
+  }
+
+  const key = JSON.stringify(query);
+  if (!cache.has(key)) {
+    const beacon = await Beacon.findOne(query).select('_id').lean();
+    cache.set(key, beacon ? beacon._id.toString() : null);
+  }
+  return cache.get(key);
+};
+
+// Registrar un lote de avistamientos reportados por la app móvil
+const reportSightings = asyncHandler(async (req, res) => {
+  const { sightings } = req.body;
+
+  if (!Array.isArray(sightings) || sightings.length === 0) {
+    throw createError('A non-empty sightings array is required', 400);
+  }
+
+  if (sightings.length > MAX_SIGHTINGS_PER_BATCH) {
+    throw createError(`A batch can contain at most ${MAX_SIGHTINGS_PER_BATCH} sightings`, 413);
+  }
+
+  const cache = new Map();
+  const accepted = [];
+  const errors = [];
+  const now = Date.now();
+
+  for (const [index, sighting] of sightings.entries()) {
+    const beaconId = await resolveSightingBeacon(sighting || {}, cache);
+    const seenAt = sighting && sighting.timestamp ? new Date(sighting.timestamp) : new Date(now);
+    const rssi = parseRssi(sighting && sighting.rssi);
+    const batteryLevel = sighting && sighting.batteryLevel !== undefined ? Number(sighting.batteryLevel) : undefined;
+
+    if (!beaconId) {
+      errors.push({ index, message: 'Unknown beacon' });
+    } else if (rssi === null) {
+      errors.push({ index, message: 'RSSI must be a negative number between -127 and 0' });
+    } else if (isNaN(seenAt.getTime()) || seenAt.getTime() > now + 5 * 60 * 1000) {
+      errors.push({ index, message: 'Invalid timestamp' });
+    } else if (batteryLevel !== undefined && !(batteryLevel >= 0 && batteryLevel <= 100)) {
+      errors.push({ index, message: 'Battery level must be between 0 and 100' });
+    } else {
+      accepted.push({ beacon: beaconId, seenAt, rssi, batteryLevel, reportedBy: req.user.id });
+    }
+  }
+
+  if (accepted.length > 0) {
+    await BeaconSighting.insertMany(accepted);
+
+    // Actualizar el último estado conocido de cada beacon
+    const latestByBeacon = new Map();
+    accepted.forEach(sighting => {
+      const latest = latestByBeacon.get(sighting.beacon) || {};
+      if (!latest.seen || sighting.seenAt > latest.seen.seenAt) latest.seen = sighting;
+      if (sighting.batteryLevel !== undefined &&
+          (!latest.battery || sighting.seenAt > latest.battery.seenAt)) {
+        latest.battery = sighting;
+      }
+      latestByBeacon.set(sighting.beacon, latest);
+    });
+
+    await Promise.all([...latestByBeacon.entries()].map(async ([beaconId, latest]) => {
+      await Beacon.updateOne(
+        { _id: beaconId, $or: [{ lastSeenAt: null }, { lastSeenAt: { $lt: latest.seen.seenAt } }] },
+        { $set: { lastSeenAt: latest.seen.seenAt, lastRssi: latest.seen.rssi } }
+      );
+
+      if (latest.battery) {
+        await Beacon.updateOne(
+          { _id: beaconId, $or: [{ lastBatteryAt: null }, { lastBatteryAt: { $lt: latest.battery.seenAt } }] },
+          { $set: { lastBatteryAt: latest.battery.seenAt, lastBatteryLevel: latest.battery.batteryLevel } }
+        );
+      }
+    }));
+  }
+
+  res.status(accepted.length > 0 ? 201 : 200).json({
+    success: true,
+    message: 'Sightings processed',
+    data: {
+      accepted: accepted.length,
+      rejected: errors.length,
+      errors
+    }
+  });
+});
+
+// Reporte de beacons sin avistamientos recientes o con batería baja (solo admin)
+const getBeaconHealth = asyncHandler(async (req, res) => {
+  const staleDays = parseInt(req.query.staleDays) || DEFAULT_STALE_DAYS;
+  const lowBattery = req.query.lowBattery !== undefined
+    ? parseFloat(req.query.lowBattery)
+    : DEFAULT_LOW_BATTERY;
+
+  const staleSince = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+
+  const beacons = await Beacon.find({
+    isActive: true,
+    $or: [
+      { lastSeenAt: null },
+      { lastSeenAt: { $lt: staleSince } },
+      { lastBatteryLevel: { $lte: lowBattery } }
+    ]
+  })
+    .select('name legacyId protocol ibeacon eddystone position floor routes lastSeenAt lastRssi lastBatteryLevel lastBatteryAt')
+    .sort({ lastSeenAt: 1 })
+    .lean();
+
+  // Rutas afectadas: vinculadas en el beacon o referenciadas desde Route.beacons
+  const beaconIds = beacons.map(beacon => beacon._id);
+  const legacyIds = beacons.map(beacon => beacon.legacyId).filter(Boolean);
+  const routes = await Route.find({
+    $or: [
+      { _id: { $in: beacons.flatMap(beacon => beacon.routes) } },
+      { 'beacons.beacon': { $in: beaconIds } },
+      { 'beacons.id': { $in: legacyIds } }
+    ]
+  })
+    .select('name location transportName beacons isActive')
+    .lean();
+
+  const report = beacons.map(beacon => {
+    const id = beacon._id.toString();
+    const affectedRoutes = routes
+      .filter(route =>
+        beacon.routes.some(routeId => routeId.toString() === route._id.toString()) ||
+        route.beacons.some(entry =>
+          (entry.beacon && entry.beacon.toString() === id) ||
+          (beacon.legacyId && entry.id === beacon.legacyId)))
+      .map(({ _id, name, location, transportName, isActive }) => ({ _id, name, location, transportName, isActive }));
+
+    const issues = [];
+    if (!beacon.lastSeenAt) issues.push('never_seen');
+    else if (beacon.lastSeenAt < staleSince) issues.push('stale');
+    if (beacon.lastBatteryLevel != null && beacon.lastBatteryLevel <= lowBattery) issues.push('low_battery');
+
+    const { routes: _routes, ...details } = beacon;
+    return { ...details, issues, affectedRoutes };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      staleDays,
+      lowBattery,
+      total: report.length,
+      beacons: report
+    }
+  });
+});
+
+// Crear nuevo beacon
+const createBeacon = asyncHandler(async (req, res) => {
+  const {
+    name,
+    legacyId,
+    protocol,
+    ibeacon,
+    eddystone,
+    position,
+    floor,
+    txPower,
+    installNotes,
+    category,
+    routes,
+    touristSpots,
+    messages
+  } = req.body;
+
+  // Validaciones básicas
+  if (!name || !protocol || !position) {
+    throw createError('Name, protocol and position are required', 400);
+  }
+
+  const beacon = new Beacon({
+    name,
+    legacyId,
+    protocol,
+    ibeacon,
+    eddystone,
+    position,
+    floor,
+    txPower,
+    installNotes,
+    category,
+    routes,
+    touristSpots,
+    messages,
+    createdBy: req.user.id
+  });
+
+  normalizeIdentifiers(beacon);
+  await beacon.save();
+
+  // Log de auditoría
+  logAudit('beacon_create', 'beacons', beacon._id, req.user.id, {
+    name: beacon.name,
+    protocol: beacon.protocol
+  });
+
+  logger.info(`Beacon created: ${beacon.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Beacon created successfully',
+    data: { beacon }
+  });
+});
+
+// Actualizar beacon
+const updateBeacon = asyncHandler(async (req, res) => {
+  const beacon = await Beacon.findById(req.params.id);
+
+  if (!beacon) {
+    throw createError('Beacon not found', 404);
+  }
+
+  // Verificar ownership (solo el creador o admin puede modificar)
+  if (beacon.createdBy !== req.user.id && req.user.role !== 'admin') {
+    throw createError('You can only update your own beacons', 403);
+  }
+
+  const {
+    name,
+    legacyId,
+    protocol,
+    ibeacon,
+    eddystone,
+    position,
+    floor,
+    txPower,
+    installNotes,
+    category,
+    routes,
+    touristSpots,
+    messages,
+    isActive
+  } = req.body;
+
+  const oldData = beacon.toObject();
+
+  // Actualizar campos
+  if (name !== undefined) beacon.name = name;
+  if (legacyId !== undefined) beacon.legacyId = legacyId;
+  if (protocol !== undefined) beacon.protocol = protocol;
+  if (ibeacon !== undefined) beacon.ibeacon = ibeacon;
+  if (eddystone !== undefined) beacon.eddystone = eddystone;
+  if (position !== undefined) beacon.position = position;
+  if (floor !== undefined) beacon.floor = floor;
+  if (txPower !== undefined) beacon.txPower = txPower;
+  if (installNotes !== undefined) beacon.installNotes = installNotes;
+  if (category !== undefined) beacon.category = category;
+  if (routes !== undefined) beacon.routes = routes;
+  if (touristSpots !== undefined) beacon.touristSpots = touristSpots;
+  if (messages !== undefined) beacon.messages = messages;
+  if (isActive !== undefined) beacon.isActive = isActive;
+
+  normalizeIdentifiers(beacon);
+  await beacon.save();
+
+  // Log de auditoría
+  logAudit('beacon_update', 'beacons', beacon._id, req.user.id, {
+    oldData,
+    newData: beacon.toObject()
+  });
+
+  logger.info(`Beacon updated: ${beacon.name} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Beacon updated successfully',
+    data: { beacon }
+  });
+});
+
+// Eliminar beacon
+const deleteBeacon = asyncHandler(async (req, res) => {
+  const beacon = await Beacon.findById(req.params.id);
+
+  if (!beacon) {
+    throw createError('Beacon not found', 404);
+  }
+
+  // Verificar ownership (solo el creador o admin puede eliminar)
+  if (beacon.createdBy !== req.user.id && req.user.role !== 'admin') {
+    throw createError('You can only delete your own beacons', 403);
+  }
+
+  // El hook findOneAndDelete del modelo quita el beacon de Route.beacons
+  await Beacon.findByIdAndDelete(req.params.id);
+
+  // Log de auditoría
+  logAudit('beacon_delete', 'beacons', beacon._id, req.user.id, {
+    name: beacon.name,
+    protocol: beacon.protocol
+  });
+
+  logger.info(`Beacon deleted: ${beacon.name} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Beacon deleted successfully'
+  });
+});
+
+module.exports = {
+  getAllBeacons,
+  getBeaconById,
+  resolveBeacon,
+  reportSightings,
+  getBeaconHealth,
+  createBeacon,
+  updateBeacon,
+  deleteBeacon
+};
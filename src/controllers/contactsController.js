@@ -0,0 +1,300 @@
+const { Op } = require('sequelize');
+const { TrustedContact, User } = require('../config/postgresql');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { recordAuditLog } = require('../services/auditService');
+const {
+  hashInvitationToken,
+  createInvitationToken,
+  sendContactInvitation,
+  findLastKnownPosition
+} = require('../services/contactsService');
+const { validateContactInvite, validateContactUpdate } = require('../validators/contactValidator');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const USER_ATTRIBUTES = ['id', 'email', 'nombres', 'apellidos'];
+
+// Buscar un contacto por ID con una condición adicional; 404 si no existe o no corresponde
+const findContact = async (id, where) => {
+  const contact = UUID_PATTERN.test(id)
+    ? await TrustedContact.findOne({ where: { id, ...where } })
+    : null;
+
+  if (!contact) {
+    throw createError('Trusted contact not found', 404);
+  }
+
+  return contact;
+};
+
+// Invitaciones dirigidas al usuario actual (por correo o ya vinculadas a su cuenta)
+const addressedTo = (user) => ({
+  [Op.or]: [
+    { contactUserId: user.id },
+    { email: user.email.toLowerCase() }
+  ]
+});
+
+// Obtener los contactos de confianza del usuario actual
+const getMyContacts = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const where = { userId: req.user.id };
+
+  // Por defecto no se muestran las relaciones revocadas
+  where.status = status || { [Op.ne]: 'revoked' };
+
+  const contacts = await TrustedContact.findAll({
+    where,
+    include: [{ model: User, as: 'contactUser', attributes: USER_ATTRIBUTES }],
+    order: [['invitedAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: { contacts }
+  });
+});
+
+// Invitar a un contacto de confianza por correo
+const inviteContact = asyncHandler(async (req, res) => {
+  const { error, value } = validateContactInvite(req.body);
+  if (error) {
+    throw createError(error.details[0].message, 400);
+  }
+
+  const { email, name, telefono, relationship, permissions, language } = value;
+
+  if (email === req.user.email.toLowerCase()) {
+    throw createError('You cannot add yourself as a trusted contact', 400);
+  }
+
+  const existing = await TrustedContact.findOne({
+    where: { userId: req.user.id, email, status: { [Op.in]: ['pending', 'accepted'] } }
+  });
+  if (existing) {
+    throw createError('This contact has already been invited', 409);
+  }
+
+  const invitation = createInvitationToken();
+  const contact = await TrustedContact.create({
+    userId: req.user.id,
+    email,
+    name,
+    telefono,
+    relationship,
+    permissions,
+    inviteTokenHash: invitation.tokenHash
+  });
+  // El hash no forma parte de la respuesta
+  contact.setDataValue('inviteTokenHash', undefined);
+
+  // La invitación queda registrada aunque falle el envío del correo
+  let notified = true;
+  try {
+    await sendContactInvitation(contact, req.user, language, invitation.token);
+  } catch (notifyError) {
+    notified = false;
+    logger.error(`Contact invitation to ${email} could not be sent:`, notifyError);
+  }
+
+  await recordAuditLog(req, 'contact_invite', 'trusted_contacts', contact.id, { email, permissions });
+
+  // Log de auditoría
+  logAudit('contact_invite', 'trusted_contacts', contact.id, req.user.id, { email, permissions });
+
+  logger.info(`Trusted contact ${email} invited by user ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: notified ? 'Invitation sent successfully' : 'Invitation created but the email could not be sent',
+    data: { contact }
+  });
+});
+
+// Actualizar datos o permisos de un contacto
+const updateContact = asyncHandler(async (req, res) => {
+  const { error, value } = validateContactUpdate(req.body);
+  if (error) {
+    throw createError(error.details[0].message, 400);
+  }
+
+  const contact = await findContact(req.params.contactId, { userId: req.user.id });
+
+  if (contact.status === 'revoked' || contact.status === 'declined') {
+    throw createError(`Cannot update a ${contact.status} contact`, 409);
+  }
+
+  const previousPermissions = contact.permissions;
+  await contact.update(value);
+
+  await recordAuditLog(req, 'contact_update', 'trusted_contacts', contact.id, {
+    changes: value,
+    previousPermissions
+  });
+
+  logAudit('contact_update', 'trusted_contacts', contact.id, req.user.id, { changes: value });
+
+  res.json({
+    success: true,
+    message: 'Trusted contact updated successfully',
+    data: { contact }
+  });
+});
+
+// Revocar un contacto (o cancelar una invitación pendiente)
+const revokeContact = asyncHandler(async (req, res) => {
+  const contact = await findContact(req.params.contactId, { userId: req.user.id });
+
+  if (contact.status === 'revoked') {
+    throw createError('Trusted contact is already revoked', 409);
+  }
+
+  await contact.update({ status: 'revoked', revokedAt: new Date(), revokedBy: req.user.id });
+
+  await recordAuditLog(req, 'contact_revoke', 'trusted_contacts', contact.id, { email: contact.email });
+
+  logAudit('contact_revoke', 'trusted_contacts', contact.id, req.user.id, { email: contact.email });
+
+  logger.info(`Trusted contact ${contact.email} revoked by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Trusted contact revoked successfully'
+  });
+});
+
+// Invitaciones recibidas por el usuario actual
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const { status = 'pending' } = req.query;
+
+  const invitations = await TrustedContact.findAll({
+    where: { ...addressedTo(req.user), status },
+    attributes: { exclude: ['telefono'] },
+    include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+    order: [['invitedAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: { invitations }
+  });
+});
+
+// Aceptar o rechazar una invitación; la aceptación registra el consentimiento del contacto
+// Coincidir con el correo invitado no basta (el registro es abierto): la cuenta debe tener
+// el correo verificado o presentar el token de un solo uso enviado en la invitación
+const respondInvitation = (accept) => asyncHandler(async (req, res) => {
+  const contact = await findContact(req.params.contactId, addressedTo(req.user));
+
+  if (contact.status !== 'pending') {
+    throw createError('Invitation is no longer pending', 409);
+  }
+
+  const { token } = req.body || {};
+  const hasToken = typeof token === 'string' && token.length > 0;
+
+  if (!req.user.emailVerified && !hasToken) {
+    throw createError('The invitation code sent by email is required to respond', 403);
+  }
+
+  // Actualización condicionada: el token se consume una sola vez y dos respuestas simultáneas no se pisan
+  const where = { id: contact.id, status: 'pending' };
+  if (!req.user.emailVerified) {
+    where.inviteTokenHash = hashInvitationToken(token);
+  }
+
+  const now = new Date();
+  const [updated] = await TrustedContact.update(accept
+    ? { status: 'accepted', contactUserId: req.user.id, acceptedAt: now, inviteTokenHash: null }
+    : { status: 'declined', declinedAt: now, inviteTokenHash: null }, { where });
+
+  await contact.reload();
+
+  if (updated === 0) {
+    throw contact.status === 'pending'
+      ? createError('Invalid invitation code', 403)
+      : createError('Invitation is no longer pending', 409);
+  }
+
+  const action = accept ? 'contact_accept' : 'contact_decline';
+  await recordAuditLog(req, action, 'trusted_contacts', contact.id, {
+    userId: contact.userId,
+    permissions: contact.permissions
+  });
+
+  logAudit(action, 'trusted_contacts', contact.id, req.user.id, { userId: contact.userId });
+
+  logger.info(`Invitation ${contact.id} ${accept ? 'accepted' : 'declined'} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: accept ? 'Invitation accepted' : 'Invitation declined',
+    data: { contact }
+  });
+});
+
+// Usuarios que tienen al usuario actual como contacto de confianza
+const getLinkedUsers = asyncHandler(async (req, res) => {
+  const links = await TrustedContact.findAll({
+    where: { contactUserId: req.user.id, status: 'accepted' },
+    attributes: ['id', 'userId', 'relationship', 'permissions', 'acceptedAt'],
+    include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+    order: [['acceptedAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: { links }
+  });
+});
+
+// Dejar de ser contacto de confianza de un usuario (retirar el consentimiento)
+const leaveLinkedUser = asyncHandler(async (req, res) => {
+  const contact = await findContact(req.params.contactId, { contactUserId: req.user.id, status: 'accepted' });
+
+  await contact.update({ status: 'revoked', revokedAt: new Date(), revokedBy: req.user.id });
+
+  await recordAuditLog(req, 'contact_leave', 'trusted_contacts', contact.id, { userId: contact.userId });
+
+  logAudit('contact_leave', 'trusted_contacts', contact.id, req.user.id, { userId: contact.userId });
+
+  res.json({
+    success: true,
+    message: 'You are no longer a trusted contact for this user'
+  });
+});
+
+// Ubicación actual de un usuario vinculado (requiere el permiso view_location)
+const getLinkedUserLocation = asyncHandler(async (req, res) => {
+  const contact = await findContact(req.params.contactId, { contactUserId: req.user.id, status: 'accepted' });
+
+  if (!contact.permissions.includes('view_location')) {
+    throw createError('This user has not shared their location with you', 403);
+  }
+
+  const location = await findLastKnownPosition(contact.userId);
+
+  // Log de auditoría
+  logAudit('contact_view_location', 'trusted_contacts', contact.id, req.user.id, {
+    userId: contact.userId,
+    found: Boolean(location)
+  });
+
+  res.json({
+    success: true,
+    data: { userId: contact.userId, location }
+  });
+});
+
+module.exports = {
+  getMyContacts,
+  inviteContact,
+  updateContact,
+  revokeContact,
+  getMyInvitations,
+  acceptInvitation: respondInvitation(true),
+  declineInvitation: respondInvitation(false),
+  getLinkedUsers,
+  leaveLinkedUser,
+  getLinkedUserLocation
+};
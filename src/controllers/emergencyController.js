@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { EmergencyAlert, Trip, Route } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { resolveRequestPosition } = require('../services/positioningService');
+const { recordAuditLog } = require('../services/auditService');
+const {
+  hashShareToken,
+  createShareLink,
+  notifyTrustedContacts,
+  updateActiveAlertPosition
+} = require('../services/emergencyService');
+
+// Buscar una alerta del usuario actual (o cualquiera si es admin)
+const findOwnAlert = async (id, user) => {
+  const alert = await EmergencyAlert.findById(id);
+
+  if (!alert) {
+    throw createError('Emergency alert not found', 404);
+  }
+
+  if (alert.userId !== user.id && user.role !== 'admin') {
+    throw createError('You can only access your own emergency alerts', 403);
+  }
+
+  return alert;
+};
+
+// Alerta para la respuesta, sin el hash del token del enlace
+const toAlertResponse = (alert) => {
+  const data = alert.toObject ? alert.toObject() : { ...alert };
+  if (data.share) {
+    data.share = { expiresAt: data.share.expiresAt };
+  }
+  return data;
+};
+
+// Una segunda pulsación actualiza la alerta en curso sin volver a notificar
+const repeatActiveAlert = async (req, res, alert, location, now) => {
+  alert.lastPosition = { position: location.position, accuracy: location.accuracy, source: location.source, at: now };
+  await alert.save();
+
+  await recordAuditLog(req, 'emergency_sos_repeat', 'emergency_alerts', alert._id, { position: location.position });
+
+  res.json({
+    success: true,
+    message: 'Emergency alert already active',
+    data: { alert: toAlertResponse(alert) }
+  });
+};
+
+// Lanzar una alerta SOS con la posición actual y avisar a los contactos de confianza
+const triggerSos = asyncHandler(async (req, res) => {
+  const { note, language } = req.body;
+  const location = await resolveRequestPosition(req.body);
+  const now = new Date();
+
+  const existing = await EmergencyAlert.findOne({ userId: req.user.id, status: 'active' });
+  if (existing) {
+    return repeatActiveAlert(req, res, existing, location, now);
+  }
+
+  // Ruta del viaje activo, o la indicada por el cliente
+  const trip = await Trip.findOne({ userId: req.user.id, status: 'active' }).select('routeId').lean();
+  // Un routeId opcional no válido se ignora: la alerta no debe fallar por un dato accesorio
+  const routeId = trip ? trip.routeId : req.body.routeId;
+  const route = routeId && mongoose.isValidObjectId(routeId)
+    ? await Route.findById(routeId).select('name').lean()
+    : null;
+
+  const share = createShareLink(now);
+  const alert = new EmergencyAlert({
+    userId: req.user.id,
+    location: { type: 'Point', coordinates: location.position },
+    accuracy: location.accuracy,
+    source: location.source,
+    floor: location.floor,
+    note,
+    routeId: route ? route._id : undefined,
+    tripId: trip ? trip._id : undefined,
+    lastPosition: { position: location.position, accuracy: location.accuracy, source: location.source, at: now },
+    share: { tokenHash: share.tokenHash, expiresAt: share.expiresAt }
+  });
+
+  try {
+    await alert.save();
+  } catch (error) {
+    // Pulsación simultánea: la otra petición ya creó la alerta (índice único de alerta activa)
+    if (error.code !== 11000) throw error;
+    const active = await EmergencyAlert.findOne({ userId: req.user.id, status: 'active' });
+    if (!active) throw error;
+    return repeatActiveAlert(req, res, active, location, now);
+  }
+
+  alert.notifications = await notifyTrustedContacts({
+    alert,
+    user: req.user,
+    shareUrl: share.url,
+    routeName: route && route.name,
+    language
+  });
+  await alert.save();
+
+  const sent = alert.notifications.filter(notification => notification.status === 'sent').length;
+
+  await recordAuditLog(req, 'emergency_sos', 'emergency_alerts', alert._id, {
+    position: location.position,
+    accuracy: location.accuracy,
+    source: location.source,
+    routeId: alert.routeId,
+    tripId: alert.tripId,
+    notificationsSent: sent,
+    notificationsFailed: alert.notifications.length - sent,
+    shareExpiresAt: share.expiresAt
+  });
+
+  // Log de auditoría
+  logAudit('emergency_sos', 'emergency_alerts', alert._id, req.user.id, {
+    routeId: alert.routeId,
+    notificationsSent: sent
+  });
+
+  logger.warn(`SOS triggered by user ${req.user.email} (${sent} notifications sent)`);
+
+  res.status(201).json({
+    success: true,
+    message: sent > 0 ? 'Emergency alert sent to your trusted contacts' : 'Emergency alert recorded but no contact could be notified',
+    data: {
+      alert: toAlertResponse(alert),
+      shareUrl: share.url,
+      shareExpiresAt: share.expiresAt
+    }
+  });
+});
+
+// Enviar una nueva posición para la alerta en curso
+const updateSosPosition = asyncHandler(async (req, res) => {
+  const alert = await findOwnAlert(req.params.id, req.user);
+
+  if (alert.status !== 'active') {
+    throw createError('Emergency alert is not active', 409);
+  }
+
+  const location = await resolveRequestPosition(req.body);
+  await updateActiveAlertPosition(alert.userId, location);
+
+  res.json({
+    success: true,
+    data: { alertId: alert._id, position: location.position, accuracy: location.accuracy }
+  });
+});
+
+// Cerrar una alerta; el enlace de ubicación deja de funcionar
+const resolveSos = asyncHandler(async (req, res) => {
+  const alert = await findOwnAlert(req.params.id, req.user);
+
+  if (alert.status !== 'active') {
+    throw createError('Emergency alert is not active', 409);
+  }
+
+  alert.status = 'resolved';
+  alert.resolvedAt = new Date();
+  alert.resolvedBy = req.user.id;
+  alert.share.expiresAt = alert.resolvedAt;
+
+  await alert.save();
+
+  await recordAuditLog(req, 'emergency_sos_resolved', 'emergency_alerts', alert._id, {
+    durationSeconds: Math.round((alert.resolvedAt - alert.createdAt) / 1000)
+  });
+
+  logAudit('emergency_sos_resolved', 'emergency_alerts', alert._id, req.user.id);
+
+  logger.info(`SOS ${alert._id} resolved by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Emergency alert resolved',
+    data: { alert: toAlertResponse(alert) }
+  });
+});
+
+// Obtener la alerta activa del usuario actual
+const getActiveSos = asyncHandler(async (req, res) => {
+  const alert = await EmergencyAlert.findOne({ userId: req.user.id, status: 'active' }).lean();
+
+  res.json({
+    success: true,
+    data: { alert: alert && toAlertResponse(alert) }
+  });
+});
+
+// Ubicación en vivo para el enlace enviado a los contactos (sin autenticación)
+const getSharedLocation = asyncHandler(async (req, res) => {
+  const alert = await EmergencyAlert.findOne({ 'share.tokenHash': hashShareToken(req.params.token) })
+    .populate('routeId', 'name location')
+    .lean();
+
+  if (!alert) {
+    throw createError('Location link not found', 404);
+  }
+
+  if (!alert.share.expiresAt || alert.share.expiresAt <= new Date()) {
+    throw createError('Location link has expired', 410);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      status: alert.status,
+      startedAt: alert.createdAt,
+      note: alert.note,
+      route: alert.routeId,
+      floor: alert.floor,
+      lastPosition: alert.lastPosition,
+      expiresAt: alert.share.expiresAt
+    }
+  });
+});
+
+module.exports = {
+  triggerSos,
+  updateSosPosition,
+  resolveSos,
+  getActiveSos,
+  getSharedLocation
+};
@@ -0,0 +1,116 @@
+const { Favorite } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit } = require('../config/logger');
+const { FAVORITE_TYPES } = require('../services/favoritesService');
+
+// Resolver el tipo de favorito de la URL (routes o tourist-spots)
+const resolveFavoriteType = (type) => {
+  const favoriteType = FAVORITE_TYPES[type];
+
+  if (!favoriteType) {
+    throw createError(`Favorite type must be one of: ${Object.keys(FAVORITE_TYPES).join(', ')}`, 400);
+  }
+
+  return favoriteType;
+};
+
+// Obtener los favoritos del usuario actual
+const getMyFavorites = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, type } = req.query;
+  const offset = (page - 1) * limit;
+  const query = { userId: req.user.id };
+
+  // Filtros
+  if (type) {
+    query.resourceType = resolveFavoriteType(type).resourceType;
+  }
+
+  const favorites = await Favorite.find(query)
+    .sort({ createdAt: -1 })
+    .skip(offset)
+    .limit(parseInt(limit))
+    .lean();
+
+  // Cargar cada recurso con los campos de su tipo
+  const populated = await Promise.all(Object.values(FAVORITE_TYPES).map(({ resourceType, model, fields }) => {
+    const ids = favorites
+      .filter(favorite => favorite.resourceType === resourceType)
+      .map(favorite => favorite.resourceId);
+    return ids.length > 0 ? model.find({ _id: { $in: ids } }).select(fields).lean() : [];
+  }));
+  const resources = new Map(populated.flat().map(resource => [String(resource._id), resource]));
+
+  const total = await Favorite.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      // Los recursos eliminados aparecen con resource null
+      favorites: favorites.map(favorite => ({
+        ...favorite,
+        resource: resources.get(String(favorite.resourceId)) || null
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Marcar una ruta o punto turístico como favorito (idempotente)
+const addFavorite = asyncHandler(async (req, res) => {
+  const { resourceType, model } = resolveFavoriteType(req.params.type);
+
+  const resource = await model.findById(req.params.id).select('_id').lean();
+  if (!resource) {
+    throw createError(`${resourceType === 'Route' ? 'Route' : 'Tourist spot'} not found`, 404);
+  }
+
+  const result = await Favorite.findOneAndUpdate(
+    { userId: req.user.id, resourceType, resourceId: resource._id },
+    { $setOnInsert: { userId: req.user.id, resourceType, resourceId: resource._id } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  const created = !result.lastErrorObject.updatedExisting;
+
+  if (created) {
+    logAudit('favorite_add', 'favorites', result.value._id, req.user.id, { resourceType, resourceId: resource._id });
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Added to favorites' : 'Already in favorites',
+    data: { favorite: result.value }
+  });
+});
+
+// Quitar un favorito
+const removeFavorite = asyncHandler(async (req, res) => {
+  const { resourceType } = resolveFavoriteType(req.params.type);
+
+  const favorite = await Favorite.findOneAndDelete({
+    userId: req.user.id,
+    resourceType,
+    resourceId: req.params.id
+  });
+
+  if (!favorite) {
+    throw createError('Favorite not found', 404);
+  }
+
+  logAudit('favorite_remove', 'favorites', favorite._id, req.user.id, { resourceType, resourceId: favorite.resourceId });
+
+  res.json({
+    success: true,
+    message: 'Removed from favorites'
+  });
+});
+
+module.exports = {
+  getMyFavorites,
+  addFavorite,
+  removeFavorite
+};
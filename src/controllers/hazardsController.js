@@ -0,0 +1,347 @@
+const { Hazard } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { activeHazardQuery } = require('../services/hazardService');
+const { isValidPosition, EARTH_RADIUS_M } = require('../utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_DAYS = 30;
+const CONFIRM_EXTENSION_HOURS = 24; // una confirmación mantiene vigente el reporte al menos un día más
+const DISMISS_THRESHOLD = 3; // descartes necesarios para ocultar un reporte
+
+// Validar la fecha de expiración (futura y dentro del máximo permitido)
+const resolveExpiry = (expiresAt, from = new Date()) => {
+  if (expiresAt === undefined) {
+    return new Date(from.getTime() + DEFAULT_EXPIRY_HOURS * HOUR_MS);
+  }
+
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    throw createError('Expiry must be a future date', 400);
+  }
+
+  if (date.getTime() - from.getTime() > MAX_EXPIRY_DAYS * 24 * HOUR_MS) {
+    throw createError(`Expiry cannot be more than ${MAX_EXPIRY_DAYS} days after the report`, 400);
+  }
+
+  return date;
+};
+
+// Verificar que un reporte siga vigente antes de votar
+const ensureActive = (hazard) => {
+  if (hazard.status !== 'active' || hazard.expiresAt <= new Date()) {
+    throw createError('Hazard is no longer active', 409);
+  }
+};
+
+// Filtro de un reporte que todavía admite votos (para actualizaciones atómicas)
+const activeVoteFilter = (id, now) => ({ _id: id, status: 'active', expiresAt: { $gt: now } });
+
+// Obtener obstáculos reportados
+const getAllHazards = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    latitude,
+    longitude,
+    maxDistance = 500,
+    category,
+    severity,
+    includeInactive
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const query = includeInactive === 'true' ? {} : activeHazardQuery();
+
+  // Filtros
+  if (latitude && longitude) {
+    const position = [parseFloat(longitude), parseFloat(latitude)];
+    if (!isValidPosition(position)) {
+      throw createError('Invalid latitude or longitude', 400);
+    }
+    query.location = {
+      $geoWithin: { $centerSphere: [position, parseInt(maxDistance) / EARTH_RADIUS_M] }
+    };
+  }
+
+  if (category) {
+    query.category = category;
+  }
+
+  if (severity) {
+    query.severity = severity;
+  }
+
+  const hazards = await Hazard.find(query)
+    .sort({ createdAt: -1 })
+    .skip(offset)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await Hazard.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      hazards,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Obtener obstáculo por ID
+const getHazardById = asyncHandler(async (req, res) => {
+  const hazard = await Hazard.findById(req.params.id);
+
+  if (!hazard) {
+    throw createError('Hazard not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { hazard }
+  });
+});
+
+// Reportar un obstáculo (cualquier usuario autenticado)
+const createHazard = asyncHandler(async (req, res) => {
+  const {
+    category,
+    severity,
+    description,
+    location,
+    floor,
+    expiresAt
+  } = req.body;
+
+  // Validaciones básicas
+  if (!category || !location) {
+    throw createError('Category and location are required', 400);
+  }
+
+  const hazard = new Hazard({
+    category,
+    severity,
+    description,
+    location,
+    floor,
+    expiresAt: resolveExpiry(expiresAt),
+    createdBy: req.user.id
+  });
+
+  await hazard.save();
+
+  // Log de auditoría
+  logAudit('hazard_create', 'hazards', hazard._id, req.user.id, {
+    category: hazard.category,
+    severity: hazard.severity
+  });
+
+  logger.info(`Hazard reported: ${hazard.category} by user ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Hazard reported successfully',
+    data: { hazard }
+  });
+});
+
+// Actualizar obstáculo
+const updateHazard = asyncHandler(async (req, res) => {
+  const hazard = await Hazard.findById(req.params.id);
+
+  if (!hazard) {
+    throw createError('Hazard not found', 404);
+  }
+
+  // Verificar ownership (solo el creador o admin puede modificar)
+  if (hazard.createdBy !== req.user.id && req.user.role !== 'admin') {
+    throw createError('You can only update your own hazard reports', 403);
+  }
+
+  const {
+    category,
+    severity,
+    description,
+    location,
+    floor,
+    expiresAt,
+    status
+  } = req.body;
+
+  const oldData = hazard.toObject();
+
+  // Actualizar campos
+  if (category !== undefined) hazard.category = category;
+  if (severity !== undefined) hazard.severity = severity;
+  if (description !== undefined) hazard.description = description;
+  if (location !== undefined) hazard.location = location;
+  if (floor !== undefined) hazard.floor = floor;
+  if (expiresAt !== undefined) hazard.expiresAt = resolveExpiry(expiresAt, hazard.createdAt);
+  if (status !== undefined) hazard.status = status;
+
+  await hazard.save();
+
+  // Log de auditoría
+  logAudit('hazard_update', 'hazards', hazard._id, req.user.id, {
+    oldData,
+    newData: hazard.toObject()
+  });
+
+  logger.info(`Hazard updated: ${hazard._id} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Hazard updated successfully',
+    data: { hazard }
+  });
+});
+
+// Confirmar que un obstáculo sigue presente
+const confirmHazard = asyncHandler(async (req, res) => {
+  const hazard = await Hazard.findById(req.params.id).select('status expiresAt createdBy createdAt').lean();
+
+  if (!hazard) {
+    throw createError('Hazard not found', 404);
+  }
+
+  ensureActive(hazard);
+
+  if (hazard.createdBy === req.user.id) {
+    throw createError('You cannot confirm your own report', 400);
+  }
+
+  const now = new Date();
+  const maxExpiry = hazard.createdAt.getTime() + MAX_EXPIRY_DAYS * 24 * HOUR_MS;
+  const extended = new Date(Math.min(now.getTime() + CONFIRM_EXTENSION_HOURS * HOUR_MS, maxExpiry));
+
+  // Un voto por usuario: confirmar reemplaza un descarte previo
+  // Las actualizaciones son atómicas para que votos simultáneos no se pisen
+  const update = {
+    $pull: { dismissals: { userId: req.user.id } },
+    $max: { expiresAt: extended }
+  };
+
+  const confirmed = await Hazard.findOneAndUpdate(
+    { ...activeVoteFilter(hazard._id, now), 'confirmations.userId': { $ne: req.user.id } },
+    { ...update, $push: { confirmations: { userId: req.user.id, at: now } } },
+    { new: true }
+  ) || await Hazard.findOneAndUpdate(activeVoteFilter(hazard._id, now), update, { new: true });
+
+  if (!confirmed) {
+    throw createError('Hazard is no longer active', 409);
+  }
+
+  res.json({
+    success: true,
+    message: 'Hazard confirmed',
+    data: { hazard: confirmed }
+  });
+});
+
+// Descartar un obstáculo (ya no está o nunca estuvo)
+// El autor o un admin lo marcan como resuelto; otros usuarios votan
+const dismissHazard = asyncHandler(async (req, res) => {
+  const hazard = await Hazard.findById(req.params.id).select('status expiresAt createdBy').lean();
+
+  if (!hazard) {
+    throw createError('Hazard not found', 404);
+  }
+
+  ensureActive(hazard);
+
+  const now = new Date();
+  let updated;
+
+  if (hazard.createdBy === req.user.id || req.user.role === 'admin') {
+    updated = await Hazard.findOneAndUpdate(
+      activeVoteFilter(hazard._id, now),
+      { $set: { status: 'resolved' } },
+      { new: true }
+    );
+  } else {
+    const update = { $pull: { confirmations: { userId: req.user.id } } };
+
+    updated = await Hazard.findOneAndUpdate(
+      { ...activeVoteFilter(hazard._id, now), 'dismissals.userId': { $ne: req.user.id } },
+      { ...update, $push: { dismissals: { userId: req.user.id, at: now } } },
+      { new: true }
+    ) || await Hazard.findOneAndUpdate(activeVoteFilter(hazard._id, now), update, { new: true });
+
+    // Ocultar el reporte solo si, tras el voto, los descartes alcanzan el umbral y superan a las confirmaciones
+    if (updated) {
+      updated = await Hazard.findOneAndUpdate(
+        {
+          _id: hazard._id,
+          status: 'active',
+          [`dismissals.${DISMISS_THRESHOLD - 1}`]: { $exists: true },
+          $expr: { $gt: [{ $size: '$dismissals' }, { $size: '$confirmations' }] }
+        },
+        { $set: { status: 'dismissed' } },
+        { new: true }
+      ) || updated;
+    }
+  }
+
+  if (!updated) {
+    throw createError('Hazard is no longer active', 409);
+  }
+
+  if (updated.status !== 'active') {
+    // Log de auditoría
+    logAudit('hazard_close', 'hazards', updated._id, req.user.id, {
+      status: updated.status,
+      dismissals: updated.dismissals.length
+    });
+  }
+
+  res.json({
+    success: true,
+    message: updated.status === 'active' ? 'Hazard dismissal recorded' : `Hazard ${updated.status}`,
+    data: { hazard: updated }
+  });
+});
+
+// Eliminar obstáculo
+const deleteHazard = asyncHandler(async (req, res) => {
+  const hazard = await Hazard.findById(req.params.id);
+
+  if (!hazard) {
+    throw createError('Hazard not found', 404);
+  }
+
+  // Verificar ownership (solo el creador o admin puede eliminar)
+  if (hazard.createdBy !== req.user.id && req.user.role !== 'admin') {
+    throw createError('You can only delete your own hazard reports', 403);
+  }
+
+  await Hazard.findByIdAndDelete(req.params.id);
+
+  // Log de auditoría
+  logAudit('hazard_delete', 'hazards', hazard._id, req.user.id, {
+    deletedData: hazard.toObject()
+  });
+
+  logger.info(`Hazard deleted: ${hazard._id} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Hazard deleted successfully'
+  });
+});
+
+module.exports = {
+  getAllHazards,
+  getHazardById,
+  createHazard,
+  updateHazard,
+  confirmHazard,
+  dismissHazard,
+  deleteHazard
+};
@@ -0,0 +1,135 @@
+const { Media } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { storeMedia, removeMedia, ownedByFilter, isMediaOwner } = require('../services/mediaService');
+
+// Buscar un archivo por ID (withOwners incluye los usuarios que lo subieron)
+const findMedia = async (id, { withOwners = false } = {}) => {
+  const media = await Media.findById(id).select(withOwners ? '+owners' : '');
+
+  if (!media) {
+    throw createError('Media not found', 404);
+  }
+
+  return media;
+};
+
+// Subir una imagen o un audio (multipart, campo "file")
+// Si el mismo contenido ya se subió, se devuelve el registro existente y pasa a estar también
+// entre los archivos del usuario
+const uploadMedia = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw createError('A file is required in the "file" field', 400);
+  }
+
+  const { media, created } = await storeMedia({
+    buffer: req.file.buffer,
+    originalName: req.file.originalname,
+    ownerId: req.user.id
+  });
+
+  if (created) {
+    // Log de auditoría
+    logAudit('media_upload', 'media', media._id, req.user.id, {
+      kind: media.kind,
+      mimeType: media.mimeType,
+      size: media.size
+    });
+
+    logger.info(`Media uploaded: ${media.url} (${media.mimeType}, ${media.size} bytes) by user ${req.user.email}`);
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Media uploaded successfully' : 'Media already uploaded',
+    data: { media, deduplicated: !created }
+  });
+});
+
+// Obtener los archivos subidos por el usuario actual
+const getMyMedia = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, kind, unused } = req.query;
+  const offset = (page - 1) * limit;
+  const query = ownedByFilter(req.user.id);
+
+  if (kind) {
+    query.kind = kind;
+  }
+
+  // unused=true: archivos que ningún recurso referencia
+  if (unused === 'true') {
+    query.references = { $size: 0 };
+  }
+
+  const media = await Media.find(query)
+    .sort({ createdAt: -1 })
+    .skip(offset)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await Media.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      media,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Obtener un archivo por ID
+const getMediaById = asyncHandler(async (req, res) => {
+  const media = await findMedia(req.params.id);
+
+  res.json({
+    success: true,
+    data: { media }
+  });
+});
+
+// Eliminar un archivo sin referencias (quien lo subió o admin)
+// Si otros usuarios subieron el mismo contenido, solo se quita de los archivos del usuario
+const deleteMedia = asyncHandler(async (req, res) => {
+  const media = await findMedia(req.params.id, { withOwners: true });
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isMediaOwner(media, req.user.id) && !isAdmin) {
+    throw createError('You can only delete your own media', 403);
+  }
+
+  const { deleted } = await removeMedia(media, { userId: req.user.id, isAdmin });
+
+  if (!deleted) {
+    logger.info(`Media ${media.url} removed from the uploads of user ${req.user.email}`);
+
+    return res.json({
+      success: true,
+      message: 'Media removed from your uploads'
+    });
+  }
+
+  logAudit('media_delete', 'media', media._id, req.user.id, {
+    url: media.url,
+    hash: media.hash
+  });
+
+  logger.info(`Media deleted: ${media.url} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Media deleted successfully'
+  });
+});
+
+module.exports = {
+  uploadMedia,
+  getMyMedia,
+  getMediaById,
+  deleteMedia
+};
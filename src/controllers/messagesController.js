@@ -1,6 +1,11 @@
 const { PersonalizedMessage } = require('../database/database.orm');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { logAudit, logger } = require('../config/logger');
+const { messageToFeature, featureToMessage } = require('../utils/geojson');
+const { sendFeatureCollection, importFeatureCollection } = require('../services/geojsonService');
+const { resolveRequestPosition } = require('../services/positioningService');
+const { findHazardsNear } = require('../services/hazardService');
+const { evaluateTriggers } = require('../services/messageTriggerService');
 
 // Obtener todos los mensajes personalizados
 const getAllMessages = asyncHandler(async (req, res) => {
@@ -88,6 +93,11 @@ const createMessage = asyncHandler(async (req, res) => {
     touristSpotId,
     coordinates,
     triggerRadius,
+    triggerType,
+    dwellSeconds,
+    cooldownMinutes,
+    heading,
+    headingTolerance,
     language = 'es',
     audioUrl,
     priority = 1
@@ -109,6 +119,11 @@ const createMessage = asyncHandler(async (req, res) => {
     touristSpotId,
     coordinates,
     triggerRadius,
+    triggerType,
+    dwellSeconds,
+    cooldownMinutes,
+    heading,
+    headingTolerance,
     language,
     audioUrl,
     priority,
@@ -152,6 +167,11 @@ const updateMessage = asyncHandler(async (req, res) => {
     touristSpotId,
     coordinates,
     triggerRadius,
+    triggerType,
+    dwellSeconds,
+    cooldownMinutes,
+    heading,
+    headingTolerance,
     language,
     audioUrl,
     priority
@@ -166,6 +186,11 @@ const updateMessage = asyncHandler(async (req, res) => {
   if (touristSpotId !== undefined) messageDoc.touristSpotId = touristSpotId;
   if (coordinates !== undefined) messageDoc.coordinates = coordinates;
   if (triggerRadius !== undefined) messageDoc.triggerRadius = triggerRadius;
+  if (triggerType !== undefined) messageDoc.triggerType = triggerType;
+  if (dwellSeconds !== undefined) messageDoc.dwellSeconds = dwellSeconds;
+  if (cooldownMinutes !== undefined) messageDoc.cooldownMinutes = cooldownMinutes;
+  if (heading !== undefined) messageDoc.heading = heading;
+  if (headingTolerance !== undefined) messageDoc.headingTolerance = headingTolerance;
   if (language !== undefined) messageDoc.language = language;
   if (audioUrl !== undefined) messageDoc.audioUrl = audioUrl;
   if (priority !== undefined) messageDoc.priority = priority;
@@ -215,22 +240,74 @@ const deleteMessage = asyncHandler(async (req, res) => {
   });
 });
 
+// Exportar mensajes personalizados como FeatureCollection GeoJSON
+const exportMessagesGeoJSON = asyncHandler(async (req, res) => {
+  const { estado, routeId, touristSpotId } = req.query;
+  const query = {};
+
+  if (estado) {
+    query.estado = estado;
+  }
+
+  if (routeId) {
+    query.routeId = routeId;
+  }
+
+  if (touristSpotId) {
+    query.touristSpotId = touristSpotId;
+  }
+
+  const docs = await PersonalizedMessage.find(query).lean();
+
+  sendFeatureCollection(res, docs.map(messageToFeature));
+});
+
+// Importar mensajes personalizados desde un FeatureCollection GeoJSON (?dryRun=true solo valida)
+const importMessagesGeoJSON = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  const result = await importFeatureCollection({
+    Model: PersonalizedMessage,
+    collection: req.body,
+    user: req.user,
+    dryRun,
+    geometryTypes: ['Point'],
+    fromFeature: featureToMessage
+  });
+
+  if (!dryRun) {
+    // Log de auditoría
+    logAudit('message_import', 'messages', null, req.user.id, {
+      created: result.created,
+      updated: result.updated,
+      failed: result.failed
+    });
+
+    logger.info(`Messages imported from GeoJSON: ${result.created} created, ${result.updated} updated by user ${req.user.email}`);
+  }
+
+  res.status(!dryRun && result.created > 0 ? 201 : 200).json({
+    success: true,
+    message: dryRun ? 'GeoJSON validated (dry run)' : 'Messages imported successfully',
+    data: result
+  });
+});
+
 // Obtener mensajes cerca de una ubicación
 const getNearbyMessages = asyncHandler(async (req, res) => {
-  const { latitude, longitude, maxDistance = 100 } = req.query;
+  const { maxDistance = 100 } = req.query;
 
-  if (!latitude || !longitude) {
-    throw createError('Latitude and longitude are required', 400);
-  }
+  // Posición por GPS o estimada a partir de beacons (interiores)
+  const location = await resolveRequestPosition(req.query);
 
   const messages = await PersonalizedMessage.find({
     coordinates: {
       $near: {
         $geometry: {
           type: 'Point',
-          coordinates: [parseFloat(longitude), parseFloat(latitude)]
+          coordinates: location.position
         },
-        $maxDistance: parseInt(maxDistance)
+        $maxDistance: parseInt(maxDistance) + location.accuracy
       }
     },
     estado: 'active'
@@ -240,9 +317,38 @@ const getNearbyMessages = asyncHandler(async (req, res) => {
   .sort({ priority: -1 })
   .lean();
 
+  // Obstáculos vigentes en el mismo radio de búsqueda
+  const hazards = await findHazardsNear(location.position, parseInt(maxDistance) + location.accuracy);
+
+  res.json({
+    success: true,
+    data: { messages, hazards, location }
+  });
+});
+
+// Evaluar las geocercas de los mensajes para la posición del usuario
+// Solo devuelve los mensajes cuyo radio contiene al usuario según su tipo de disparo,
+// respetando la prioridad y el intervalo de espera por usuario
+const evaluateMessageTriggers = asyncHandler(async (req, res) => {
+  const { heading, language } = req.body;
+
+  if (heading !== undefined && (!Number.isFinite(Number(heading)) || heading < 0 || heading > 360)) {
+    throw createError('Heading must be a number between 0 and 360', 400);
+  }
+
+  // Posición por GPS o estimada a partir de beacons (interiores)
+  const location = await resolveRequestPosition(req.body);
+
+  const { triggered, inside } = await evaluateTriggers({
+    userId: req.user.id,
+    location,
+    heading: heading !== undefined ? Number(heading) : null,
+    language
+  });
+
   res.json({
     success: true,
-    data: { messages }
+    data: { messages: triggered, inside, location }
   });
 });
 
@@ -282,5 +388,8 @@ module.exports = {
   updateMessage,
   deleteMessage,
   getNearbyMessages,
+  evaluateMessageTriggers,
+  exportMessagesGeoJSON,
+  importMessagesGeoJSON,
   getMyMessages
 };
\ No newline at end of file
@@ -0,0 +1,286 @@
+const { Route, WalkwaySegment } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const {
+  parseLatLng,
+  isValidPosition,
+  haversineDistance,
+  initialBearing,
+  bearingToCardinal,
+  turnDirection
+} = require('../utils/geo');
+const { buildGraph, snapToGraph, findPath } = require('../utils/pathfinding');
+const {
+  buildInstructions,
+  describeSegmentAttributes,
+  formatDistance,
+  formatDuration,
+  DEFAULT_LANGUAGE
+} = require('../utils/instructions');
+
+const WALKING_SPEED = parseFloat(process.env.NAVIGATION_WALKING_SPEED) || 1.0; // m/s
+const MAX_SNAP_DISTANCE = parseInt(process.env.NAVIGATION_MAX_SNAP_DISTANCE) || 150; // metros
+const SEARCH_MARGIN = 500; // metros alrededor del origen y destino
+const SECONDS_PER_STAIR = 2;
+const CROSSING_WAIT_SECONDS = { controlled: 45, uncontrolled: 30 };
+
+// Polígono rectangular que cubre origen y destino con un margen en metros
+const boundingPolygon = (from, to, margin) => {
+  const latMargin = margin / 111320;
+  const midLat = (from[1] + to[1]) / 2;
+  const lngMargin = margin / (111320 * Math.cos(midLat * Math.PI / 180));
+  const minLng = Math.min(from[0], to[0]) - lngMargin;
+  const maxLng = Math.max(from[0], to[0]) + lngMargin;
+  const minLat = Math.min(from[1], to[1]) - latMargin;
+  const maxLat = Math.max(from[1], to[1]) + latMargin;
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+    ]]
+  };
+};
+
+// Cargar los tramos caminables del área: waypoints de rutas y aceras importadas
+const loadSegments = async (area) => {
+  const [routes, walkways] = await Promise.all([
+    Route.find({ isActive: true, path: { $geoIntersects: { $geometry: area } } })
+      .select('name waypoints')
+      .lean(),
+    WalkwaySegment.find({ isActive: true, geometry: { $geoIntersects: { $geometry: area } } })
+      .lean()
+  ]);
+
+  const segments = [];
+
+  routes.forEach(route => {
+    for (let i = 0; i < route.waypoints.length - 1; i++) {
+      segments.push({
+        coordinates: [route.waypoints[i].position, route.waypoints[i + 1].position],
+        // Cada waypoint describe la accesibilidad del tramo hasta el siguiente
+        attributes: route.waypoints[i].attributes || {},
+        name: route.name,
+        source: 'route',
+        sourceId: route._id
+      });
+    }
+  });
+
+  walkways.forEach(walkway => {
+    segments.push({
+      coordinates: walkway.geometry.coordinates,
+      attributes: walkway.attributes || {},
+      name: walkway.name,
+      source: 'walkway',
+      sourceId: walkway._id
+    });
+  });
+
+  return segments;
+};
+
+// Agrupar aristas consecutivas que siguen recto y no tienen advertencias
+const mergeEdges = (edges) => {
+  const legs = [];
+
+  edges.forEach(edge => {
+    const heading = initialBearing(edge.from, edge.to);
+    const hasWarnings = describeSegmentAttributes(edge.attributes).length > 0;
+    const last = legs[legs.length - 1];
+
+    if (last && !hasWarnings && !last.hasWarnings &&
+        turnDirection(last.heading, heading) === 'straight') {
+      last.to = edge.to;
+      last.distance += edge.distance;
+      return;
+    }
+
+    legs.push({
+      from: edge.from,
+      to: edge.to,
+      distance: edge.distance,
+      heading,
+      hasWarnings,
+      attributes: edge.attributes || {},
+      name: edge.name,
+      source: edge.source,
+      sourceId: edge.sourceId
+    });
+  });
+
+  return legs;
+};
+
+// Tiempo estimado para recorrer un tramo en segundos
+const legDuration = (leg) => {
+  const attributes = leg.attributes || {};
+  return leg.distance / WALKING_SPEED +
+    (attributes.stairs || 0) * SECONDS_PER_STAIR +
+    (CROSSING_WAIT_SECONDS[attributes.crossing] || 0);
+};
+
+// Calcular un camino peatonal accesible entre dos puntos
+const getPath = asyncHandler(async (req, res) => {
+  const { from, to, avoidStairs, language = DEFAULT_LANGUAGE } = req.query;
+
+  const origin = parseLatLng(from);
+  const destination = parseLatLng(to);
+
+  if (!origin || !destination) {
+    throw createError('from and to are required as "lat,lng"', 400);
+  }
+
+  const margin = Math.max(SEARCH_MARGIN, haversineDistance(origin, destination) / 2);
+  const segments = await loadSegments(boundingPolygon(origin, destination, margin));
+  const graph = buildGraph(segments);
+
+  // Origen y destino se ajustan al punto más cercano de una acera, no solo a sus vértices
+  const start = snapToGraph(graph, origin, MAX_SNAP_DISTANCE);
+  const goal = snapToGraph(graph, destination, MAX_SNAP_DISTANCE);
+
+  if (!start || !goal) {
+    throw createError('No accessible walkway found near the origin or destination', 404);
+  }
+
+  const edges = findPath(graph, start.node.key, goal.node.key, {
+    avoidStairs: avoidStairs === 'true'
+  });
+
+  if (!edges) {
+    throw createError('No accessible path found between the given points', 404);
+  }
+
+  const legs = mergeEdges(edges);
+  const waypoints = legs.map(leg => ({
+    position: leg.from,
+    distance: leg.distance,
+    heading: leg.heading
+  }));
+  waypoints.push({ position: goal.node.position, distance: 0 });
+
+  const steps = buildInstructions(waypoints, language);
+
+  const result = legs.map((leg, index) => {
+    const warnings = describeSegmentAttributes(leg.attributes, language);
+    return {
+      from: leg.from,
+      to: leg.to,
+      distance: Math.round(leg.distance),
+      heading: Math.round(leg.heading),
+      cardinal: bearingToCardinal(leg.heading),
+      maneuver: steps[index].maneuver,
+      instruction: warnings.map(warning => `${warning}. `).join('') + steps[index].instruction,
+      warnings,
+      attributes: leg.attributes,
+      name: leg.name,
+      source: leg.source,
+      sourceId: leg.sourceId
+    };
+  });
+
+  const totalDistance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+  const totalTime = legs.reduce((sum, leg) => sum + legDuration(leg), 0);
+
+  res.json({
+    success: true,
+    data: {
+      segments: result,
+      arrival: steps[steps.length - 1].instruction,
+      totalDistance: Math.round(totalDistance),
+      totalDistanceText: formatDistance(totalDistance, language),
+      estimatedTime: Math.round(totalTime),
+      estimatedTimeText: formatDuration(totalTime, language),
+      startOffset: Math.round(start.distance),
+      endOffset: Math.round(goal.distance)
+    }
+  });
+});
+
+// Normalizar las propiedades de un feature GeoJSON a atributos de tramo
+const featureAttributes = (properties = {}) => {
+  const tactilePaving = properties.tactilePaving ?? properties.tactile_paving;
+  return {
+    stairs: parseInt(properties.stairs ?? properties.step_count) || 0,
+    crossing: properties.crossing,
+    tactilePaving: tactilePaving === undefined ? undefined : [true, 'yes', 'true'].includes(tactilePaving),
+    surface: properties.surface,
+    slope: properties.slope !== undefined ? parseFloat(properties.slope) : undefined
+  };
+};
+
+// Importar tramos de acera desde un FeatureCollection GeoJSON
+const importSegments = asyncHandler(async (req, res) => {
+  const { type, features } = req.body;
+
+  if (type !== 'FeatureCollection' || !Array.isArray(features)) {
+    throw createError('A GeoJSON FeatureCollection is required', 400);
+  }
+
+  const errors = [];
+  let created = 0;
+  let updated = 0;
+
+  for (const [index, feature] of features.entries()) {
+    const geometry = feature && feature.geometry;
+    const lines = geometry && geometry.type === 'MultiLineString'
+      ? geometry.coordinates
+      : [geometry && geometry.type === 'LineString' ? geometry.coordinates : null];
+
+    if (lines.some(line => !Array.isArray(line) || line.length < 2 || !line.every(isValidPosition))) {
+      errors.push({ index, message: 'Geometry must be a valid LineString or MultiLineString' });
+      continue;
+    }
+
+    const properties = feature.properties || {};
+    const externalId = feature.id ?? properties.id;
+
+    try {
+      for (const [part, coordinates] of lines.entries()) {
+        const data = {
+          name: properties.name,
+          geometry: { type: 'LineString', coordinates },
+          attributes: featureAttributes(properties),
+          source: 'import',
+          externalId: externalId !== undefined ? `${externalId}${lines.length > 1 ? `:${part}` : ''}` : undefined,
+          createdBy: req.user.id
+        };
+
+        const existing = data.externalId
+          ? await WalkwaySegment.findOne({ source: 'import', externalId: data.externalId })
+          : null;
+
+        if (existing) {
+          existing.set(data);
+          await existing.save();
+          updated++;
+        } else {
+          await WalkwaySegment.create(data);
+          created++;
+        }
+      }
+    } catch (error) {
+      errors.push({ index, message: error.message });
+    }
+  }
+
+  // Log de auditoría
+  logAudit('walkway_import', 'walkway_segments', null, req.user.id, {
+    created,
+    updated,
+    failed: errors.length
+  });
+
+  logger.info(`Walkway segments imported: ${created} created, ${updated} updated by user ${req.user.email}`);
+
+  res.status(created > 0 ? 201 : 200).json({
+    success: true,
+    message: 'Walkway segments imported',
+    data: { created, updated, errors }
+  });
+});
+
+module.exports = {
+  getPath,
+  importSegments
+};
@@ -0,0 +1,168 @@
+const { SavedPlace } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { hasRequestPosition, resolveRequestPosition } = require('../services/positioningService');
+const { haversineDistance } = require('../utils/geo');
+
+const MAX_PLACES = parseInt(process.env.MAX_SAVED_PLACES) || 100;
+const LABEL_COLLATION = { locale: 'es', strength: 2 }; // sin distinguir mayúsculas ni acentos
+
+// Buscar un lugar guardado del usuario actual
+const findOwnPlace = async (id, user) => {
+  const place = await SavedPlace.findOne({ _id: id, userId: user.id });
+
+  if (!place) {
+    throw createError('Saved place not found', 404);
+  }
+
+  return place;
+};
+
+// Comprobar que el usuario no tenga otro lugar con la misma etiqueta
+const assertLabelAvailable = async (userId, label, exceptId) => {
+  const query = { userId, label };
+  if (exceptId) {
+    query._id = { $ne: exceptId };
+  }
+
+  const existing = await SavedPlace.findOne(query).collation(LABEL_COLLATION).select('_id').lean();
+  if (existing) {
+    throw createError('You already have a saved place with this label', 409);
+  }
+};
+
+// Obtener los lugares guardados del usuario actual
+// Con una posición (latitude/longitude o beacons) se ordenan por cercanía; q busca en la etiqueta o el alias hablado
+const getMyPlaces = asyncHandler(async (req, res) => {
+  const { q } = req.query;
+  const query = { userId: req.user.id };
+  const location = hasRequestPosition(req.query) ? await resolveRequestPosition(req.query) : null;
+
+  if (q) {
+    query.$or = [
+      { label: { $regex: q, $options: 'i' } },
+      { spokenAlias: { $regex: q, $options: 'i' } }
+    ];
+  }
+
+  let places = await SavedPlace.find(query).sort({ label: 1 }).collation(LABEL_COLLATION).lean();
+
+  if (location) {
+    places = places
+      .map(place => ({ ...place, distance: Math.round(haversineDistance(location.position, place.location.coordinates)) }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  res.json({
+    success: true,
+    data: { places }
+  });
+});
+
+// Obtener un lugar guardado por ID
+const getPlaceById = asyncHandler(async (req, res) => {
+  const place = await findOwnPlace(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { place }
+  });
+});
+
+// Guardar un lugar (por coordenadas o con la posición estimada por beacons)
+const createPlace = asyncHandler(async (req, res) => {
+  const { label, spokenAlias, address, notes } = req.body;
+
+  if (!label) {
+    throw createError('Label is required', 400);
+  }
+
+  const location = await resolveRequestPosition(req.body);
+
+  const count = await SavedPlace.countDocuments({ userId: req.user.id });
+  if (count >= MAX_PLACES) {
+    throw createError(`You can save up to ${MAX_PLACES} places`, 422);
+  }
+
+  await assertLabelAvailable(req.user.id, label);
+
+  const place = new SavedPlace({
+    userId: req.user.id,
+    label,
+    spokenAlias,
+    address,
+    notes,
+    floor: req.body.floor ?? location.floor,
+    location: { type: 'Point', coordinates: location.position }
+  });
+
+  await place.save();
+
+  // Log de auditoría
+  logAudit('place_create', 'saved_places', place._id, req.user.id, { label });
+
+  logger.info(`Saved place "${label}" created by user ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Place saved successfully',
+    data: { place }
+  });
+});
+
+// Actualizar un lugar guardado
+const updatePlace = asyncHandler(async (req, res) => {
+  const place = await findOwnPlace(req.params.id, req.user);
+  const { label, spokenAlias, address, notes, floor } = req.body;
+
+  if (label !== undefined && label !== place.label) {
+    await assertLabelAvailable(req.user.id, label, place._id);
+    place.label = label;
+  }
+
+  if (spokenAlias !== undefined) place.spokenAlias = spokenAlias;
+  if (address !== undefined) place.address = address;
+  if (notes !== undefined) place.notes = notes;
+  if (floor !== undefined) place.floor = floor;
+
+  // Nueva ubicación solo si se envía una posición
+  if (hasRequestPosition(req.body)) {
+    const location = await resolveRequestPosition(req.body);
+    place.location = { type: 'Point', coordinates: location.position };
+    if (floor === undefined && location.floor !== undefined) {
+      place.floor = location.floor;
+    }
+  }
+
+  await place.save();
+
+  logAudit('place_update', 'saved_places', place._id, req.user.id, { label: place.label });
+
+  res.json({
+    success: true,
+    message: 'Place updated successfully',
+    data: { place }
+  });
+});
+
+// Eliminar un lugar guardado
+const deletePlace = asyncHandler(async (req, res) => {
+  const place = await findOwnPlace(req.params.id, req.user);
+
+  await place.deleteOne();
+
+  logAudit('place_delete', 'saved_places', place._id, req.user.id, { label: place.label });
+
+  res.json({
+    success: true,
+    message: 'Place deleted successfully'
+  });
+});
+
+module.exports = {
+  getMyPlaces,
+  getPlaceById,
+  createPlace,
+  updatePlace,
+  deletePlace
+};
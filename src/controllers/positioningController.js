@@ -0,0 +1,27 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { estimateFromSightings } = require('../services/positioningService');
+
+// Estimar la posición en interiores a partir de avistamientos de beacons
+const estimatePositionFromBeacons = asyncHandler(async (req, res) => {
+  const {
+    sightings,
+    method = 'weighted_centroid',
+    pathLossExponent,
+    txPower
+  } = req.body;
+
+  const estimate = await estimateFromSightings(sightings, {
+    method,
+    pathLossExponent: pathLossExponent !== undefined ? parseFloat(pathLossExponent) : undefined,
+    txPower: txPower !== undefined ? parseFloat(txPower) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: { estimate }
+  });
+});
+
+module.exports = {
+  estimatePositionFromBeacons
+};
@@ -0,0 +1,347 @@
+const { Review, TouristSpot, REVIEW_FEEDBACK_FIELDS } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { applyReviewChange } = require('../services/reviewService');
+
+const MODERATOR_ROLES = ['admin', 'moderator'];
+const FLAG_REASONS = ['spam', 'offensive', 'off_topic', 'inaccurate', 'other'];
+const EDITABLE_FIELDS = ['rating', 'comment', 'language']; // además de feedback
+
+// Validar la calificación y las respuestas estructuradas de una reseña
+const parseReviewInput = (body, { partial = false } = {}) => {
+  const { rating, comment, feedback, language } = body;
+  const data = {};
+
+  if (rating !== undefined || !partial) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw createError('Rating must be an integer between 1 and 5', 400);
+    }
+    data.rating = value;
+  }
+
+  if (comment !== undefined) {
+    data.comment = comment;
+  }
+
+  if (feedback !== undefined) {
+    if (typeof feedback !== 'object' || feedback === null || Array.isArray(feedback)) {
+      throw createError('Feedback must be an object of yes/no answers', 400);
+    }
+
+    const unknown = Object.keys(feedback).filter(field => !REVIEW_FEEDBACK_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw createError(`Unknown feedback fields: ${unknown.join(', ')}. Allowed: ${REVIEW_FEEDBACK_FIELDS.join(', ')}`, 400);
+    }
+
+    // null elimina una respuesta
+    Object.entries(feedback).forEach(([field, answer]) => {
+      if (answer !== null && typeof answer !== 'boolean') {
+        throw createError(`Feedback "${field}" must be true, false or null`, 400);
+      }
+    });
+
+    data.feedback = feedback;
+  }
+
+  if (language !== undefined) {
+    data.language = language;
+  }
+
+  return data;
+};
+
+// Buscar un punto turístico activo
+const findTouristSpot = async (id) => {
+  const touristSpot = await TouristSpot.findById(id).select('nombre isActive').lean();
+
+  if (!touristSpot) {
+    throw createError('Tourist spot not found', 404);
+  }
+
+  return touristSpot;
+};
+
+// Buscar una reseña de un punto turístico
+const findReview = async (touristSpotId, reviewId) => {
+  const review = await Review.findOne({ _id: reviewId, touristSpotId });
+
+  if (!review) {
+    throw createError('Review not found', 404);
+  }
+
+  return review;
+};
+
+// Ocultar los datos de moderación a quienes no moderan
+const toPublicReview = (review, user) => {
+  if (MODERATOR_ROLES.includes(user.role)) {
+    return review;
+  }
+
+  const { moderation, ...rest } = review;
+  return { ...rest, isMine: review.userId === user.id };
+};
+
+// Obtener las reseñas de un punto turístico
+const getTouristSpotReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sortBy = 'recent', status } = req.query;
+  const offset = (page - 1) * limit;
+
+  await findTouristSpot(req.params.id);
+
+  const query = { touristSpotId: req.params.id };
+
+  // Los moderadores pueden filtrar por estado; el resto solo ve las no ocultas
+  if (MODERATOR_ROLES.includes(req.user.role) && status) {
+    query['moderation.status'] = status;
+  } else if (!MODERATOR_ROLES.includes(req.user.role)) {
+    query['moderation.status'] = { $ne: 'hidden' };
+  }
+
+  // Ordenamiento
+  const sorts = {
+    recent: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 }
+  };
+
+  const reviews = await Review.find(query)
+    .sort(sorts[sortBy] || sorts.recent)
+    .skip(offset)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await Review.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      reviews: reviews.map(review => toPublicReview(review, req.user)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Crear una reseña (una por usuario y punto turístico)
+const createReview = asyncHandler(async (req, res) => {
+  const touristSpot = await findTouristSpot(req.params.id);
+
+  if (!touristSpot.isActive) {
+    throw createError('Tourist spot is not active', 422);
+  }
+
+  const data = parseReviewInput(req.body);
+
+  const existing = await Review.findOne({ touristSpotId: touristSpot._id, userId: req.user.id }).select('_id').lean();
+  if (existing) {
+    throw createError(`You have already reviewed this tourist spot (${existing._id})`, 409);
+  }
+
+  const review = new Review({
+    ...data,
+    touristSpotId: touristSpot._id,
+    userId: req.user.id
+  });
+
+  await review.save();
+  await applyReviewChange(touristSpot._id, null, review.toObject());
+
+  // Log de auditoría
+  logAudit('review_create', 'reviews', review._id, req.user.id, {
+    touristSpotId: touristSpot._id,
+    rating: review.rating
+  });
+
+  logger.info(`Review created for tourist spot ${touristSpot.nombre} by user ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Review created successfully',
+    data: { review }
+  });
+});
+
+// Actualizar la reseña propia
+const updateReview = asyncHandler(async (req, res) => {
+  const { _id, userId } = await findReview(req.params.id, req.params.reviewId);
+
+  if (userId !== req.user.id) {
+    throw createError('You can only update your own reviews', 403);
+  }
+
+  const data = parseReviewInput(req.body, { partial: true });
+
+  const $set = {};
+  const $unset = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) $set[field] = data[field];
+  });
+  Object.entries(data.feedback || {}).forEach(([field, answer]) => {
+    if (answer === null) {
+      $unset[`feedback.${field}`] = '';
+    } else {
+      $set[`feedback.${field}`] = answer;
+    }
+  });
+
+  // Igual que al moderar: el estado previo se obtiene en la misma operación atómica, así con
+  // ediciones o moderaciones simultáneas el cambio de los agregados parte del estado reemplazado
+  const before = await Review.findOneAndUpdate(
+    { _id, userId: req.user.id },
+    { $set, $unset },
+    { new: false, runValidators: true }
+  ).lean();
+
+  if (!before) {
+    throw createError('Review not found', 404);
+  }
+
+  const review = { ...before, feedback: { ...before.feedback } };
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) review[field] = data[field];
+  });
+  Object.entries(data.feedback || {}).forEach(([field, answer]) => {
+    if (answer === null) {
+      delete review.feedback[field];
+    } else {
+      review.feedback[field] = answer;
+    }
+  });
+
+  await applyReviewChange(before.touristSpotId, before, review);
+
+  logAudit('review_update', 'reviews', review._id, req.user.id, {
+    touristSpotId: review.touristSpotId,
+    changes: data
+  });
+
+  res.json({
+    success: true,
+    message: 'Review updated successfully',
+    data: { review }
+  });
+});
+
+// Eliminar una reseña (autor o admin)
+const deleteReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id, req.params.reviewId);
+
+  if (review.userId !== req.user.id && req.user.role !== 'admin') {
+    throw createError('You can only delete your own reviews', 403);
+  }
+
+  // Borrado atómico: solo la petición que elimina el documento descuenta la reseña de los agregados
+  const deleted = await Review.findOneAndDelete({ _id: review._id }).lean();
+  if (!deleted) {
+    throw createError('Review not found', 404);
+  }
+
+  await applyReviewChange(deleted.touristSpotId, deleted, null);
+
+  logAudit('review_delete', 'reviews', deleted._id, req.user.id, {
+    touristSpotId: deleted.touristSpotId,
+    rating: deleted.rating
+  });
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+// Reportar una reseña para moderación (una vez por usuario)
+const flagReview = asyncHandler(async (req, res) => {
+  const { reason = 'other' } = req.body;
+
+  if (!FLAG_REASONS.includes(reason)) {
+    throw createError(`Reason must be one of: ${FLAG_REASONS.join(', ')}`, 400);
+  }
+
+  const review = await findReview(req.params.id, req.params.reviewId);
+
+  if (review.userId === req.user.id) {
+    throw createError('You cannot flag your own review', 400);
+  }
+
+  if (review.moderation.flags.some(flag => flag.userId === req.user.id)) {
+    throw createError('You have already flagged this review', 409);
+  }
+
+  review.moderation.flags.push({ userId: req.user.id, reason });
+
+  // Una reseña reportada queda pendiente de revisión (sigue visible hasta que se modere)
+  if (review.moderation.status === 'visible' && !review.moderation.moderatedAt) {
+    review.moderation.status = 'flagged';
+  }
+
+  await review.save();
+
+  logAudit('review_flag', 'reviews', review._id, req.user.id, { reason });
+
+  res.json({
+    success: true,
+    message: 'Review reported for moderation'
+  });
+});
+
+// Moderar una reseña: visible u oculta (solo admin o moderador)
+const moderateReview = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!['visible', 'hidden'].includes(status)) {
+    throw createError('Status must be visible or hidden', 400);
+  }
+
+  const { _id } = await findReview(req.params.id, req.params.reviewId);
+
+  const moderation = {
+    status,
+    moderatedBy: req.user.id,
+    moderatedAt: new Date()
+  };
+  if (note !== undefined) moderation.note = note;
+
+  // Se obtiene el estado previo en la misma operación atómica: con moderaciones simultáneas
+  // cada una calcula el cambio de los agregados a partir del estado que realmente reemplazó
+  const before = await Review.findOneAndUpdate(
+    { _id },
+    { $set: Object.fromEntries(Object.entries(moderation).map(([field, value]) => [`moderation.${field}`, value])) },
+    { new: false, runValidators: true }
+  ).lean();
+
+  if (!before) {
+    throw createError('Review not found', 404);
+  }
+
+  const review = { ...before, moderation: { ...before.moderation, ...moderation } };
+  await applyReviewChange(before.touristSpotId, before, review);
+
+  logAudit('review_moderate', 'reviews', review._id, req.user.id, {
+    from: before.moderation?.status || 'visible',
+    to: status,
+    note
+  });
+
+  logger.info(`Review ${review._id} set to ${status} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Review is now ${status}`,
+    data: { review }
+  });
+});
+
+module.exports = {
+  getTouristSpotReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  flagReview,
+  moderateReview
+};
@@ -1,6 +1,39 @@
-const { Route } = require('../database/database.orm');
+const { Route, RouteRevision, Favorite } = require('../database/database.orm');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { logAudit, logger } = require('../config/logger');
+const { routeToFeature, featureToRoute } = require('../utils/geojson');
+const { sendFeatureCollection, importFeatureCollection } = require('../services/geojsonService');
+const { buildInstructions, formatDistance, DEFAULT_LANGUAGE } = require('../utils/instructions');
+const { EXPORT_FORMATS, toFileName, buildGpx, buildKml } = require('../utils/routeExport');
+const { collectRouteExport } = require('../services/routeExportService');
+const { findHazardsAlongRoutes } = require('../services/hazardService');
+const { buildRouteBundle } = require('../services/routeBundleService');
+const { diffSnapshots } = require('../utils/diff');
+const { hasContactPermission } = require('../services/contactsService');
+const { markFavorites } = require('../services/favoritesService');
+
+// Campos derivados o de control que no se comparan entre revisiones
+const REVISION_IGNORED_FIELDS = ['createdAt', 'updatedAt', 'revision', 'path', 'difficultyDetails'];
+
+// Campos que se recuperan al restaurar una revisión
+const RESTORABLE_FIELDS = [
+  'name', 'location', 'transportName', 'description', 'coordinates', 'beacons',
+  'waypoints', 'tags', 'difficulty', 'isActive', 'transit'
+];
+
+// El creador o un admin
+const isRouteOwner = (route, user) => route.createdBy === user.id || user.role === 'admin';
+
+// El creador, un admin o un contacto de confianza con permiso manage_routes
+// El permiso solo cubre las rutas guardadas del usuario (creadas por él y en sus favoritos)
+// que no están vinculadas a GTFS
+const canManageRoute = async (route, user) => {
+  if (isRouteOwner(route, user)) return true;
+  if (route.transit && route.transit.feedId) return false;
+
+  const saved = await Favorite.exists({ userId: route.createdBy, resourceType: 'Route', resourceId: route._id });
+  return Boolean(saved) && hasContactPermission(user.id, route.createdBy, 'manage_routes');
+};
 
 // Obtener todas las rutas
 const getAllRoutes = asyncHandler(async (req, res) => {
@@ -10,6 +43,9 @@ const getAllRoutes = asyncHandler(async (req, res) => {
     search, 
     isActive, 
     difficulty,
+    minScore,
+    maxScore,
+    flagFavorites,
     sortBy = 'createdAt',
     sortOrder = 'desc'
   } = req.query;
@@ -34,9 +70,16 @@ const getAllRoutes = asyncHandler(async (req, res) => {
     query.difficulty = difficulty;
   }
 
-  // Ordenamiento
+  // Puntuación de dificultad calculada (0-100)
+  if (minScore !== undefined || maxScore !== undefined) {
+    query.difficultyScore = {};
+    if (minScore !== undefined) query.difficultyScore.$gte = parseFloat(minScore);
+    if (maxScore !== undefined) query.difficultyScore.$lte = parseFloat(maxScore);
+  }
+
+  // Ordenamiento (sortBy=score ordena por la puntuación calculada)
   const sort = {};
-  sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+  sort[sortBy === 'score' ? 'difficultyScore' : sortBy] = sortOrder === 'asc' ? 1 : -1;
 
   const routes = await Route.find(query)
     .sort(sort)
@@ -49,7 +92,8 @@ const getAllRoutes = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      routes,
+      // Con flagFavorites=true cada ruta indica si es favorita del usuario
+      routes: flagFavorites === 'true' ? await markFavorites(req.user.id, 'Route', routes) : routes,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -68,12 +112,67 @@ const getRouteById = asyncHandler(async (req, res) => {
     throw createError('Route not found', 404);
   }
 
+  // Obstáculos vigentes a lo largo del recorrido
+  const [hazards] = await findHazardsAlongRoutes([route]);
+
   res.json({
     success: true,
-    data: { route }
+    data: { route, hazards }
+  });
+});
+
+// Obtener instrucciones habladas paso a paso de una ruta
+const getRouteInstructions = asyncHandler(async (req, res) => {
+  const { language = DEFAULT_LANGUAGE } = req.query;
+
+  const route = await Route.findById(req.params.id)
+    .select('name waypoints totalDistance')
+    .lean();
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  if (!route.waypoints || route.waypoints.length < 2) {
+    throw createError('Route has no waypoints to build instructions from', 422);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      routeId: route._id,
+      name: route.name,
+      language,
+      totalDistance: route.totalDistance,
+      totalDistanceText: formatDistance(route.totalDistance, language),
+      steps: buildInstructions(route.waypoints, language)
+    }
   });
 });
 
+// Exportar una ruta en GPX o KML para apps de navegación de terceros
+const exportRoute = asyncHandler(async (req, res) => {
+  const format = (req.query.format || 'gpx').toLowerCase();
+  const { language = DEFAULT_LANGUAGE } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw createError(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+  }
+
+  const route = await Route.findById(req.params.id).lean();
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  const data = await collectRouteExport(route, language);
+  const filename = toFileName(route.name);
+
+  res.type(EXPORT_FORMATS[format].contentType);
+  res.attachment(`${filename}.${EXPORT_FORMATS[format].extension}`);
+  res.send(format === 'kml' ? buildKml(data) : buildGpx(data));
+});
+
 // Crear nueva ruta
 const createRoute = asyncHandler(async (req, res) => {
   const {
@@ -83,6 +182,7 @@ const createRoute = asyncHandler(async (req, res) => {
     description,
     coordinates,
     beacons,
+    waypoints,
     tags,
     difficulty
   } = req.body;
@@ -99,6 +199,7 @@ const createRoute = asyncHandler(async (req, res) => {
     description,
     coordinates,
     beacons,
+    waypoints,
     tags,
     difficulty,
     createdBy: req.user.id
@@ -129,8 +230,8 @@ const updateRoute = asyncHandler(async (req, res) => {
     throw createError('Route not found', 404);
   }
 
-  // Verificar ownership (solo el creador o admin puede modificar)
-  if (route.createdBy !== req.user.id && req.user.role !== 'admin') {
+  // Verificar ownership (creador, admin o contacto de confianza con manage_routes)
+  if (!(await canManageRoute(route, req.user))) {
     throw createError('You can only update your own routes', 403);
   }
 
@@ -141,6 +242,7 @@ const updateRoute = asyncHandler(async (req, res) => {
     description,
     coordinates,
     beacons,
+    waypoints,
     tags,
     difficulty,
     isActive
@@ -155,10 +257,12 @@ const updateRoute = asyncHandler(async (req, res) => {
   if (description !== undefined) route.description = description;
   if (coordinates !== undefined) route.coordinates = coordinates;
   if (beacons !== undefined) route.beacons = beacons;
+  if (waypoints !== undefined) route.waypoints = waypoints;
   if (tags !== undefined) route.tags = tags;
   if (difficulty !== undefined) route.difficulty = difficulty;
   if (isActive !== undefined) route.isActive = isActive;
 
+  route.$locals.changedBy = req.user.id;
   await route.save();
 
   // Log de auditoría
@@ -176,6 +280,127 @@ const updateRoute = asyncHandler(async (req, res) => {
   });
 });
 
+// Descargar el paquete offline de una ruta (zip con manifiesto, datos y archivos)
+// La ETag es la versión del paquete: con If-None-Match la app recibe 304 si no cambió
+const getRouteBundle = asyncHandler(async (req, res) => {
+  const { language = DEFAULT_LANGUAGE } = req.query;
+
+  const route = await Route.findById(req.params.id).lean();
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  const { buffer, version } = await buildRouteBundle(route, language);
+
+  res.set('ETag', `"${version}"`);
+  res.set('X-Bundle-Version', version);
+  res.type('application/zip');
+  res.attachment(`${toFileName(route.name)}-bundle.zip`);
+  res.send(buffer);
+});
+
+// Obtener el historial de revisiones de una ruta con diferencias campo a campo
+const getRouteRevisions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const route = await Route.findById(req.params.id).select('name revision').lean();
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  // Se pide una revisión extra para calcular las diferencias de la última de la página
+  const revisions = await RouteRevision.find({ routeId: route._id })
+    .sort({ rev: -1 })
+    .skip(offset)
+    .limit(parseInt(limit) + 1)
+    .lean();
+
+  const total = await RouteRevision.countDocuments({ routeId: route._id });
+
+  const history = revisions.slice(0, parseInt(limit)).map((revision, index) => {
+    const previous = revisions[index + 1];
+    return {
+      rev: revision.rev,
+      action: revision.action,
+      restoredFrom: revision.restoredFrom,
+      changedBy: revision.changedBy,
+      createdAt: revision.createdAt,
+      current: revision.rev === route.revision,
+      changes: diffSnapshots(previous ? previous.snapshot : {}, revision.snapshot, REVISION_IGNORED_FIELDS)
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      routeId: route._id,
+      name: route.name,
+      currentRevision: route.revision,
+      revisions: history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Restaurar una revisión anterior (queda registrada como una revisión nueva)
+const restoreRouteRevision = asyncHandler(async (req, res) => {
+  const route = await Route.findById(req.params.id);
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  // Verificar ownership (solo el creador o admin puede restaurar revisiones)
+  if (!isRouteOwner(route, req.user)) {
+    throw createError('You can only update your own routes', 403);
+  }
+
+  const rev = parseInt(req.params.rev);
+  const revision = await RouteRevision.findOne({ routeId: route._id, rev }).lean();
+
+  if (!revision) {
+    throw createError('Revision not found', 404);
+  }
+
+  if (rev === route.revision) {
+    throw createError('Revision is already the current version', 400);
+  }
+
+  const oldData = route.toObject();
+
+  RESTORABLE_FIELDS.forEach(field => {
+    route.set(field, revision.snapshot[field]);
+  });
+
+  route.$locals.changedBy = req.user.id;
+  route.$locals.revisionAction = 'restore';
+  route.$locals.restoredFrom = rev;
+  await route.save();
+
+  // Log de auditoría
+  logAudit('route_restore', 'routes', route._id, req.user.id, {
+    restoredFrom: rev,
+    oldData,
+    newData: route.toObject()
+  });
+
+  logger.info(`Route ${route.name} restored to revision ${rev} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Route restored successfully',
+    data: { route, restoredFrom: rev }
+  });
+});
+
 // Eliminar ruta
 const deleteRoute = asyncHandler(async (req, res) => {
   const route = await Route.findById(req.params.id);
@@ -185,7 +410,7 @@ const deleteRoute = asyncHandler(async (req, res) => {
   }
 
   // Verificar ownership (solo el creador o admin puede eliminar)
-  if (route.createdBy !== req.user.id && req.user.role !== 'admin') {
+  if (!isRouteOwner(route, req.user)) {
     throw createError('You can only delete your own routes', 403);
   }
 
@@ -205,15 +430,64 @@ const deleteRoute = asyncHandler(async (req, res) => {
   });
 });
 
+// Exportar rutas como FeatureCollection GeoJSON
+const exportRoutesGeoJSON = asyncHandler(async (req, res) => {
+  const { isActive, difficulty } = req.query;
+  const query = {};
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === 'true';
+  }
+
+  if (difficulty) {
+    query.difficulty = difficulty;
+  }
+
+  const docs = await Route.find(query).lean();
+
+  sendFeatureCollection(res, docs.map(routeToFeature));
+});
+
+// Importar rutas desde un FeatureCollection GeoJSON (?dryRun=true solo valida)
+const importRoutesGeoJSON = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  const result = await importFeatureCollection({
+    Model: Route,
+    collection: req.body,
+    user: req.user,
+    dryRun,
+    geometryTypes: ['LineString', 'Point'],
+    fromFeature: featureToRoute
+  });
+
+  if (!dryRun) {
+    // Log de auditoría
+    logAudit('route_import', 'routes', null, req.user.id, {
+      created: result.created,
+      updated: result.updated,
+      failed: result.failed
+    });
+
+    logger.info(`Routes imported from GeoJSON: ${result.created} created, ${result.updated} updated by user ${req.user.email}`);
+  }
+
+  res.status(!dryRun && result.created > 0 ? 201 : 200).json({
+    success: true,
+    message: dryRun ? 'GeoJSON validated (dry run)' : 'Routes imported successfully',
+    data: result
+  });
+});
+
 // Buscar rutas cerca de una ubicación
 const getNearbyRoutes = asyncHandler(async (req, res) => {
-  const { latitude, longitude, maxDistance = 1000 } = req.query;
+  const { latitude, longitude, maxDistance = 1000, flagFavorites } = req.query;
 
   if (!latitude || !longitude) {
     throw createError('Latitude and longitude are required', 400);
   }
 
-  const routes = await Route.find({
+  let routes = await Route.find({
     coordinates: {
       $near: {
         $geometry: {
@@ -226,9 +500,17 @@ const getNearbyRoutes = asyncHandler(async (req, res) => {
     isActive: true
   }).lean();
 
+  if (flagFavorites === 'true') {
+    routes = await markFavorites(req.user.id, 'Route', routes);
+  }
+
+  const hazards = await findHazardsAlongRoutes(routes);
+
   res.json({
     success: true,
-    data: { routes }
+    data: {
+      routes: routes.map((route, index) => ({ ...route, hazards: hazards[index] }))
+    }
   });
 });
 
@@ -262,9 +544,16 @@ const getMyRoutes = asyncHandler(async (req, res) => {
 module.exports = {
   getAllRoutes,
   getRouteById,
+  getRouteInstructions,
+  exportRoute,
+  getRouteBundle,
+  getRouteRevisions,
+  restoreRouteRevision,
   createRoute,
   updateRoute,
   deleteRoute,
   getNearbyRoutes,
+  exportRoutesGeoJSON,
+  importRoutesGeoJSON,
   getMyRoutes
 };
\ No newline at end of file
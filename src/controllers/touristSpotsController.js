@@ -1,6 +1,79 @@
-const { TouristSpot } = require('../database/database.orm');
+const { TouristSpot, Review } = require('../database/database.orm');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { logAudit, logger } = require('../config/logger');
+const { touristSpotToFeature, featureToTouristSpot } = require('../utils/geojson');
+const { sendFeatureCollection, importFeatureCollection } = require('../services/geojsonService');
+const { resolveRequestPosition } = require('../services/positioningService');
+const { findHazardsNear } = require('../services/hazardService');
+const { markFavorites } = require('../services/favoritesService');
+const { getOpeningStatus } = require('../utils/openingHours');
+const { DEFAULT_LANGUAGE } = require('../utils/instructions');
+const { ACCESSIBILITY_FEATURES } = require('../utils/accessibilityScore');
+const { WEEKDAYS } = require('../utils/time');
+
+// Máximo de puntos con horario que se evalúan en memoria para openNow/openAt en el listado
+// Si hay más candidatos, solo se consideran los primeros según el orden pedido (truncated: true)
+const MAX_OPENING_SCAN = parseInt(process.env.MAX_OPENING_SCAN) || 2000;
+
+// Puntos con algún dato de horario (lo mismo que hasOpeningHours, como filtro de MongoDB)
+// Incluye los días en el formato antiguo { open, close }
+const HAS_OPENING_HOURS_FILTER = {
+  $or: [
+    ...WEEKDAYS.flatMap(day => [
+      { [`schedule.${day}.0`]: { $exists: true } },
+      { [`schedule.${day}.open`]: { $exists: true } }
+    ]),
+    { 'schedule.exceptions.0': { $exists: true } }
+  ]
+};
+
+// Filtros de accesibilidad: features=hasRamp,acceptsGuideDogs (todas requeridas) y minAccessibilityScore
+const applyAccessibilityFilters = (query, { features, minAccessibilityScore }) => {
+  if (features) {
+    const requested = String(features).split(',').map(feature => feature.trim()).filter(Boolean);
+    const unknown = requested.filter(feature => !ACCESSIBILITY_FEATURES.includes(feature));
+
+    if (unknown.length > 0) {
+      throw createError(`Unknown accessibility features: ${unknown.join(', ')}. Allowed: ${ACCESSIBILITY_FEATURES.join(', ')}`, 400);
+    }
+
+    requested.forEach(feature => {
+      query[`accessibility.${feature}`] = true;
+    });
+  }
+
+  if (minAccessibilityScore !== undefined) {
+    const score = Number(minAccessibilityScore);
+    if (Number.isNaN(score) || score < 0 || score > 100) {
+      throw createError('minAccessibilityScore must be a number between 0 and 100', 400);
+    }
+    query.accessibilityScore = { $gte: score };
+  }
+
+  return query;
+};
+
+// Instante para el filtro de horario: openAt (ISO 8601, con zona) u openNow=true; null sin filtro
+const parseOpeningFilter = ({ openNow, openAt }) => {
+  if (openAt !== undefined) {
+    const at = new Date(openAt);
+    if (Number.isNaN(at.getTime())) {
+      throw createError('openAt must be a valid ISO 8601 date-time', 400);
+    }
+    return at;
+  }
+
+  return openNow === 'true' ? new Date() : null;
+};
+
+// Añadir a cada punto su estado de apertura en el instante indicado
+const withOpeningStatus = (spots, at, language) => spots.map(spot => ({
+  ...spot,
+  openingStatus: getOpeningStatus(spot, at, language)
+}));
+
+// Idioma del anuncio hablado de horario
+const requestLanguage = (req) => req.query.language || req.acceptsLanguages('es', 'en') || DEFAULT_LANGUAGE;
 
 // Obtener todos los puntos turísticos
 const getAllTouristSpots = asyncHandler(async (req, res) => {
@@ -10,12 +83,17 @@ const getAllTouristSpots = asyncHandler(async (req, res) => {
     search, 
     category, 
     isActive,
+    flagFavorites,
+    openNow,
+    openAt,
     sortBy = 'createdAt',
     sortOrder = 'desc'
   } = req.query;
 
   const offset = (page - 1) * limit;
   const query = {};
+  const openingAt = parseOpeningFilter({ openNow, openAt });
+  const language = requestLanguage(req);
 
   // Filtros
   if (search) {
@@ -34,27 +112,57 @@ const getAllTouristSpots = asyncHandler(async (req, res) => {
     query.isActive = isActive === 'true';
   }
 
-  // Ordenamiento
+  applyAccessibilityFilters(query, req.query);
+
+  // Ordenamiento (sortBy=accessibilityScore para los más accesibles primero)
   const sort = {};
   sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
 
-  const touristSpots = await TouristSpot.find(query)
-    .sort(sort)
-    .skip(offset)
-    .limit(parseInt(limit))
-    .lean();
-
-  const total = await TouristSpot.countDocuments(query);
+  let touristSpots;
+  let total;
+  let truncated;
+
+  if (openingAt) {
+    // El estado de apertura depende de la zona horaria y los feriados de cada punto:
+    // se evalúa en memoria sobre los puntos con horario (como máximo MAX_OPENING_SCAN, leyendo
+    // solo el horario) y se pagina sobre el resultado filtrado
+    const candidates = await TouristSpot.find({ $and: [query, HAS_OPENING_HOURS_FILTER] })
+      .sort(sort)
+      .limit(MAX_OPENING_SCAN + 1)
+      .select('schedule timezone')
+      .lean();
+    truncated = candidates.length > MAX_OPENING_SCAN;
+
+    const openIds = candidates
+      .slice(0, MAX_OPENING_SCAN)
+      .filter(spot => getOpeningStatus(spot, openingAt, language).isOpen)
+      .map(spot => String(spot._id));
+    const pageIds = openIds.slice(offset, offset + parseInt(limit));
+
+    const page = await TouristSpot.find({ _id: { $in: pageIds } }).lean();
+    const byId = new Map(page.map(spot => [String(spot._id), spot]));
+    touristSpots = withOpeningStatus(pageIds.map(id => byId.get(id)).filter(Boolean), openingAt, language);
+    total = openIds.length;
+  } else {
+    touristSpots = withOpeningStatus(await TouristSpot.find(query)
+      .sort(sort)
+      .skip(offset)
+      .limit(parseInt(limit))
+      .lean(), new Date(), language);
+    total = await TouristSpot.countDocuments(query);
+  }
 
   res.json({
     success: true,
     data: {
-      touristSpots,
+      // Con flagFavorites=true cada punto indica si es favorito del usuario
+      touristSpots: flagFavorites === 'true' ? await markFavorites(req.user.id, 'TouristSpot', touristSpots) : touristSpots,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
         total,
-        pages: Math.ceil(total / limit)
+        pages: Math.ceil(total / limit),
+        truncated
       }
     }
   });
@@ -70,7 +178,10 @@ const getTouristSpotById = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { touristSpot }
+    data: {
+      touristSpot,
+      openingStatus: getOpeningStatus(touristSpot, new Date(), requestLanguage(req))
+    }
   });
 });
 
@@ -85,6 +196,7 @@ const createTouristSpot = asyncHandler(async (req, res) => {
     accessibility,
     images,
     schedule,
+    timezone,
     contact,
     tags
   } = req.body;
@@ -103,6 +215,7 @@ const createTouristSpot = asyncHandler(async (req, res) => {
     accessibility,
     images,
     schedule,
+    timezone,
     contact,
     tags,
     createdBy: req.user.id
@@ -147,6 +260,7 @@ const updateTouristSpot = asyncHandler(async (req, res) => {
     accessibility,
     images,
     schedule,
+    timezone,
     contact,
     tags,
     isActive
@@ -163,6 +277,7 @@ const updateTouristSpot = asyncHandler(async (req, res) => {
   if (accessibility !== undefined) touristSpot.accessibility = accessibility;
   if (images !== undefined) touristSpot.images = images;
   if (schedule !== undefined) touristSpot.schedule = schedule;
+  if (timezone !== undefined) touristSpot.timezone = timezone;
   if (contact !== undefined) touristSpot.contact = contact;
   if (tags !== undefined) touristSpot.tags = tags;
   if (isActive !== undefined) touristSpot.isActive = isActive;
@@ -198,6 +313,7 @@ const deleteTouristSpot = asyncHandler(async (req, res) => {
   }
 
   await TouristSpot.findByIdAndDelete(req.params.id);
+  await Review.deleteMany({ touristSpotId: touristSpot._id });
 
   // Log de auditoría
   logAudit('tourist_spot_delete', 'tourist_spots', touristSpot._id, req.user.id, {
@@ -213,29 +329,79 @@ const deleteTouristSpot = asyncHandler(async (req, res) => {
   });
 });
 
+// Exportar puntos turísticos como FeatureCollection GeoJSON
+const exportTouristSpotsGeoJSON = asyncHandler(async (req, res) => {
+  const { isActive, category } = req.query;
+  const query = {};
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === 'true';
+  }
+
+  if (category) {
+    query.category = category;
+  }
+
+  const docs = await TouristSpot.find(query).lean();
+
+  sendFeatureCollection(res, docs.map(touristSpotToFeature));
+});
+
+// Importar puntos turísticos desde un FeatureCollection GeoJSON (?dryRun=true solo valida)
+const importTouristSpotsGeoJSON = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  const result = await importFeatureCollection({
+    Model: TouristSpot,
+    collection: req.body,
+    user: req.user,
+    dryRun,
+    geometryTypes: ['Point'],
+    fromFeature: featureToTouristSpot
+  });
+
+  if (!dryRun) {
+    // Log de auditoría
+    logAudit('tourist_spot_import', 'tourist_spots', null, req.user.id, {
+      created: result.created,
+      updated: result.updated,
+      failed: result.failed
+    });
+
+    logger.info(`Tourist spots imported from GeoJSON: ${result.created} created, ${result.updated} updated by user ${req.user.email}`);
+  }
+
+  res.status(!dryRun && result.created > 0 ? 201 : 200).json({
+    success: true,
+    message: dryRun ? 'GeoJSON validated (dry run)' : 'Tourist spots imported successfully',
+    data: result
+  });
+});
+
 // Buscar puntos turísticos cerca de una ubicación
 const getNearbyTouristSpots = asyncHandler(async (req, res) => {
-  const { latitude, longitude, maxDistance = 1000 } = req.query;
+  const { maxDistance = 1000, flagFavorites } = req.query;
+  const openingAt = parseOpeningFilter(req.query);
 
-  if (!latitude || !longitude) {
-    throw createError('Latitude and longitude are required', 400);
-  }
+  // Posición por GPS o estimada a partir de beacons (interiores)
+  const location = await resolveRequestPosition(req.query);
+  const [longitude, latitude] = location.position;
 
-  const touristSpots = await TouristSpot.find({
+  const touristSpots = await TouristSpot.find(applyAccessibilityFilters({
     ubicacion: {
       $near: {
         $geometry: {
           type: 'Point',
-          coordinates: [parseFloat(longitude), parseFloat(latitude)]
+          coordinates: location.position
         },
-        $maxDistance: parseInt(maxDistance)
+        $maxDistance: parseInt(maxDistance) + location.accuracy
       }
     },
     isActive: true
-  }).lean();
+  }, req.query)).lean();
 
   // Calcular distancia para cada punto
-  const spotsWithDistance = touristSpots.map(spot => {
+  let spotsWithDistance = touristSpots.map(spot => {
     const distance = spot.calculateDistance ? 
       spot.calculateDistance(parseFloat(latitude), parseFloat(longitude)) : 
       null;
@@ -246,9 +412,23 @@ const getNearbyTouristSpots = asyncHandler(async (req, res) => {
     };
   });
 
+  spotsWithDistance = withOpeningStatus(spotsWithDistance, openingAt || new Date(), requestLanguage(req));
+
+  // Con openNow=true u openAt solo los puntos abiertos en ese instante
+  if (openingAt) {
+    spotsWithDistance = spotsWithDistance.filter(spot => spot.openingStatus.isOpen);
+  }
+
+  if (flagFavorites === 'true') {
+    spotsWithDistance = await markFavorites(req.user.id, 'TouristSpot', spotsWithDistance);
+  }
+
+  // Obstáculos vigentes en el mismo radio de búsqueda
+  const hazards = await findHazardsNear(location.position, parseInt(maxDistance) + location.accuracy);
+
   res.json({
     success: true,
-    data: { touristSpots: spotsWithDistance }
+    data: { touristSpots: spotsWithDistance, hazards, location }
   });
 });
 
@@ -317,6 +497,8 @@ module.exports = {
   updateTouristSpot,
   deleteTouristSpot,
   getNearbyTouristSpots,
+  exportTouristSpotsGeoJSON,
+  importTouristSpotsGeoJSON,
   getMyTouristSpots,
   getTouristSpotsByCategory
 };
\ No newline at end of file
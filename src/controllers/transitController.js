@@ -0,0 +1,299 @@
+const {
+  Route,
+  TransitStop,
+  TransitRoute,
+  TransitTrip,
+  TransitStopTime
+} = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { startGtfsImport, getImportJob, resolveFeedPath } = require('../services/gtfsImporter');
+const { hasRequestPosition, resolveRequestPosition } = require('../services/positioningService');
+const { publishedFeedFilter } = require('../services/transitFeeds');
+const { haversineDistance, nearestPointOnSegment } = require('../utils/geo');
+const { getPhrases, formatDistance, DEFAULT_LANGUAGE } = require('../utils/instructions');
+const { getRealtimeStatus } = require('../services/gtfsRealtimePoller');
+const { getStopArrivals: findStopArrivals, DEFAULT_ARRIVALS_WINDOW } = require('../services/transitArrivals');
+
+// Importar un feed GTFS estático desde el directorio de importación (solo admin)
+// La importación se ejecuta en segundo plano; su estado se consulta en /import/:jobId
+const importFeed = asyncHandler(async (req, res) => {
+  const { file, feedId = 'default' } = req.body;
+
+  if (!file) {
+    throw createError('GTFS file name is required', 400);
+  }
+
+  const userId = req.user.id;
+  const job = startGtfsImport(resolveFeedPath(file), feedId, {
+    changedBy: userId,
+    // Log de auditoría al terminar la importación
+    onComplete: summary => logAudit('gtfs_import', 'transit', feedId, userId, summary)
+  });
+
+  logger.info(`GTFS import of feed ${feedId} started by user ${req.user.email}`);
+
+  res.status(202).json({
+    success: true,
+    message: 'GTFS import started',
+    data: { job }
+  });
+});
+
+// Consultar el estado de una importación GTFS (solo admin)
+const getImportStatus = asyncHandler(async (req, res) => {
+  const job = getImportJob(req.params.jobId);
+
+  if (!job) {
+    throw createError('Import job not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+});
+
+// Vincular manualmente una ruta con rutas y paradas GTFS
+const linkRoute = asyncHandler(async (req, res) => {
+  const route = await Route.findById(req.params.routeId);
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  // Verificar ownership (solo el creador o admin puede modificar)
+  if (route.createdBy !== req.user.id && req.user.role !== 'admin') {
+    throw createError('You can only update your own routes', 403);
+  }
+
+  const { feedId = 'default', routeIds = [], stopIds = [] } = req.body;
+
+  if (!Array.isArray(routeIds) || !Array.isArray(stopIds)) {
+    throw createError('routeIds and stopIds must be arrays', 400);
+  }
+
+  const feed = await publishedFeedFilter(feedId);
+  const [foundRoutes, foundStops] = await Promise.all([
+    TransitRoute.distinct('routeId', { ...feed, routeId: { $in: routeIds } }),
+    TransitStop.distinct('stopId', { ...feed, stopId: { $in: stopIds } })
+  ]);
+
+  const unknownRoutes = routeIds.filter(id => !foundRoutes.includes(id));
+  const unknownStops = stopIds.filter(id => !foundStops.includes(id));
+  if (unknownRoutes.length > 0 || unknownStops.length > 0) {
+    throw createError(`Unknown GTFS routes or stops: ${[...unknownRoutes, ...unknownStops].join(', ')}`, 400);
+  }
+
+  const oldData = route.transit ? route.toObject().transit : null;
+
+  route.transit = {
+    feedId,
+    routeIds,
+    stopIds,
+    linkMode: 'manual',
+    linkedAt: new Date()
+  };
+  route.$locals.changedBy = req.user.id;
+  route.$locals.revisionAction = 'transit_link';
+  await route.save();
+
+  // Log de auditoría
+  logAudit('route_transit_link', 'routes', route._id, req.user.id, {
+    oldData,
+    newData: route.toObject().transit
+  });
+
+  logger.info(`Route ${route.name} linked to GTFS by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Route linked to transit data successfully',
+    data: { transit: route.transit }
+  });
+});
+
+// Paradas de un viaje representativo de las líneas vinculadas, ordenadas por stop_sequence
+// feed: filtro de la versión publicada del feed (publishedFeedFilter)
+const findTripSequence = async (feed, routeIds, directionId) => {
+  const query = { ...feed, routeId: { $in: routeIds } };
+  if (Number.isInteger(directionId)) {
+    query.directionId = directionId;
+  }
+
+  const trip = await TransitTrip.findOne(query).sort({ directionId: 1, tripId: 1 }).lean();
+  if (!trip) return null;
+
+  const stopTimes = await TransitStopTime.find({ ...feed, tripId: trip.tripId })
+    .sort({ stopSequence: 1 })
+    .select('stopId stopSequence')
+    .lean();
+  const tripStops = await TransitStop.find({ ...feed, stopId: { $in: stopTimes.map(stopTime => stopTime.stopId) } }).lean();
+  const stopsById = new Map(tripStops.map(stop => [stop.stopId, stop]));
+
+  const sequence = stopTimes
+    .filter(stopTime => stopsById.has(stopTime.stopId))
+    .map(stopTime => ({ ...stopsById.get(stopTime.stopId), stopSequence: stopTime.stopSequence }));
+
+  return { trip, sequence };
+};
+
+// Próxima parada: se ubica al usuario en el tramo entre paradas consecutivas más cercano
+// y se anuncia la parada al final de ese tramo (o la primera si aún no ha llegado a ella)
+// Sin líneas vinculadas no hay orden conocido y se usa la parada vinculada más cercana
+const findNextStop = async ({ feed, routeIds, stops, directionId, position }) => {
+  const tripSequence = routeIds.length > 0 ? await findTripSequence(feed, routeIds, directionId) : null;
+
+  if (!tripSequence || tripSequence.sequence.length < 2) {
+    let nearest = null;
+    stops.forEach(stop => {
+      const distance = haversineDistance(position, stop.location.coordinates);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { stopId: stop.stopId, name: stop.name, distance: Math.round(distance) };
+      }
+    });
+    return nearest;
+  }
+
+  const { trip, sequence } = tripSequence;
+
+  let best = null;
+  for (let i = 0; i < sequence.length - 1; i++) {
+    const segment = nearestPointOnSegment(position, sequence[i].location.coordinates, sequence[i + 1].location.coordinates);
+    if (!best || segment.distance < best.distance) {
+      best = { index: i, ...segment };
+    }
+  }
+
+  const next = best.index === 0 && best.fraction === 0 ? sequence[0] : sequence[best.index + 1];
+
+  return {
+    stopId: next.stopId,
+    name: next.name,
+    stopSequence: next.stopSequence,
+    routeId: trip.routeId,
+    directionId: trip.directionId,
+    headsign: trip.headsign,
+    distance: Math.round(haversineDistance(position, next.location.coordinates))
+  };
+};
+
+// Obtener líneas, sentidos y próxima parada de una ruta vinculada a GTFS
+const getRouteTransit = asyncHandler(async (req, res) => {
+  const { language = DEFAULT_LANGUAGE } = req.query;
+  const p = getPhrases(language);
+
+  const route = await Route.findById(req.params.routeId)
+    .select('name transportName transit')
+    .lean();
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  if (!route.transit || !route.transit.feedId) {
+    throw createError('Route is not linked to transit data', 404);
+  }
+
+  const { feedId, routeIds = [], stopIds = [] } = route.transit;
+
+  const feed = await publishedFeedFilter(feedId);
+  const [transitRoutes, stops, directions] = await Promise.all([
+    TransitRoute.find({ ...feed, routeId: { $in: routeIds } }).lean(),
+    TransitStop.find({ ...feed, stopId: { $in: stopIds } }).lean(),
+    TransitTrip.aggregate([
+      { $match: { ...feed, routeId: { $in: routeIds } } },
+      { $group: { _id: { routeId: '$routeId', directionId: '$directionId', headsign: '$headsign' } } }
+    ])
+  ]);
+
+  // Próxima parada según el orden de paradas del viaje y el avance del usuario sobre él
+  let nextStop = null;
+  if (hasRequestPosition(req.query)) {
+    const location = await resolveRequestPosition(req.query);
+    const directionId = req.query.directionId !== undefined ? parseInt(req.query.directionId, 10) : undefined;
+    nextStop = await findNextStop({ feed, routeIds, stops, directionId, position: location.position });
+  }
+
+  const lines = transitRoutes.map(transitRoute => {
+    const lineName = transitRoute.shortName || transitRoute.longName;
+    const lineDirections = directions
+      .filter(direction => direction._id.routeId === transitRoute.routeId && direction._id.headsign)
+      .map(direction => ({
+        directionId: direction._id.directionId,
+        headsign: direction._id.headsign,
+        announcement: `${p.line(lineName)} ${p.direction(direction._id.headsign)}.`
+      }));
+
+    return {
+      routeId: transitRoute.routeId,
+      shortName: transitRoute.shortName,
+      longName: transitRoute.longName,
+      routeType: transitRoute.routeType,
+      color: transitRoute.color,
+      directions: lineDirections
+    };
+  });
+
+  if (nextStop) {
+    nextStop.announcement = `${p.nextStop(nextStop.name, formatDistance(nextStop.distance, language))}.`;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      routeId: route._id,
+      name: route.name,
+      transportName: route.transportName,
+      feedId,
+      lines,
+      stops: stops.map(stop => ({
+        stopId: stop.stopId,
+        code: stop.code,
+        name: stop.name,
+        location: stop.location,
+        wheelchairBoarding: stop.wheelchairBoarding
+      })),
+      nextStop
+    }
+  });
+});
+
+// Próximas llegadas a una parada combinando horario y predicciones en tiempo real
+const getStopArrivals = asyncHandler(async (req, res) => {
+  const { feedId = 'default' } = req.query;
+  const windowMinutes = Math.min(parseInt(req.query.window) || DEFAULT_ARRIVALS_WINDOW, 180);
+  const limit = parseInt(req.query.limit) || 10;
+  const language = req.query.language || req.acceptsLanguages('es', 'en') || DEFAULT_LANGUAGE;
+
+  const stop = await TransitStop.findOne({ ...await publishedFeedFilter(feedId), stopId: req.params.id }).lean();
+
+  if (!stop) {
+    throw createError('Transit stop not found', 404);
+  }
+
+  const result = await findStopArrivals(stop, { windowMinutes, limit, language });
+
+  res.json({
+    success: true,
+    data: {
+      stop: {
+        stopId: stop.stopId,
+        name: stop.name,
+        location: stop.location,
+        wheelchairBoarding: stop.wheelchairBoarding
+      },
+      language,
+      realtime: getRealtimeStatus(),
+      arrivals: result
+    }
+  });
+});
+
+module.exports = {
+  importFeed,
+  getImportStatus,
+  linkRoute,
+  getRouteTransit,
+  getStopArrivals
+};
@@ -0,0 +1,289 @@
+const { Trip, Route } = require('../database/database.orm');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { logAudit, logger } = require('../config/logger');
+const { hasRequestPosition, resolveRequestPosition } = require('../services/positioningService');
+const { locateOnRoute } = require('../utils/tripProgress');
+const {
+  buildInstructions,
+  getPhrases,
+  formatDistance,
+  formatDuration,
+  DEFAULT_LANGUAGE
+} = require('../utils/instructions');
+
+const WALKING_SPEED = parseFloat(process.env.NAVIGATION_WALKING_SPEED) || 1.0; // m/s
+const MIN_SPEED = 0.3; // m/s, límites para la velocidad observada
+const MAX_SPEED = 2.0;
+const MAX_TRACK_POINTS = 2000;
+
+// Buscar un viaje del usuario actual (o cualquiera si es admin)
+const findOwnTrip = async (id, user) => {
+  const trip = await Trip.findById(id);
+
+  if (!trip) {
+    throw createError('Trip not found', 404);
+  }
+
+  if (trip.userId !== user.id && user.role !== 'admin') {
+    throw createError('You can only access your own trips', 403);
+  }
+
+  return trip;
+};
+
+// Velocidad del usuario: la observada en el viaje si hay datos suficientes
+const estimateSpeed = (trip, distanceAlong, now) => {
+  const elapsed = (now - trip.startedAt) / 1000;
+  if (elapsed < 60 || distanceAlong < 20) {
+    return WALKING_SPEED;
+  }
+  return Math.min(MAX_SPEED, Math.max(MIN_SPEED, distanceAlong / elapsed));
+};
+
+// Actualizar el avance del viaje con una nueva posición y construir la respuesta hablada
+const applyPosition = (trip, route, location, now = new Date()) => {
+  const p = getPhrases(trip.language);
+  const located = locateOnRoute(location.position, route.waypoints, trip.currentWaypoint);
+  const steps = buildInstructions(route.waypoints, trip.language);
+
+  const remainingSeconds = located.distanceRemaining / estimateSpeed(trip, located.distanceAlong, now);
+
+  trip.currentWaypoint = located.segment;
+  trip.progress = located.arrived ? 100 : Math.round(located.progress * 10) / 10;
+  trip.distanceRemaining = located.arrived ? 0 : Math.round(located.distanceRemaining);
+  trip.eta = new Date(now.getTime() + (located.arrived ? 0 : remainingSeconds * 1000));
+  trip.offRoute = located.offRoute;
+  trip.lastPosition = { position: location.position, accuracy: location.accuracy, source: location.source, at: now };
+  trip.track.push({ position: location.position, accuracy: location.accuracy, at: now });
+  if (trip.track.length > MAX_TRACK_POINTS) {
+    trip.track.splice(0, trip.track.length - MAX_TRACK_POINTS);
+  }
+
+  // La siguiente maniobra ocurre al llegar al waypoint que cierra el tramo actual
+  const nextStep = steps[located.segment + 1];
+  let nextInstruction = null;
+  if (located.arrived) {
+    nextInstruction = { ...steps[steps.length - 1], distance: 0, announcement: steps[steps.length - 1].instruction };
+  } else if (nextStep) {
+    const distance = Math.round(located.distanceToNextWaypoint);
+    nextInstruction = {
+      ...nextStep,
+      distance,
+      announcement: `${p.inDistance(formatDistance(distance, trip.language))}: ${nextStep.instruction}`
+    };
+  }
+
+  return {
+    currentWaypoint: trip.currentWaypoint,
+    progress: trip.progress,
+    distanceRemaining: trip.distanceRemaining,
+    distanceFromRoute: Math.round(located.distanceFromRoute),
+    eta: trip.eta,
+    offRoute: trip.offRoute,
+    arrived: located.arrived,
+    nextInstruction,
+    announcement: located.offRoute
+      ? `${p.offRoute}.`
+      : located.arrived
+        ? nextInstruction.announcement
+        : `${p.remaining(formatDistance(trip.distanceRemaining, trip.language), formatDuration(remainingSeconds, trip.language))}.`
+  };
+};
+
+// Cargar la ruta de un viaje con sus waypoints
+const loadTripRoute = async (routeId) => {
+  const route = await Route.findById(routeId).select('name waypoints totalDistance revision isActive').lean();
+
+  if (!route) {
+    throw createError('Route not found', 404);
+  }
+
+  if (!route.waypoints || route.waypoints.length < 2) {
+    throw createError('Route has no waypoints to follow', 422);
+  }
+
+  return route;
+};
+
+// Iniciar un viaje sobre una ruta
+const startTrip = asyncHandler(async (req, res) => {
+  const { routeId, language = DEFAULT_LANGUAGE } = req.body;
+
+  if (!routeId) {
+    throw createError('Route ID is required', 400);
+  }
+
+  const active = await Trip.findOne({ userId: req.user.id, status: 'active' }).select('_id').lean();
+  if (active) {
+    throw createError(`You already have an active trip (${active._id})`, 409);
+  }
+
+  const route = await loadTripRoute(routeId);
+
+  if (!route.isActive) {
+    throw createError('Route is not active', 422);
+  }
+
+  const trip = new Trip({
+    userId: req.user.id,
+    routeId: route._id,
+    routeRevision: route.revision,
+    language,
+    distanceRemaining: route.totalDistance
+  });
+
+  // Posición inicial opcional
+  let progress = null;
+  if (hasRequestPosition(req.body)) {
+    const location = await resolveRequestPosition(req.body);
+    progress = applyPosition(trip, route, location);
+  }
+
+  try {
+    await trip.save();
+  } catch (error) {
+    // Otra petición simultánea inició un viaje (índice único de viaje activo por usuario)
+    if (error.code !== 11000) throw error;
+    const existing = await Trip.findOne({ userId: req.user.id, status: 'active' }).select('_id').lean();
+    throw createError(`You already have an active trip (${existing ? existing._id : 'unknown'})`, 409);
+  }
+
+  logger.info(`Trip started on route ${route.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Trip started successfully',
+    data: { trip, progress }
+  });
+});
+
+// Registrar una nueva posición del viaje
+const updateTripPosition = asyncHandler(async (req, res) => {
+  const trip = await findOwnTrip(req.params.id, req.user);
+
+  if (trip.status !== 'active') {
+    throw createError('Trip is not active', 409);
+  }
+
+  const location = await resolveRequestPosition(req.body);
+  const route = await loadTripRoute(trip.routeId);
+  const progress = applyPosition(trip, route, location);
+
+  await trip.save();
+
+  res.json({
+    success: true,
+    data: {
+      tripId: trip._id,
+      routeId: trip.routeId,
+      status: trip.status,
+      progress
+    }
+  });
+});
+
+// Cerrar un viaje como completado o abandonado
+const closeTrip = (status) => asyncHandler(async (req, res) => {
+  const trip = await findOwnTrip(req.params.id, req.user);
+
+  if (trip.status !== 'active') {
+    throw createError('Trip is not active', 409);
+  }
+
+  trip.status = status;
+  trip.endedAt = new Date();
+  if (status === 'completed') {
+    trip.progress = 100;
+    trip.distanceRemaining = 0;
+  }
+
+  await trip.save();
+
+  // Log de auditoría
+  logAudit(`trip_${status}`, 'trips', trip._id, req.user.id, {
+    routeId: trip.routeId,
+    progress: trip.progress,
+    durationSeconds: Math.round((trip.endedAt - trip.startedAt) / 1000)
+  });
+
+  logger.info(`Trip ${trip._id} ${status} by user ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Trip ${status}`,
+    data: { trip }
+  });
+});
+
+// Obtener el viaje activo del usuario actual
+const getActiveTrip = asyncHandler(async (req, res) => {
+  const trip = await Trip.findOne({ userId: req.user.id, status: 'active' })
+    .select('-track')
+    .populate('routeId', 'name location transportName totalDistance')
+    .lean();
+
+  res.json({
+    success: true,
+    data: { trip }
+  });
+});
+
+// Historial de viajes del usuario actual
+const getMyTrips = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, routeId } = req.query;
+  const offset = (page - 1) * limit;
+  const query = { userId: req.user.id };
+
+  // Filtros
+  if (status) {
+    query.status = status;
+  }
+
+  if (routeId) {
+    query.routeId = routeId;
+  }
+
+  const trips = await Trip.find(query)
+    .select('-track')
+    .populate('routeId', 'name location transportName totalDistance')
+    .sort({ startedAt: -1 })
+    .skip(offset)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await Trip.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      trips,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Obtener viaje por ID (incluye el recorrido registrado)
+const getTripById = asyncHandler(async (req, res) => {
+  const trip = await findOwnTrip(req.params.id, req.user);
+  await trip.populate('routeId', 'name location transportName totalDistance');
+
+  res.json({
+    success: true,
+    data: { trip }
+  });
+});
+
+module.exports = {
+  startTrip,
+  updateTripPosition,
+  endTrip: closeTrip('completed'),
+  abandonTrip: closeTrip('abandoned'),
+  getActiveTrip,
+  getMyTrips,
+  getTripById
+};
@@ -1,6 +1,15 @@
 const { VoiceGuide } = require('../database/database.orm');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { logAudit, logger } = require('../config/logger');
+const { getAudioMetadata, findMediaByUrl } = require('../services/mediaService');
+const { resolveUploadPath } = require('../utils/uploads');
+
+// Duración y formato de la guía a partir del audio subido (la duración enviada por el cliente se ignora)
+const applyAudioMetadata = async (voiceGuide, audioUrl) => {
+  const { duration, ...audio } = await getAudioMetadata(audioUrl);
+  voiceGuide.duration = duration;
+  voiceGuide.audio = audio;
+};
 
 // Obtener todas las guías de voz
 const getAllVoiceGuides = asyncHandler(async (req, res) => {
@@ -74,6 +83,47 @@ const getVoiceGuideById = asyncHandler(async (req, res) => {
   });
 });
 
+// Reproducir el audio de una guía de voz
+// sendFile responde a Range (206/416) y a If-None-Match/If-Modified-Since/If-Range (304/412),
+// así la app puede retomar una guía a medias sin descargarla de nuevo
+const streamVoiceGuideAudio = asyncHandler(async (req, res) => {
+  const voiceGuide = await VoiceGuide.findById(req.params.id).select('audioUrl').lean();
+
+  if (!voiceGuide) {
+    throw createError('Voice guide not found', 404);
+  }
+
+  const filePath = resolveUploadPath(voiceGuide.audioUrl);
+  if (!filePath) {
+    throw createError('Voice guide audio is not hosted on this server', 404);
+  }
+
+  // Con el registro de la subida: tipo detectado por contenido y ETag fuerte a partir del hash
+  const media = await findMediaByUrl(voiceGuide.audioUrl);
+  if (media) {
+    res.type(media.mimeType);
+    res.set('ETag', `"${media.hash}"`);
+  }
+
+  // Respuesta autenticada: solo cachés privadas y siempre revalidando
+  res.set('Cache-Control', 'private, no-cache');
+
+  await new Promise((resolve, reject) => {
+    res.sendFile(filePath, { cacheControl: false, dotfiles: 'deny' }, (error) => {
+      if (!error || res.headersSent) {
+        // Una descarga interrumpida por el cliente no es un error del servidor
+        return resolve();
+      }
+      ['Content-Type', 'ETag', 'Cache-Control'].forEach(header => res.removeHeader(header));
+      if (error.code === 'ENOENT' || error.status === 404) {
+        return reject(createError('Voice guide audio file not found', 404));
+      }
+      // 416 (rango fuera del archivo) conserva el Content-Range "bytes */tamaño" que puso sendFile
+      reject(error.status === 416 ? createError('Requested range not satisfiable', 416) : error);
+    });
+  });
+});
+
 // Crear nueva guía de voz
 const createVoiceGuide = asyncHandler(async (req, res) => {
   const {
@@ -82,7 +132,6 @@ const createVoiceGuide = asyncHandler(async (req, res) => {
     mapImageUrl,
     audioUrl,
     estado = 'active',
-    duration,
     language = 'es',
     quality = 'medium'
   } = req.body;
@@ -98,12 +147,14 @@ const createVoiceGuide = asyncHandler(async (req, res) => {
     mapImageUrl,
     audioUrl,
     estado,
-    duration,
     language,
     quality,
     createdBy: req.user.id
   });
 
+  // Rechazar audios dañados o no admitidos antes de aceptar la URL
+  await applyAudioMetadata(voiceGuide, audioUrl);
+
   await voiceGuide.save();
 
   // Poblar referencias para respuesta
@@ -144,7 +195,6 @@ const updateVoiceGuide = asyncHandler(async (req, res) => {
     mapImageUrl,
     audioUrl,
     estado,
-    duration,
     language,
     quality
   } = req.body;
@@ -155,9 +205,11 @@ const updateVoiceGuide = asyncHandler(async (req, res) => {
   if (routeId !== undefined) voiceGuide.routeId = routeId;
   if (messageId !== undefined) voiceGuide.messageId = messageId;
   if (mapImageUrl !== undefined) voiceGuide.mapImageUrl = mapImageUrl;
-  if (audioUrl !== undefined) voiceGuide.audioUrl = audioUrl;
+  if (audioUrl !== undefined && audioUrl !== voiceGuide.audioUrl) {
+    await applyAudioMetadata(voiceGuide, audioUrl);
+    voiceGuide.audioUrl = audioUrl;
+  }
   if (estado !== undefined) voiceGuide.estado = estado;
-  if (duration !== undefined) voiceGuide.duration = duration;
   if (language !== undefined) voiceGuide.language = language;
   if (quality !== undefined) voiceGuide.quality = quality;
 
@@ -262,6 +314,7 @@ const getMyVoiceGuides = asyncHandler(async (req, res) => {
 module.exports = {
   getAllVoiceGuides,
   getVoiceGuideById,
+  streamVoiceGuideAudio,
   createVoiceGuide,
   updateVoiceGuide,
   deleteVoiceGuide,
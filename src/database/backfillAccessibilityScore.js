@@ -0,0 +1,71 @@
+require('dotenv').config();
+const { connectMongoDB, mongoose } = require('../config/mongodb');
+const { TouristSpot } = require('./database.orm');
+const { computeAccessibilityScore } = require('../utils/accessibilityScore');
+const { logger } = require('../config/logger');
+
+const BATCH_SIZE = 500;
+
+// Calcular accessibilityScore de los puntos turísticos guardados antes de existir el campo
+// (o con la puntuación desactualizada). Se puede ejecutar varias veces sin efectos adicionales
+// Uso: npm run accessibility:backfill
+async function backfillAccessibilityScore() {
+  try {
+    await connectMongoDB();
+
+    const cursor = TouristSpot.find({}).select('accessibility accessibilityScore').lean().cursor();
+    let operations = [];
+    let scanned = 0;
+    let updated = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await TouristSpot.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    };
+
+    for await (const spot of cursor) {
+      scanned++;
+      const { score } = computeAccessibilityScore(spot.accessibility || {});
+      if (spot.accessibilityScore === score) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: spot._id },
+          update: { $set: { accessibilityScore: score } },
+          timestamps: false
+        }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    logger.info(`Accessibility score backfill completed: ${updated} of ${scanned} tourist spots updated`);
+    return { scanned, updated };
+  } catch (error) {
+    logger.error('❌ Accessibility score backfill failed:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  backfillAccessibilityScore()
+    .then((summary) => {
+      console.log('Accessibility score backfill completed successfully', summary);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Accessibility score backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillAccessibilityScore };
@@ -1,5 +1,56 @@
 // MongoDB Schemas - Datos generales y no sensibles
 const mongoose = require('mongoose');
+const { isValidPosition, haversineDistance, initialBearing } = require('../utils/geo');
+const { computeRouteDifficulty } = require('../utils/difficulty');
+const { computeAccessibilityScore } = require('../utils/accessibilityScore');
+const { DEFAULT_TIMEZONE, WEEKDAYS } = require('../utils/time');
+const { validateSchedule } = require('../utils/openingHours');
+const { toUploadUrl } = require('../utils/uploads');
+
+// Schema para atributos de accesibilidad de un tramo peatonal
+const segmentAttributesSchema = new mongoose.Schema({
+  stairs: {
+    type: Number, // número de escalones
+    default: 0,
+    min: 0
+  },
+  crossing: {
+    type: String,
+    enum: ['none', 'controlled', 'uncontrolled'],
+    default: 'none'
+  },
+  tactilePaving: Boolean, // undefined = desconocido
+  audibleSignal: Boolean, // semáforo sonoro en el cruce, undefined = desconocido
+  surface: {
+    type: String,
+    enum: ['paved', 'cobblestone', 'gravel', 'unpaved', 'unknown'],
+    default: 'unknown'
+  },
+  slope: Number // pendiente en porcentaje
+}, {
+  _id: false
+});
+
+// Schema para waypoints (pasos ordenados de una ruta)
+const waypointSchema = new mongoose.Schema({
+  position: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  instruction: {
+    type: String,
+    trim: true
+  },
+  distance: Number, // metros hasta el siguiente waypoint
+  heading: Number, // grados (0 = norte) hacia el siguiente waypoint
+  attributes: segmentAttributesSchema // accesibilidad del tramo hasta el siguiente waypoint
+}, {
+  _id: false
+});
 
 // Schema para rutas
 const routeSchema = new mongoose.Schema({
@@ -35,11 +86,40 @@ const routeSchema = new mongoose.Schema({
   },
   beacons: [{
     id: String,
+    beacon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Beacon'
+    },
     position: {
       type: [Number] // [longitude, latitude]
     },
     type: String
   }],
+  waypoints: [waypointSchema],
+  path: {
+    type: {
+      type: String,
+      enum: ['LineString']
+    },
+    coordinates: {
+      type: [[Number]], // [[longitude, latitude], ...] generado desde waypoints
+      default: undefined
+    }
+  },
+  totalDistance: {
+    type: Number, // metros
+    default: 0
+  },
+  transit: {
+    feedId: String, // feed GTFS importado
+    routeIds: [String], // route_id de GTFS
+    stopIds: [String], // stop_id de GTFS
+    linkMode: {
+      type: String,
+      enum: ['auto', 'manual']
+    },
+    linkedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -53,11 +133,58 @@ const routeSchema = new mongoose.Schema({
     type: String,
     enum: ['easy', 'medium', 'hard'],
     default: 'medium'
+  },
+  difficultyScore: {
+    type: Number, // 0-100 calculado desde los atributos de los tramos
+    min: 0,
+    max: 100
+  },
+  difficultyDetails: {
+    breakdown: [{
+      factor: String, // distance, stairs, slope, crossings, surface, tactilePaving
+      value: Number,
+      points: Number,
+      _id: false
+    }],
+    coverage: Number, // proporción del recorrido con atributos conocidos
+    computedAt: Date
+  },
+  revision: {
+    type: Number, // número de la última revisión guardada en RouteRevision
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+// Schema para revisiones de rutas (una por cada versión guardada)
+const routeRevisionSchema = new mongoose.Schema({
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  rev: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'import', 'restore', 'transit_link'],
+    default: 'update'
+  },
+  restoredFrom: Number, // revisión restaurada (action = restore)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed, // estado completo de la ruta tras guardar
+    required: true
+  },
+  changedBy: {
+    type: String // UUID del usuario de PostgreSQL
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 // Schema para mensajes personalizados
 const personalizedMessageSchema = new mongoose.Schema({
   message: {
@@ -93,6 +220,29 @@ const personalizedMessageSchema = new mongoose.Schema({
     type: Number,
     default: 50 // metros
   },
+  triggerType: {
+    type: String,
+    enum: ['enter', 'exit', 'dwell'], // al entrar, al salir o tras permanecer en el radio
+    default: 'enter'
+  },
+  dwellSeconds: {
+    type: Number, // permanencia necesaria para triggerType = dwell
+    default: 30,
+    min: 0
+  },
+  cooldownMinutes: {
+    type: Number, // sin valor se usa el intervalo configurado por defecto
+    min: 0
+  },
+  heading: {
+    type: Number, // rumbo del usuario (0 = norte) para el que aplica el mensaje
+    min: 0,
+    max: 360
+  },
+  headingTolerance: {
+    type: Number, // grados a cada lado de heading
+    default: 45
+  },
   language: {
     type: String,
     default: 'es'
@@ -110,6 +260,12 @@ const personalizedMessageSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Intervalo de apertura dentro de un día
+const openingIntervalSchema = new mongoose.Schema({
+  open: String, // "HH:MM"
+  close: String // "HH:MM"; "24:00" para medianoche
+}, { _id: false });
+
 // Schema para registro turístico
 const touristSpotSchema = new mongoose.Schema({
   lugarDestino: {
@@ -147,21 +303,62 @@ const touristSpotSchema = new mongoose.Schema({
     hasRamp: { type: Boolean, default: false },
     hasBraille: { type: Boolean, default: false },
     hasAudioGuide: { type: Boolean, default: false },
-    hasGuideAssistance: { type: Boolean, default: false }
+    hasGuideAssistance: { type: Boolean, default: false },
+    hasTactilePaving: { type: Boolean, default: false },
+    hasAccessibleToilet: { type: Boolean, default: false },
+    acceptsGuideDogs: { type: Boolean, default: false },
+    hasStepFreeEntrance: { type: Boolean, default: false },
+    hasTrainedStaff: { type: Boolean, default: false } // personal capacitado en asistencia
+  },
+  accessibilityScore: {
+    type: Number, // 0-100 calculado desde la lista de accesibilidad
+    min: 0,
+    max: 100,
+    default: 0
   },
   images: [String],
   rating: {
     average: { type: Number, default: 0 },
-    count: { type: Number, default: 0 }
+    count: { type: Number, default: 0 },
+    total: { type: Number, default: 0 } // suma de estrellas, para recalcular el promedio
   },
+  // Respuestas de accesibilidad de las reseñas visibles: { staffHelped: { yes, no }, ... }
+  accessibilityFeedback: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Horario de atención: varios intervalos por día ("HH:MM"); si close <= open el intervalo
+  // termina al día siguiente. Un objeto { open, close } antiguo se convierte en un intervalo
   schedule: {
-    monday: { open: String, close: String },
-    tuesday: { open: String, close: String },
-    wednesday: { open: String, close: String },
-    thursday: { open: String, close: String },
-    friday: { open: String, close: String },
-    saturday: { open: String, close: String },
-    sunday: { open: String, close: String }
+    monday: [openingIntervalSchema],
+    tuesday: [openingIntervalSchema],
+    wednesday: [openingIntervalSchema],
+    thursday: [openingIntervalSchema],
+    friday: [openingIntervalSchema],
+    saturday: [openingIntervalSchema],
+    sunday: [openingIntervalSchema],
+    // Feriados nacionales: cerrado, horario habitual o horario especial
+    holidays: {
+      policy: {
+        type: String,
+        enum: ['closed', 'regular', 'special'],
+        default: 'closed'
+      },
+      intervals: [openingIntervalSchema]
+    },
+    // Fechas puntuales (cierres temporales, horarios especiales), 'YYYY-MM-DD' inclusive
+    exceptions: [{
+      from: { type: String, required: true },
+      to: String,
+      closed: { type: Boolean, default: true },
+      intervals: [openingIntervalSchema],
+      reason: { type: String, trim: true, maxlength: 200 },
+      _id: false
+    }]
+  },
+  timezone: {
+    type: String, // zona horaria IANA en la que se interpreta el horario
+    default: DEFAULT_TIMEZONE
   },
   contact: {
     phone: String,
@@ -210,7 +407,17 @@ const voiceGuideSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  duration: Number, // duración en segundos
+  duration: Number, // duración en segundos (leída del archivo de audio)
+  // Formato del audio leído de sus cabeceras al asociarlo a la guía
+  audio: {
+    format: String, // wav, mp3, ogg
+    codec: String, // pcm, mp3, opus, vorbis
+    mimeType: String,
+    sampleRate: Number, // Hz
+    bitrate: Number, // bits por segundo
+    channels: Number,
+    size: Number // bytes
+  },
   language: {
     type: String,
     default: 'es'
@@ -257,11 +464,734 @@ const userActivitySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Schema para beacons BLE (iBeacon / Eddystone)
+const beaconSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  legacyId: {
+    type: String, // identificador usado en Route.beacons[].id
+    trim: true
+  },
+  protocol: {
+    type: String,
+    enum: ['ibeacon', 'eddystone'],
+    required: true
+  },
+  ibeacon: {
+    uuid: {
+      type: String,
+      lowercase: true,
+      match: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+    },
+    major: { type: Number, min: 0, max: 65535 },
+    minor: { type: Number, min: 0, max: 65535 }
+  },
+  eddystone: {
+    namespace: {
+      type: String, // 10 bytes en hexadecimal
+      lowercase: true,
+      match: /^[0-9a-f]{20}$/
+    },
+    instance: {
+      type: String, // 6 bytes en hexadecimal
+      lowercase: true,
+      match: /^[0-9a-f]{12}$/
+    }
+  },
+  position: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  floor: {
+    type: Number,
+    default: 0
+  },
+  txPower: {
+    type: Number // RSSI calibrado a 1 metro (dBm)
+  },
+  installNotes: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true // info, transport, metro...
+  },
+  routes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
+  touristSpots: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TouristSpot'
+  }],
+  messages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PersonalizedMessage'
+  }],
+  lastSeenAt: Date,
+  lastRssi: Number,
+  lastBatteryLevel: Number, // porcentaje 0-100
+  lastBatteryAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Schema para avistamientos de beacons (colección time-series)
+const beaconSightingSchema = new mongoose.Schema({
+  seenAt: {
+    type: Date,
+    required: true
+  },
+  beacon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Beacon',
+    required: true
+  },
+  rssi: {
+    type: Number, // dBm
+    required: true
+  },
+  batteryLevel: {
+    type: Number, // porcentaje 0-100
+    min: 0,
+    max: 100
+  },
+  reportedBy: {
+    type: String // UUID del usuario de PostgreSQL
+  }
+}, {
+  timeseries: {
+    timeField: 'seenAt',
+    metaField: 'beacon',
+    granularity: 'minutes'
+  },
+  expireAfterSeconds: 90 * 24 * 60 * 60 // conservar 90 días de telemetría
+});
+
+// Schema para tramos peatonales (grafo de navegación)
+const walkwaySegmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['LineString'],
+      default: 'LineString'
+    },
+    coordinates: {
+      type: [[Number]], // [[longitude, latitude], ...]
+      required: true
+    }
+  },
+  attributes: {
+    type: segmentAttributesSchema,
+    default: () => ({})
+  },
+  source: {
+    type: String,
+    enum: ['import', 'manual'],
+    default: 'import'
+  },
+  externalId: String, // identificador en el dataset de origen
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Schemas para datos de transporte público importados desde GTFS
+const transitStopSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: String, // importación a la que pertenece la fila (ver TransitFeed)
+  stopId: { type: String, required: true }, // stop_id
+  code: String,
+  name: { type: String, trim: true },
+  description: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  parentStation: String,
+  wheelchairBoarding: {
+    type: Number, // 0 = sin información, 1 = accesible, 2 = no accesible
+    default: 0
+  }
+});
+
+const transitRouteSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: String,
+  routeId: { type: String, required: true }, // route_id
+  agencyId: String,
+  shortName: String,
+  longName: String,
+  description: String,
+  routeType: Number, // route_type (0 tranvía, 1 metro, 3 bus...)
+  color: String,
+  textColor: String
+});
+
+const transitTripSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: String,
+  tripId: { type: String, required: true }, // trip_id
+  routeId: { type: String, required: true },
+  serviceId: String,
+  headsign: String,
+  directionId: Number,
+  shapeId: String,
+  wheelchairAccessible: {
+    type: Number,
+    default: 0
+  }
+});
+
+const transitStopTimeSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: String,
+  tripId: { type: String, required: true },
+  stopId: { type: String, required: true },
+  stopSequence: { type: Number, required: true },
+  serviceId: String, // service_id del viaje (copiado para filtrar por día de servicio)
+  arrivalTime: Number, // segundos desde medianoche del día de servicio (puede superar 24h)
+  departureTime: Number,
+  stopHeadsign: String
+});
+
+const transitShapeSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: String,
+  shapeId: { type: String, required: true }, // shape_id
+  geometry: {
+    type: {
+      type: String,
+      enum: ['LineString'],
+      default: 'LineString'
+    },
+    coordinates: [[Number]] // [[longitude, latitude], ...] ordenadas por shape_pt_sequence
+  }
+});
+
+// Calendario semanal de un servicio (calendar.txt)
+const transitCalendarSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: String,
+  serviceId: { type: String, required: true }, // service_id
+  days: [{
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+  }],
+  startDate: { type: String, required: true }, // YYYYMMDD
+  endDate: { type: String, required: true } // YYYYMMDD
+});
+
+// Excepciones del calendario de un servicio (calendar_dates.txt)
+const transitCalendarDateSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: String,
+  serviceId: { type: String, required: true },
+  date: { type: String, required: true }, // YYYYMMDD
+  exceptionType: {
+    type: Number, // 1 = servicio añadido, 2 = servicio suprimido
+    enum: [1, 2],
+    required: true
+  }
+});
+
+// Versión publicada de cada feed GTFS
+// Cada importación guarda sus filas con una versión nueva y la publica cambiando este puntero;
+// los feeds importados antes de existir las versiones no tienen puntero y sus filas no tienen versión
+const transitFeedSchema = new mongoose.Schema({
+  feedId: { type: String, required: true },
+  version: { type: String, required: true },
+  publishedAt: { type: Date, default: Date.now }
+});
+
+// Schema para reportes colaborativos de obstáculos temporales
+const hazardSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: [
+      'construction', 'parked_vehicle', 'broken_tactile_paving', 'blocked_sidewalk',
+      'pothole', 'flooding', 'open_manhole', 'other'
+    ],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  floor: Number,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved', 'dismissed'],
+    default: 'active'
+  },
+  confirmations: [{
+    userId: String, // UUID del usuario de PostgreSQL
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  dismissals: [{
+    userId: String, // UUID del usuario de PostgreSQL
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  createdBy: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Schema para viajes (un usuario recorriendo una ruta)
+const tripSchema = new mongoose.Schema({
+  userId: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  routeRevision: Number, // revisión de la ruta al iniciar el viaje
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'abandoned'],
+    default: 'active'
+  },
+  language: {
+    type: String,
+    default: 'es'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+  currentWaypoint: {
+    type: Number, // índice del último waypoint alcanzado
+    default: 0
+  },
+  progress: {
+    type: Number, // porcentaje 0-100
+    default: 0
+  },
+  distanceRemaining: Number, // metros
+  eta: Date,
+  offRoute: {
+    type: Boolean,
+    default: false
+  },
+  lastPosition: {
+    position: [Number], // [longitude, latitude]
+    accuracy: Number,
+    source: String, // gps o beacons
+    at: Date
+  },
+  track: [{
+    position: [Number], // [longitude, latitude]
+    accuracy: Number,
+    at: Date,
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+// Schema para el estado de geocercas por usuario y mensaje
+const messageTriggerStateSchema = new mongoose.Schema({
+  userId: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PersonalizedMessage',
+    required: true
+  },
+  inside: {
+    type: Boolean,
+    default: false
+  },
+  enteredAt: Date,
+  dwellTriggered: {
+    type: Boolean,
+    default: false
+  },
+  lastTriggeredAt: Date,
+  lastSeenAt: Date
+});
+
+// Schema para alertas de emergencia (SOS)
+const emergencyAlertSchema = new mongoose.Schema({
+  userId: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  accuracy: Number, // metros
+  source: String, // gps o beacons
+  floor: Number,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  lastPosition: {
+    position: [Number], // [longitude, latitude]
+    accuracy: Number,
+    source: String,
+    at: Date
+  },
+  // Enlace público de ubicación en vivo (solo se guarda el hash del token)
+  share: {
+    tokenHash: String,
+    expiresAt: Date
+  },
+  notifications: [{
+    contactId: String, // id del contacto de confianza en PostgreSQL
+    channel: String,
+    to: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    error: String,
+    at: Date,
+    _id: false
+  }],
+  resolvedAt: Date,
+  resolvedBy: String
+}, {
+  timestamps: true
+});
+
+// Schema para lugares guardados por el usuario (casa, trabajo, clínica...)
+const savedPlaceSchema = new mongoose.Schema({
+  userId: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  spokenAlias: {
+    type: String, // forma en que el usuario lo nombra por voz, p. ej. "mi casa"
+    trim: true,
+    maxlength: 100
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  floor: Number,
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Schema para rutas y puntos turísticos marcados como favoritos
+const favoriteSchema = new mongoose.Schema({
+  userId: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['Route', 'TouristSpot'],
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceType',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Preguntas estructuradas de accesibilidad en las reseñas (sí / no / sin respuesta)
+const REVIEW_FEEDBACK_FIELDS = [
+  'staffHelped', // el personal me ayudó
+  'brailleSignage', // señalética en braille
+  'audioGuideAvailable', // audioguía disponible
+  'stepFreeAccess', // acceso sin escalones
+  'guideDogWelcome', // se aceptó al perro guía
+  'easyToNavigate' // fácil de recorrer sin ayuda
+];
+
+// Schema para reseñas de puntos turísticos
+const reviewSchema = new mongoose.Schema({
+  touristSpotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TouristSpot',
+    required: true
+  },
+  userId: {
+    type: String, // UUID del usuario de PostgreSQL
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be an integer between 1 and 5'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  feedback: Object.fromEntries(REVIEW_FEEDBACK_FIELDS.map(field => [field, Boolean])),
+  language: {
+    type: String,
+    default: 'es'
+  },
+  moderation: {
+    status: {
+      type: String,
+      enum: ['visible', 'flagged', 'hidden'],
+      default: 'visible'
+    },
+    flags: [{
+      userId: String,
+      reason: {
+        type: String,
+        enum: ['spam', 'offensive', 'off_topic', 'inaccurate', 'other']
+      },
+      at: { type: Date, default: Date.now },
+      _id: false
+    }],
+    moderatedBy: String,
+    moderatedAt: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+// Schema para archivos subidos (imágenes y audio), deduplicados por contenido
+const mediaSchema = new mongoose.Schema({
+  hash: {
+    type: String, // SHA-256 del contenido, en hexadecimal
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'audio'],
+    required: true
+  },
+  mimeType: {
+    type: String, // detectado a partir del contenido, no del nombre ni de la cabecera
+    required: true
+  },
+  size: {
+    type: Number, // bytes
+    required: true
+  },
+  url: {
+    type: String, // /uploads/media/<hash>.<ext>
+    required: true
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  ownerId: {
+    type: String, // UUID del usuario de PostgreSQL que lo subió primero
+    required: true
+  },
+  // Usuarios que subieron este contenido (se guarda una sola vez); los archivos anteriores
+  // a este campo solo tienen ownerId. No se devuelve para no exponer a los demás usuarios
+  owners: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  // Recursos que usan el archivo; un archivo referenciado no se puede eliminar
+  references: [{
+    resourceType: {
+      type: String,
+      enum: ['TouristSpot', 'VoiceGuide'],
+      required: true
+    },
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    field: {
+      type: String, // images, mapImageUrl, audioUrl
+      required: true
+    },
+    _id: false
+  }],
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
 // Índices adicionales para optimización
 routeSchema.index({ name: 'text', location: 'text', description: 'text' });
+routeSchema.index({ path: '2dsphere' });
+routeSchema.index({ difficultyScore: 1 });
+routeRevisionSchema.index({ routeId: 1, rev: -1 }, { unique: true });
 personalizedMessageSchema.index({ message: 'text' });
 touristSpotSchema.index({ nombre: 'text', descripcion: 'text', lugarDestino: 'text' });
+touristSpotSchema.index({ accessibilityScore: -1 });
 userActivitySchema.index({ userId: 1, createdAt: -1 });
+beaconSchema.index({ position: '2dsphere' });
+beaconSchema.index(
+  { 'ibeacon.uuid': 1, 'ibeacon.major': 1, 'ibeacon.minor': 1 },
+  { unique: true, partialFilterExpression: { protocol: 'ibeacon' } }
+);
+beaconSchema.index(
+  { 'eddystone.namespace': 1, 'eddystone.instance': 1 },
+  { unique: true, partialFilterExpression: { protocol: 'eddystone' } }
+);
+beaconSchema.index({ lastSeenAt: 1 });
+beaconSightingSchema.index({ beacon: 1, seenAt: -1 });
+transitStopSchema.index({ feedId: 1, version: 1, stopId: 1 }, { unique: true });
+transitStopSchema.index({ location: '2dsphere' });
+transitRouteSchema.index({ feedId: 1, version: 1, routeId: 1 }, { unique: true });
+transitTripSchema.index({ feedId: 1, version: 1, tripId: 1 }, { unique: true });
+transitTripSchema.index({ feedId: 1, version: 1, routeId: 1 });
+transitStopTimeSchema.index({ feedId: 1, version: 1, tripId: 1, stopSequence: 1 });
+transitStopTimeSchema.index({ feedId: 1, version: 1, stopId: 1, departureTime: 1 });
+transitShapeSchema.index({ feedId: 1, version: 1, shapeId: 1 }, { unique: true });
+transitCalendarSchema.index({ feedId: 1, version: 1, serviceId: 1 }, { unique: true });
+transitCalendarDateSchema.index({ feedId: 1, version: 1, serviceId: 1, date: 1 }, { unique: true });
+transitCalendarDateSchema.index({ feedId: 1, version: 1, date: 1 });
+transitFeedSchema.index({ feedId: 1 }, { unique: true });
+walkwaySegmentSchema.index({ geometry: '2dsphere' });
+walkwaySegmentSchema.index({ source: 1, externalId: 1 });
+hazardSchema.index({ location: '2dsphere' });
+hazardSchema.index({ status: 1, expiresAt: 1 });
+tripSchema.index({ userId: 1, status: 1 });
+// Un solo viaje activo por usuario (evita duplicados por peticiones simultáneas)
+tripSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+tripSchema.index({ userId: 1, startedAt: -1 });
+messageTriggerStateSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+messageTriggerStateSchema.index({ userId: 1, inside: 1 });
+messageTriggerStateSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+emergencyAlertSchema.index({ userId: 1, status: 1 });
+// Una sola alerta activa por usuario (una doble pulsación no crea dos alertas)
+emergencyAlertSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+emergencyAlertSchema.index({ 'share.tokenHash': 1 });
+savedPlaceSchema.index({ userId: 1, label: 1 }, { unique: true, collation: { locale: 'es', strength: 2 } });
+savedPlaceSchema.index({ location: '2dsphere' });
+favoriteSchema.index({ userId: 1, resourceType: 1, resourceId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+reviewSchema.index({ touristSpotId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ touristSpotId: 1, 'moderation.status': 1, createdAt: -1 });
+mediaSchema.index({ hash: 1 }, { unique: true });
+mediaSchema.index({ url: 1 });
+mediaSchema.index({ ownerId: 1, createdAt: -1 });
+mediaSchema.index({ owners: 1, createdAt: -1 });
+mediaSchema.index({ 'references.resourceType': 1, 'references.resourceId': 1 });
 
 // Middleware para validaciones adicionales
 routeSchema.pre('save', function(next) {
@@ -274,6 +1204,275 @@ routeSchema.pre('save', function(next) {
   next();
 });
 
+// Calcular distancias, rumbos y geometría a partir de los waypoints
+routeSchema.pre('save', function(next) {
+  if (!this.isModified('waypoints')) {
+    return next();
+  }
+
+  const waypoints = this.waypoints || [];
+  if (waypoints.some(waypoint => !isValidPosition(waypoint.position))) {
+    return next(new Error('Invalid waypoint coordinates'));
+  }
+
+  let totalDistance = 0;
+  waypoints.forEach((waypoint, index) => {
+    const next = waypoints[index + 1];
+    if (next) {
+      waypoint.distance = haversineDistance(waypoint.position, next.position);
+      waypoint.heading = initialBearing(waypoint.position, next.position);
+      totalDistance += waypoint.distance;
+    } else {
+      waypoint.distance = 0;
+      waypoint.heading = undefined;
+    }
+  });
+
+  this.totalDistance = Math.round(totalDistance);
+  this.path = waypoints.length >= 2
+    ? { type: 'LineString', coordinates: waypoints.map(waypoint => waypoint.position) }
+    : undefined;
+
+  // El punto de inicio de la ruta es el primer waypoint si no se indicó otro
+  if (waypoints.length > 0 && !(this.coordinates && this.coordinates.coordinates && this.coordinates.coordinates.length)) {
+    this.coordinates = { type: 'Point', coordinates: waypoints[0].position };
+  }
+
+  next();
+});
+
+// Calcular la dificultad y su desglose a partir de los atributos de los tramos
+// La dificultad calculada solo reemplaza a la del autor si algún tramo tiene atributos y el autor
+// no la eligió en este mismo guardado. Si la dificultad guardada no coincide con la calculada,
+// se descarta la puntuación para que difficulty y difficultyScore no se contradigan
+routeSchema.pre('save', function(next) {
+  if (!this.isModified('waypoints') && !this.isModified('difficulty')) {
+    return next();
+  }
+
+  const result = computeRouteDifficulty(this.waypoints);
+  if (result && result.coverage > 0 && !this.isModified('difficulty')) {
+    this.difficulty = result.difficulty;
+  }
+
+  if (!result || result.difficulty !== this.difficulty) {
+    this.difficultyScore = undefined;
+    this.difficultyDetails = undefined;
+    return next();
+  }
+
+  this.difficultyScore = result.score;
+  this.difficultyDetails = {
+    breakdown: result.breakdown,
+    coverage: result.coverage,
+    computedAt: new Date()
+  };
+
+  next();
+});
+
+// Snapshot de una ruta tal como se guarda en RouteRevision
+const routeSnapshot = (route) => {
+  const { _id, __v, ...snapshot } = route;
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Registrar como revisión 1 ('baseline') el estado de una ruta creada antes del historial
+// La condición sobre revision hace que solo un guardado concurrente la registre
+const recordBaselineRevision = async (Model, routeId) => {
+  const original = await Model.findOneAndUpdate(
+    { _id: routeId, $or: [{ revision: { $exists: false } }, { revision: 0 }] },
+    { $set: { revision: 1 } },
+    { timestamps: false }
+  ).lean();
+
+  if (!original) return;
+
+  await RouteRevision.create({
+    routeId,
+    rev: 1,
+    action: 'baseline',
+    snapshot: routeSnapshot({ ...original, revision: 1 }),
+    changedBy: original.createdBy
+  });
+};
+
+// Numerar la revisión antes de guardar y registrar el snapshot después
+// El número se reserva con un $inc atómico para que dos guardados simultáneos no compartan revisión
+// Los controladores indican el autor y la acción en route.$locals
+routeSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified()) return;
+
+  this.$locals.revisionAction = this.$locals.revisionAction || (this.isNew ? 'create' : 'update');
+
+  if (this.isNew) {
+    this.revision = 1;
+  } else {
+    await recordBaselineRevision(this.constructor, this._id);
+
+    const current = await this.constructor.findOneAndUpdate(
+      { _id: this._id },
+      { $inc: { revision: 1 } },
+      { new: true, projection: { revision: 1 }, timestamps: false }
+    ).lean();
+
+    // Ruta eliminada mientras tanto: el guardado fallará sin registrar revisión
+    if (!current) return;
+
+    this.revision = current.revision;
+  }
+
+  this.$locals.recordRevision = true;
+});
+
+routeSchema.post('save', async function(doc) {
+  if (!doc.$locals.recordRevision) return;
+  doc.$locals.recordRevision = false;
+
+  await RouteRevision.create({
+    routeId: doc._id,
+    rev: doc.revision,
+    action: doc.$locals.revisionAction,
+    restoredFrom: doc.$locals.restoredFrom,
+    snapshot: routeSnapshot(doc.toObject({ depopulate: true })),
+    // Los procesos automáticos indican changedBy: null para no atribuir el cambio al autor
+    changedBy: doc.$locals.changedBy !== undefined ? doc.$locals.changedBy : doc.createdBy
+  });
+});
+
+beaconSchema.pre('validate', function(next) {
+  if (this.protocol === 'ibeacon') {
+    const { uuid, major, minor } = this.ibeacon || {};
+    if (!uuid || major == null || minor == null) {
+      return next(new Error('iBeacon requires uuid, major and minor'));
+    }
+  }
+
+  if (this.protocol === 'eddystone') {
+    const { namespace, instance } = this.eddystone || {};
+    if (!namespace || !instance) {
+      return next(new Error('Eddystone beacon requires namespace and instance'));
+    }
+  }
+
+  if (!isValidPosition(this.position && this.position.coordinates)) {
+    return next(new Error('Invalid beacon coordinates'));
+  }
+
+  next();
+});
+
+// Al eliminar un beacon, quitar las entradas de Route.beacons que apuntan a él
+// (igual que las referencias de Media al eliminar un recurso)
+beaconSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await Route.updateMany({ 'beacons.beacon': doc._id }, { $pull: { beacons: { beacon: doc._id } } });
+  }
+});
+
+hazardSchema.pre('validate', function(next) {
+  if (!isValidPosition(this.location && this.location.coordinates)) {
+    return next(new Error('Invalid hazard coordinates'));
+  }
+  next();
+});
+
+// Campos que deben apuntar a archivos subidos con POST /api/media y el tipo esperado
+const MEDIA_REFERENCE_FIELDS = {
+  TouristSpot: { images: 'image' },
+  VoiceGuide: { mapImageUrl: 'image', audioUrl: 'audio' }
+};
+
+// Validar las URLs de archivos de un modelo y mantener Media.references al guardar y eliminar
+const trackMediaReferences = (schema, resourceType) => {
+  const fields = MEDIA_REFERENCE_FIELDS[resourceType];
+  const urlsOf = (doc, field) => [].concat(doc.get(field) || []).filter(Boolean);
+
+  schema.pre('validate', async function() {
+    const changed = Object.keys(fields).filter(field => this.isNew || this.isModified(field));
+
+    for (const field of changed) {
+      const urls = urlsOf(this, field);
+      const known = await Media.find({ url: { $in: urls.map(toUploadUrl).filter(Boolean) } })
+        .select('url kind')
+        .lean();
+      const kinds = new Map(known.map(media => [media.url, media.kind]));
+
+      const missing = urls.filter(url => !kinds.has(toUploadUrl(url)));
+      const wrongKind = urls.filter(url => kinds.has(toUploadUrl(url)) && kinds.get(toUploadUrl(url)) !== fields[field]);
+
+      if (missing.length > 0) {
+        this.invalidate(field, `${field} must reference files uploaded to /api/media: ${missing.join(', ')}`);
+      } else if (wrongKind.length > 0) {
+        this.invalidate(field, `${field} must reference ${fields[field]} files: ${wrongKind.join(', ')}`);
+      }
+    }
+
+    this.$locals.changedMediaFields = changed;
+  });
+
+  schema.post('save', async function(doc) {
+    const changed = doc.$locals.changedMediaFields || [];
+    doc.$locals.changedMediaFields = undefined;
+
+    for (const field of changed) {
+      const reference = { resourceType, resourceId: doc._id, field };
+      const urls = urlsOf(doc, field).map(toUploadUrl).filter(Boolean);
+
+      await Media.updateMany({ url: { $nin: urls }, references: { $elemMatch: reference } }, { $pull: { references: reference } });
+      await Media.updateMany({ url: { $in: urls } }, { $addToSet: { references: reference } });
+    }
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) {
+      await Media.updateMany(
+        { 'references.resourceId': doc._id },
+        { $pull: { references: { resourceType, resourceId: doc._id } } }
+      );
+    }
+  });
+};
+
+trackMediaReferences(touristSpotSchema, 'TouristSpot');
+trackMediaReferences(voiceGuideSchema, 'VoiceGuide');
+
+// Recalcular la puntuación de accesibilidad cuando cambia la lista de verificación
+touristSpotSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('accessibility')) {
+    this.accessibilityScore = computeAccessibilityScore(this.accessibility).score;
+  }
+  next();
+});
+
+// Horario de atención: descartar intervalos vacíos y validar formato, solapes, excepciones y zona horaria
+touristSpotSchema.pre('validate', function(next) {
+  if (!this.isNew && !this.isModified('schedule') && !this.isModified('timezone')) {
+    return next();
+  }
+
+  WEEKDAYS.forEach(day => {
+    const intervals = this.schedule && this.schedule[day];
+    if (intervals && intervals.some(interval => !interval.open && !interval.close)) {
+      this.schedule[day] = intervals.filter(interval => interval.open || interval.close);
+    }
+  });
+
+  const errors = validateSchedule(this.schedule ? this.schedule.toObject() : {}, this.timezone);
+  if (errors.length > 0) {
+    this.invalidate('schedule', errors.join('; '));
+  }
+  next();
+});
+
+walkwaySegmentSchema.pre('save', function(next) {
+  const coordinates = this.geometry && this.geometry.coordinates;
+  if (!coordinates || coordinates.length < 2 || !coordinates.every(isValidPosition)) {
+    return next(new Error('Walkway segment needs at least two valid coordinates'));
+  }
+  next();
+});
+
 // Métodos de instancia útiles
 touristSpotSchema.methods.calculateDistance = function(lat, lng) {
   const [spotLng, spotLat] = this.ubicacion.coordinates;
@@ -289,15 +1488,56 @@ touristSpotSchema.methods.calculateDistance = function(lat, lng) {
 
 // Crear modelos
 const Route = mongoose.model('Route', routeSchema);
+const RouteRevision = mongoose.model('RouteRevision', routeRevisionSchema);
 const PersonalizedMessage = mongoose.model('PersonalizedMessage', personalizedMessageSchema);
 const TouristSpot = mongoose.model('TouristSpot', touristSpotSchema);
 const VoiceGuide = mongoose.model('VoiceGuide', voiceGuideSchema);
 const UserActivity = mongoose.model('UserActivity', userActivitySchema);
+const Beacon = mongoose.model('Beacon', beaconSchema);
+const BeaconSighting = mongoose.model('BeaconSighting', beaconSightingSchema);
+const WalkwaySegment = mongoose.model('WalkwaySegment', walkwaySegmentSchema);
+const TransitStop = mongoose.model('TransitStop', transitStopSchema);
+const TransitRoute = mongoose.model('TransitRoute', transitRouteSchema);
+const TransitTrip = mongoose.model('TransitTrip', transitTripSchema);
+const TransitStopTime = mongoose.model('TransitStopTime', transitStopTimeSchema);
+const TransitShape = mongoose.model('TransitShape', transitShapeSchema);
+const TransitCalendar = mongoose.model('TransitCalendar', transitCalendarSchema);
+const TransitCalendarDate = mongoose.model('TransitCalendarDate', transitCalendarDateSchema);
+const TransitFeed = mongoose.model('TransitFeed', transitFeedSchema);
+const Hazard = mongoose.model('Hazard', hazardSchema);
+const Trip = mongoose.model('Trip', tripSchema);
+const MessageTriggerState = mongoose.model('MessageTriggerState', messageTriggerStateSchema);
+const EmergencyAlert = mongoose.model('EmergencyAlert', emergencyAlertSchema);
+const SavedPlace = mongoose.model('SavedPlace', savedPlaceSchema);
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+const Review = mongoose.model('Review', reviewSchema);
+const Media = mongoose.model('Media', mediaSchema);
 
 module.exports = {
   Route,
+  RouteRevision,
   PersonalizedMessage,
   TouristSpot,
   VoiceGuide,
-  UserActivity
+  UserActivity,
+  Beacon,
+  BeaconSighting,
+  WalkwaySegment,
+  TransitStop,
+  TransitRoute,
+  TransitTrip,
+  TransitStopTime,
+  TransitShape,
+  TransitCalendar,
+  TransitCalendarDate,
+  TransitFeed,
+  Hazard,
+  Trip,
+  MessageTriggerState,
+  EmergencyAlert,
+  SavedPlace,
+  Favorite,
+  Review,
+  Media,
+  REVIEW_FEEDBACK_FIELDS
 };
\ No newline at end of file
@@ -74,6 +74,27 @@ CREATE TABLE audit_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Contactos de confianza (familiares o cuidadores) con permisos concedidos por el usuario
+CREATE TABLE trusted_contacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    contact_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    name VARCHAR(150) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    telefono VARCHAR(20),
+    relationship VARCHAR(50),
+    permissions VARCHAR(50)[] NOT NULL DEFAULT '{receive_sos}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+    invited_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    accepted_at TIMESTAMP,
+    declined_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id),
+    invite_token_hash VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Índices para optimización
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
@@ -82,6 +103,9 @@ CREATE INDEX idx_user_sessions_expires ON user_sessions(expires_at);
 CREATE INDEX idx_audit_logs_user ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_action ON audit_logs(action);
 CREATE INDEX idx_audit_logs_created ON audit_logs(created_at);
+CREATE INDEX idx_trusted_contacts_user ON trusted_contacts(user_id);
+CREATE INDEX idx_trusted_contacts_contact_user ON trusted_contacts(contact_user_id);
+CREATE INDEX idx_trusted_contacts_email ON trusted_contacts(email);
 
 -- Función para actualizar timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -96,6 +120,9 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_trusted_contacts_updated_at BEFORE UPDATE ON trusted_contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Insertar roles por defecto
 INSERT INTO roles (name, description) VALUES 
 ('admin', 'Administrador del sistema con acceso completo'),
@@ -119,7 +146,11 @@ INSERT INTO permissions (name, description, resource, action) VALUES
 ('tourist_spots.create', 'Crear puntos turísticos', 'tourist_spots', 'create'),
 ('tourist_spots.read', 'Leer puntos turísticos', 'tourist_spots', 'read'),
 ('tourist_spots.update', 'Actualizar puntos turísticos', 'tourist_spots', 'update'),
-('tourist_spots.delete', 'Eliminar puntos turísticos', 'tourist_spots', 'delete');
+('tourist_spots.delete', 'Eliminar puntos turísticos', 'tourist_spots', 'delete'),
+('beacons.create', 'Crear beacons', 'beacons', 'create'),
+('beacons.read', 'Leer beacons', 'beacons', 'read'),
+('beacons.update', 'Actualizar beacons', 'beacons', 'update'),
+('beacons.delete', 'Eliminar beacons', 'beacons', 'delete');
 
 -- Asignar permisos a roles
 -- Admin: todos los permisos
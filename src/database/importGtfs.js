@@ -0,0 +1,40 @@
+require('dotenv').config();
+const path = require('path');
+const { connectMongoDB, mongoose } = require('../config/mongodb');
+const { importGtfsFeed } = require('../services/gtfsImporter');
+const { logger } = require('../config/logger');
+
+// Uso: npm run gtfs:import -- <ruta/al/feed.zip> [feedId]
+async function runImport(zipPath, feedId) {
+  try {
+    await connectMongoDB();
+    return await importGtfsFeed(path.resolve(zipPath), feedId);
+  } catch (error) {
+    logger.error('❌ GTFS import failed:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  const [zipPath, feedId = 'default'] = process.argv.slice(2);
+
+  if (!zipPath) {
+    console.error('Usage: npm run gtfs:import -- <path/to/feed.zip> [feedId]');
+    process.exit(1);
+  }
+
+  runImport(zipPath, feedId)
+    .then((summary) => {
+      console.log('GTFS import completed successfully', summary);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('GTFS import failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runImport };
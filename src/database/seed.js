@@ -169,7 +169,9 @@ async function seedTouristSpots(userId) {
         hasRamp: true,
         hasBraille: false,
         hasAudioGuide: true,
-        hasGuideAssistance: true
+        hasGuideAssistance: true,
+        acceptsGuideDogs: true,
+        hasTrainedStaff: true
       },
       tags: ['iglesia', 'convento', 'histórico'],
       createdBy: userId
@@ -187,7 +189,9 @@ async function seedTouristSpots(userId) {
         hasRamp: true,
         hasBraille: true,
         hasAudioGuide: false,
-        hasGuideAssistance: false
+        hasGuideAssistance: false,
+        hasAccessibleToilet: true,
+        hasStepFreeEntrance: true
       },
       tags: ['comercial', 'metro', 'shopping'],
       createdBy: userId
@@ -205,7 +209,9 @@ async function seedTouristSpots(userId) {
         hasRamp: true,
         hasBraille: true,
         hasAudioGuide: true,
-        hasGuideAssistance: false
+        hasGuideAssistance: false,
+        hasTactilePaving: true,
+        hasStepFreeEntrance: true
       },
       tags: ['metro', 'transporte', 'estación'],
       createdBy: userId
@@ -3,6 +3,31 @@ const bcrypt = require('bcryptjs');
 const { User, UserSession } = require('../config/postgresql');
 const { logger } = require('../config/logger');
 
+// Verificar el token JWT y buscar la sesión activa asociada
+// Lanza los errores de jsonwebtoken si el token no es válido
+const resolveSession = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = await UserSession.findOne({
+    where: {
+      tokenHash: await bcrypt.hash(token, 10),
+      expiresAt: {
+        [require('sequelize').Op.gt]: new Date()
+      }
+    },
+    include: [{
+      model: User,
+      as: 'user',
+      where: {
+        id: decoded.userId,
+        isActive: true
+      }
+    }]
+  });
+
+  return { decoded, session };
+};
+
 // Middleware de autenticación
 const authenticate = async (req, res, next) => {
   try {
@@ -15,26 +40,8 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verificar el token JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Buscar la sesión activa
-    const session = await UserSession.findOne({
-      where: {
-        tokenHash: await bcrypt.hash(token, 10),
-        expiresAt: {
-          [require('sequelize').Op.gt]: new Date()
-        }
-      },
-      include: [{
-        model: User,
-        as: 'user',
-        where: {
-          id: decoded.userId,
-          isActive: true
-        }
-      }]
-    });
+    // Verificar el token JWT y buscar la sesión activa
+    const { decoded, session } = await resolveSession(token);
 
     if (!session) {
       return res.status(401).json({
@@ -85,24 +92,7 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const session = await UserSession.findOne({
-      where: {
-        tokenHash: await bcrypt.hash(token, 10),
-        expiresAt: {
-          [require('sequelize').Op.gt]: new Date()
-        }
-      },
-      include: [{
-        model: User,
-        as: 'user',
-        where: {
-          id: decoded.userId,
-          isActive: true
-        }
-      }]
-    });
+    const { session } = await resolveSession(token);
 
     if (session) {
       req.user = session.user;
@@ -185,6 +175,7 @@ const cleanExpiredSessions = async () => {
 };
 
 module.exports = {
+  resolveSession,
   authenticate,
   optionalAuth,
   generateToken,
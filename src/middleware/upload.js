@@ -0,0 +1,17 @@
+const multer = require('multer');
+const { MEDIA_LIMITS } = require('../utils/mediaTypes');
+
+// Recibir un único archivo en memoria. El límite de multer es el mayor de todos los tipos;
+// el tipo real y su límite propio se comprueban después a partir del contenido
+const uploadSingle = (field = 'file') => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(...Object.values(MEDIA_LIMITS)),
+    files: 1,
+    fields: 10
+  }
+}).single(field);
+
+module.exports = {
+  uploadSingle
+};
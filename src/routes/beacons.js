@@ -0,0 +1,30 @@
+const express = require('express');
+const { authorize, requireRole } = require('../middleware/authorization');
+const {
+  getAllBeacons,
+  getBeaconById,
+  resolveBeacon,
+  reportSightings,
+  getBeaconHealth,
+  createBeacon,
+  updateBeacon,
+  deleteBeacon
+} = require('../controllers/beaconsController');
+
+const router = express.Router();
+
+// Rutas que requieren permisos de admin
+router.get('/health', requireRole('admin'), getBeaconHealth);
+
+// Rutas públicas (con autenticación pero sin permisos especiales)
+router.get('/', getAllBeacons);
+router.get('/resolve', resolveBeacon);
+router.post('/sightings', reportSightings);
+router.get('/:id', getBeaconById);
+
+// Rutas protegidas
+router.post('/', authorize(['beacons.create']), createBeacon);
+router.put('/:id', authorize(['beacons.update']), updateBeacon);
+router.delete('/:id', authorize(['beacons.delete']), deleteBeacon);
+
+module.exports = router;
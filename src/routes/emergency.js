@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const {
+  triggerSos,
+  updateSosPosition,
+  resolveSos,
+  getActiveSos,
+  getSharedLocation
+} = require('../controllers/emergencyController');
+
+const router = express.Router();
+
+// Enlace público de ubicación en vivo para los contactos de confianza
+router.get('/share/:token', getSharedLocation);
+
+// Rutas del usuario actual (con autenticación pero sin permisos especiales)
+router.get('/sos/active', authenticate, getActiveSos);
+router.post('/sos', authenticate, triggerSos);
+router.post('/sos/:id/positions', authenticate, updateSosPosition);
+router.post('/sos/:id/resolve', authenticate, resolveSos);
+
+module.exports = router;
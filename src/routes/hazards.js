@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getAllHazards,
+  getHazardById,
+  createHazard,
+  updateHazard,
+  confirmHazard,
+  dismissHazard,
+  deleteHazard
+} = require('../controllers/hazardsController');
+
+const router = express.Router();
+
+// Rutas públicas (con autenticación pero sin permisos especiales)
+// Cualquier usuario puede reportar, confirmar o descartar obstáculos
+router.get('/', getAllHazards);
+router.get('/:id', getHazardById);
+router.post('/', createHazard);
+router.post('/:id/confirm', confirmHazard);
+router.post('/:id/dismiss', dismissHazard);
+
+// Rutas protegidas por ownership (el creador o admin)
+router.put('/:id', updateHazard);
+router.delete('/:id', deleteHazard);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getMyPlaces,
+  getPlaceById,
+  createPlace,
+  updatePlace,
+  deletePlace
+} = require('../controllers/placesController');
+const {
+  getMyFavorites,
+  addFavorite,
+  removeFavorite
+} = require('../controllers/favoritesController');
+
+const router = express.Router();
+
+// Lugares guardados del usuario actual
+router.get('/places', getMyPlaces);
+router.get('/places/:id', getPlaceById);
+router.post('/places', createPlace);
+router.put('/places/:id', updatePlace);
+router.delete('/places/:id', deletePlace);
+
+// Favoritos (type: routes o tourist-spots)
+router.get('/favorites', getMyFavorites);
+router.put('/favorites/:type/:id', addFavorite);
+router.delete('/favorites/:type/:id', removeFavorite);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { uploadSingle } = require('../middleware/upload');
+const {
+  uploadMedia,
+  getMyMedia,
+  getMediaById,
+  deleteMedia
+} = require('../controllers/mediaController');
+
+const router = express.Router();
+
+// Archivos subidos (imágenes y audio); se referencian por su url desde puntos turísticos y guías de voz
+router.post('/', uploadSingle('file'), uploadMedia);
+router.get('/my-media', getMyMedia);
+router.get('/:id', getMediaById);
+router.delete('/:id', deleteMedia);
+
+module.exports = router;
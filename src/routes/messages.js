@@ -7,6 +7,9 @@ const {
   updateMessage,
   deleteMessage,
   getNearbyMessages,
+  evaluateMessageTriggers,
+  exportMessagesGeoJSON,
+  importMessagesGeoJSON,
   getMyMessages
 } = require('../controllers/messagesController');
 
@@ -15,11 +18,14 @@ const router = express.Router();
 // Rutas públicas (con autenticación pero sin permisos especiales)
 router.get('/', getAllMessages);
 router.get('/nearby', getNearbyMessages);
+router.post('/triggers', evaluateMessageTriggers);
+router.get('/export.geojson', exportMessagesGeoJSON);
 router.get('/my-messages', getMyMessages);
 router.get('/:id', getMessageById);
 
 // Rutas protegidas
 router.post('/', authorize(['messages.create']), createMessage);
+router.post('/import', authorize(['messages.create']), importMessagesGeoJSON);
 router.put('/:id', authorize(['messages.update']), updateMessage);
 router.delete('/:id', authorize(['messages.delete']), deleteMessage);
 
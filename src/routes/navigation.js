@@ -0,0 +1,16 @@
+const express = require('express');
+const { authorize } = require('../middleware/authorization');
+const {
+  getPath,
+  importSegments
+} = require('../controllers/navigationController');
+
+const router = express.Router();
+
+// Rutas públicas (con autenticación pero sin permisos especiales)
+router.get('/path', getPath);
+
+// Rutas protegidas
+router.post('/segments/import', authorize(['routes.create']), importSegments);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const {
+  estimatePositionFromBeacons
+} = require('../controllers/positioningController');
+
+const router = express.Router();
+
+// Rutas públicas (con autenticación pero sin permisos especiales)
+router.post('/estimate', estimatePositionFromBeacons);
+
+module.exports = router;
@@ -3,10 +3,17 @@ const { authorize } = require('../middleware/authorization');
 const {
   getAllRoutes,
   getRouteById,
+  getRouteInstructions,
+  exportRoute,
+  getRouteBundle,
+  getRouteRevisions,
+  restoreRouteRevision,
   createRoute,
   updateRoute,
   deleteRoute,
   getNearbyRoutes,
+  exportRoutesGeoJSON,
+  importRoutesGeoJSON,
   getMyRoutes
 } = require('../controllers/routesController');
 
@@ -15,12 +22,19 @@ const router = express.Router();
 // Rutas públicas (con autenticación pero sin permisos especiales)
 router.get('/', getAllRoutes);
 router.get('/nearby', getNearbyRoutes);
+router.get('/export.geojson', exportRoutesGeoJSON);
 router.get('/my-routes', getMyRoutes);
+router.get('/:id/instructions', getRouteInstructions);
+router.get('/:id/export', exportRoute);
+router.get('/:id/bundle', getRouteBundle);
+router.get('/:id/revisions', getRouteRevisions);
 router.get('/:id', getRouteById);
 
 // Rutas protegidas
 router.post('/', authorize(['routes.create']), createRoute);
+router.post('/import', authorize(['routes.create']), importRoutesGeoJSON);
 router.put('/:id', authorize(['routes.update']), updateRoute);
+router.post('/:id/revisions/:rev/restore', authorize(['routes.update']), restoreRouteRevision);
 router.delete('/:id', authorize(['routes.delete']), deleteRoute);
 
 module.exports = router;
\ No newline at end of file
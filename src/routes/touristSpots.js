@@ -1,5 +1,5 @@
 const express = require('express');
-const { authorize } = require('../middleware/authorization');
+const { authorize, requireRole } = require('../middleware/authorization');
 const {
   getAllTouristSpots,
   getTouristSpotById,
@@ -7,21 +7,41 @@ const {
   updateTouristSpot,
   deleteTouristSpot,
   getNearbyTouristSpots,
+  exportTouristSpotsGeoJSON,
+  importTouristSpotsGeoJSON,
   getMyTouristSpots,
   getTouristSpotsByCategory
 } = require('../controllers/touristSpotsController');
+const {
+  getTouristSpotReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  flagReview,
+  moderateReview
+} = require('../controllers/reviewsController');
 
 const router = express.Router();
 
 // Rutas públicas (con autenticación pero sin permisos especiales)
 router.get('/', getAllTouristSpots);
 router.get('/nearby', getNearbyTouristSpots);
+router.get('/export.geojson', exportTouristSpotsGeoJSON);
 router.get('/my-spots', getMyTouristSpots);
 router.get('/category/:category', getTouristSpotsByCategory);
 router.get('/:id', getTouristSpotById);
 
+// Reseñas (cualquier usuario autenticado; la edición es solo del autor)
+router.get('/:id/reviews', getTouristSpotReviews);
+router.post('/:id/reviews', createReview);
+router.put('/:id/reviews/:reviewId', updateReview);
+router.delete('/:id/reviews/:reviewId', deleteReview);
+router.post('/:id/reviews/:reviewId/flag', flagReview);
+router.patch('/:id/reviews/:reviewId/moderation', requireRole(['admin', 'moderator']), moderateReview);
+
 // Rutas protegidas
 router.post('/', authorize(['tourist_spots.create']), createTouristSpot);
+router.post('/import', authorize(['tourist_spots.create']), importTouristSpotsGeoJSON);
 router.put('/:id', authorize(['tourist_spots.update']), updateTouristSpot);
 router.delete('/:id', authorize(['tourist_spots.delete']), deleteTouristSpot);
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const { authorize, requireRole } = require('../middleware/authorization');
+const {
+  importFeed,
+  getImportStatus,
+  linkRoute,
+  getRouteTransit,
+  getStopArrivals
+} = require('../controllers/transitController');
+
+const router = express.Router();
+
+// Rutas públicas (con autenticación pero sin permisos especiales)
+router.get('/routes/:routeId', getRouteTransit);
+router.get('/stops/:id/arrivals', getStopArrivals);
+
+// Rutas protegidas
+router.put('/routes/:routeId/link', authorize(['routes.update']), linkRoute);
+
+// Rutas que requieren permisos de admin
+router.post('/import', requireRole('admin'), importFeed);
+router.get('/import/:jobId', requireRole('admin'), getImportStatus);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  startTrip,
+  updateTripPosition,
+  endTrip,
+  abandonTrip,
+  getActiveTrip,
+  getMyTrips,
+  getTripById
+} = require('../controllers/tripsController');
+
+const router = express.Router();
+
+// Rutas del usuario actual (con autenticación pero sin permisos especiales)
+router.get('/', getMyTrips);
+router.get('/active', getActiveTrip);
+router.get('/:id', getTripById);
+router.post('/', startTrip);
+router.post('/:id/positions', updateTripPosition);
+router.post('/:id/end', endTrip);
+router.post('/:id/abandon', abandonTrip);
+
+module.exports = router;
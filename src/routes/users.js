@@ -10,9 +10,33 @@ const {
   toggleUserStatus,
   getUserStats
 } = require('../controllers/usersController');
+const {
+  getMyContacts,
+  inviteContact,
+  updateContact,
+  revokeContact,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getLinkedUsers,
+  leaveLinkedUser,
+  getLinkedUserLocation
+} = require('../controllers/contactsController');
 
 const router = express.Router();
 
+// Contactos de confianza del usuario actual (sin permisos especiales)
+router.get('/me/contacts', getMyContacts);
+router.post('/me/contacts', inviteContact);
+router.get('/me/contacts/invitations', getMyInvitations);
+router.post('/me/contacts/invitations/:contactId/accept', acceptInvitation);
+router.post('/me/contacts/invitations/:contactId/decline', declineInvitation);
+router.get('/me/contacts/linked', getLinkedUsers);
+router.get('/me/contacts/linked/:contactId/location', getLinkedUserLocation);
+router.delete('/me/contacts/linked/:contactId', leaveLinkedUser);
+router.put('/me/contacts/:contactId', updateContact);
+router.delete('/me/contacts/:contactId', revokeContact);
+
 // Rutas que requieren permisos de admin
 router.get('/', requireRole('admin'), getAllUsers);
 router.get('/stats', requireRole('admin'), getUserStats);
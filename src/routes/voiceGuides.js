@@ -3,6 +3,7 @@ const { authorize } = require('../middleware/authorization');
 const {
   getAllVoiceGuides,
   getVoiceGuideById,
+  streamVoiceGuideAudio,
   createVoiceGuide,
   updateVoiceGuide,
   deleteVoiceGuide,
@@ -17,6 +18,7 @@ router.get('/', getAllVoiceGuides);
 router.get('/my-guides', getMyVoiceGuides);
 router.get('/route/:routeId', getVoiceGuidesByRoute);
 router.get('/:id', getVoiceGuideById);
+router.get('/:id/audio', streamVoiceGuideAudio);
 
 // Rutas protegidas
 router.post('/', authorize(['routes.create', 'messages.create']), createVoiceGuide);
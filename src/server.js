@@ -9,6 +9,10 @@ const rateLimit = require('express-rate-limit');
 const { connectPostgreSQL } = require('./config/postgresql');
 const { connectMongoDB } = require('./config/mongodb');
 const logger = require('./config/logger');
+const { startRealtimePoller } = require('./services/gtfsRealtimePoller');
+const { UPLOADS_DIR } = require('./utils/uploads');
+const { isAudioFileName } = require('./utils/mediaTypes');
+const { attachLiveChannel } = require('./services/liveChannel');
 
 // Importar middlewares
 const { authenticate } = require('./middleware/auth');
@@ -22,6 +26,15 @@ const routeRoutes = require('./routes/routes');
 const messageRoutes = require('./routes/messages');
 const touristSpotRoutes = require('./routes/touristSpots');
 const voiceGuideRoutes = require('./routes/voiceGuides');
+const navigationRoutes = require('./routes/navigation');
+const beaconRoutes = require('./routes/beacons');
+const positioningRoutes = require('./routes/positioning');
+const transitRoutes = require('./routes/transit');
+const hazardRoutes = require('./routes/hazards');
+const tripRoutes = require('./routes/trips');
+const emergencyRoutes = require('./routes/emergency');
+const meRoutes = require('./routes/me');
+const mediaRoutes = require('./routes/media');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -55,11 +68,30 @@ app.use(morgan('combined', {
 }));
 
 // Middleware para parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/geo+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Servir archivos estáticos
-app.use('/uploads', express.static('uploads'));
+// Los audios no se sirven aquí: solo con autenticación en GET /api/voice-guides/:id/audio
+const rejectAudioUploads = (req, res, next) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(req.path);
+  } catch (error) {
+    pathname = req.path;
+  }
+
+  if (!isAudioFileName(pathname)) {
+    return next();
+  }
+
+  res.status(404).json({
+    success: false,
+    message: 'Route not found'
+  });
+};
+
+app.use('/uploads', rejectAudioUploads, express.static(UPLOADS_DIR));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -78,6 +110,15 @@ app.use('/api/routes', authenticate, routeRoutes);
 app.use('/api/messages', authenticate, messageRoutes);
 app.use('/api/tourist-spots', authenticate, touristSpotRoutes);
 app.use('/api/voice-guides', authenticate, voiceGuideRoutes);
+app.use('/api/navigation', authenticate, navigationRoutes);
+app.use('/api/beacons', authenticate, beaconRoutes);
+app.use('/api/positioning', authenticate, positioningRoutes);
+app.use('/api/transit', authenticate, transitRoutes);
+app.use('/api/hazards', authenticate, hazardRoutes);
+app.use('/api/trips', authenticate, tripRoutes);
+app.use('/api/emergency', emergencyRoutes);
+app.use('/api/me', authenticate, meRoutes);
+app.use('/api/media', authenticate, mediaRoutes);
 
 // Ruta 404
 app.use('*', (req, res) => {
@@ -96,13 +137,19 @@ async function startServer() {
     // Conectar a las bases de datos
     await connectPostgreSQL();
     await connectMongoDB();
+
+    // Iniciar el sondeo de GTFS-Realtime (si está configurado)
+    startRealtimePoller();
     
     // Iniciar servidor
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`🚀 OpenBlind Server running on port ${PORT}`);
       logger.info(`📊 Environment: ${process.env.NODE_ENV}`);
       logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
     });
+
+    // Canal en tiempo real (WebSocket) para posiciones y avisos
+    attachLiveChannel(server);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,24 @@
+const { AuditLog } = require('../config/postgresql');
+const { logger } = require('../config/logger');
+
+// Registrar un evento en la tabla audit_logs de PostgreSQL
+// Un fallo al auditar se registra en el log pero no interrumpe la petición
+const recordAuditLog = async (req, action, resource, resourceId, details = {}) => {
+  try {
+    await AuditLog.create({
+      userId: req.user.id,
+      action,
+      resource,
+      resourceId: String(resourceId),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit log for ${action}:`, error);
+  }
+};
+
+module.exports = {
+  recordAuditLog
+};
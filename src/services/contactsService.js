@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { TrustedContact, User } = require('../config/postgresql');
+const { EmergencyAlert, Trip } = require('../database/database.orm');
+const { notify } = require('./notifier');
+const { DEFAULT_LANGUAGE } = require('../utils/instructions');
+
+// Textos de la invitación por idioma
+const templates = {
+  es: {
+    subject: (name) => `${name} te invita a ser su contacto de confianza en OpenBlind`,
+    body: (name, permissions, token) =>
+      `${name} quiere añadirte como contacto de confianza con estos permisos: ${permissions.join(', ')}. ` +
+      'Inicia sesión en OpenBlind con este correo y usa este código para aceptar o rechazar la invitación: ' +
+      `${token}`
+  },
+  en: {
+    subject: (name) => `${name} invited you to be a trusted contact on OpenBlind`,
+    body: (name, permissions, token) =>
+      `${name} would like to add you as a trusted contact with these permissions: ${permissions.join(', ')}. ` +
+      'Sign in to OpenBlind with this email address and use this code to accept or decline the invitation: ' +
+      `${token}`
+  }
+};
+
+const getTemplate = (language) => {
+  const code = (language || DEFAULT_LANGUAGE).toLowerCase().split('-')[0];
+  return templates[code] || templates[DEFAULT_LANGUAGE];
+};
+
+// Condición para relaciones aceptadas que incluyen un permiso
+const withPermission = (permission) => ({
+  status: 'accepted',
+  permissions: { [Op.contains]: [permission] }
+});
+
+// Indica si contactUserId tiene el permiso concedido por userId
+const hasContactPermission = async (contactUserId, userId, permission) => {
+  if (!contactUserId || !userId) return false;
+
+  const link = await TrustedContact.findOne({
+    where: { userId, contactUserId, ...withPermission(permission) },
+    attributes: ['id']
+  });
+
+  return Boolean(link);
+};
+
+// Contactos aceptados de un usuario con un permiso, con su cuenta vinculada
+const findContactsWithPermission = (userId, permission) =>
+  TrustedContact.findAll({
+    where: { userId, ...withPermission(permission) },
+    include: [{
+      model: User,
+      as: 'contactUser',
+      attributes: ['id', 'email', 'telefono']
+    }]
+  });
+
+// Los tokens de invitación se guardan como hash SHA-256, igual que los enlaces de ubicación
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Crear el token de un solo uso que demuestra el acceso al correo invitado
+const createInvitationToken = () => {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, tokenHash: hashInvitationToken(token) };
+};
+
+// Enviar la invitación por correo al contacto, con el token para responderla
+const sendContactInvitation = async (contact, inviter, language, token) => {
+  const template = getTemplate(language);
+  const name = `${inviter.nombres} ${inviter.apellidos}`.trim();
+
+  await notify({
+    channel: 'email',
+    to: contact.email,
+    subject: template.subject(name),
+    body: template.body(name, contact.permissions, token),
+    data: { type: 'contact_invitation', contactId: contact.id }
+  });
+};
+
+// Última posición conocida de un usuario: alerta SOS activa o viaje activo
+const findLastKnownPosition = async (userId) => {
+  const alert = await EmergencyAlert.findOne({ userId, status: 'active' })
+    .select('lastPosition createdAt')
+    .lean();
+
+  if (alert?.lastPosition?.position?.length === 2) {
+    return { ...alert.lastPosition, origin: 'sos', alertId: alert._id };
+  }
+
+  const trip = await Trip.findOne({ userId, status: 'active' })
+    .select('lastPosition routeId progress eta')
+    .populate('routeId', 'name')
+    .lean();
+
+  if (trip?.lastPosition?.position?.length === 2) {
+    return {
+      ...trip.lastPosition,
+      origin: 'trip',
+      tripId: trip._id,
+      route: trip.routeId,
+      progress: trip.progress,
+      eta: trip.eta
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  hasContactPermission,
+  findContactsWithPermission,
+  hashInvitationToken,
+  createInvitationToken,
+  sendContactInvitation,
+  findLastKnownPosition
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { EmergencyAlert } = require('../database/database.orm');
+const { logger } = require('../config/logger');
+const { notify } = require('./notifier');
+const { findContactsWithPermission } = require('./contactsService');
+const { DEFAULT_LANGUAGE } = require('../utils/instructions');
+
+const SHARE_LINK_MINUTES = parseInt(process.env.EMERGENCY_SHARE_LINK_MINUTES) || 120;
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Textos de la alerta por idioma
+const templates = {
+  es: {
+    subject: (name) => `SOS: ${name} necesita ayuda`,
+    body: (name, url, routeName) =>
+      `${name} ha enviado una alerta de emergencia${routeName ? ` durante la ruta "${routeName}"` : ''}. ` +
+      `Ubicación en vivo: ${url}`
+  },
+  en: {
+    subject: (name) => `SOS: ${name} needs help`,
+    body: (name, url, routeName) =>
+      `${name} has sent an emergency alert${routeName ? ` while following the route "${routeName}"` : ''}. ` +
+      `Live location: ${url}`
+  }
+};
+
+const getTemplate = (language) => {
+  const code = (language || DEFAULT_LANGUAGE).toLowerCase().split('-')[0];
+  return templates[code] || templates[DEFAULT_LANGUAGE];
+};
+
+// Los tokens de los enlaces se guardan como hash SHA-256 para poder buscarlos
+const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Crear un enlace de ubicación en vivo que vence tras SHARE_LINK_MINUTES
+const createShareLink = (now = new Date()) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  return {
+    token,
+    url: `${PUBLIC_URL}/api/emergency/share/${token}`,
+    tokenHash: hashShareToken(token),
+    expiresAt: new Date(now.getTime() + SHARE_LINK_MINUTES * 60 * 1000)
+  };
+};
+
+// Avisar a los contactos de confianza con permiso receive_sos por cada canal disponible
+// Devuelve el resultado de cada envío; un fallo no detiene los demás
+const notifyTrustedContacts = async ({ alert, user, shareUrl, routeName, language }) => {
+  const contacts = await findContactsWithPermission(user.id, 'receive_sos');
+
+  const template = getTemplate(language);
+  const name = `${user.nombres} ${user.apellidos}`.trim();
+  const subject = template.subject(name);
+  const body = template.body(name, shareUrl, routeName);
+
+  const deliveries = contacts.flatMap(contact => {
+    const telefono = contact.telefono || contact.contactUser?.telefono;
+    return [
+      { contact, channel: 'email', to: contact.email },
+      telefono && { contact, channel: 'sms', to: telefono }
+    ].filter(Boolean);
+  });
+
+  return Promise.all(deliveries.map(async ({ contact, channel, to }) => {
+    try {
+      await notify({
+        channel,
+        to,
+        subject,
+        body,
+        data: { type: 'sos', alertId: String(alert._id), shareUrl }
+      });
+      return { contactId: contact.id, channel, to, status: 'sent', at: new Date() };
+    } catch (error) {
+      logger.error(`SOS notification to ${to} failed:`, error);
+      return { contactId: contact.id, channel, to, status: 'failed', error: error.message, at: new Date() };
+    }
+  }));
+};
+
+// Actualizar la ubicación de la alerta activa del usuario (si la hay)
+const updateActiveAlertPosition = (userId, location, now = new Date()) =>
+  EmergencyAlert.updateOne(
+    { userId, status: 'active' },
+    {
+      $set: {
+        lastPosition: {
+          position: location.position,
+          accuracy: location.accuracy,
+          source: location.source,
+          at: now
+        }
+      }
+    }
+  );
+
+module.exports = {
+  SHARE_LINK_MINUTES,
+  hashShareToken,
+  createShareLink,
+  notifyTrustedContacts,
+  updateActiveAlertPosition
+};
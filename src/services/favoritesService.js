@@ -0,0 +1,28 @@
+const { Favorite, Route, TouristSpot } = require('../database/database.orm');
+
+// Tipos de favorito según el segmento de la URL
+const FAVORITE_TYPES = {
+  routes: { resourceType: 'Route', model: Route, fields: 'name location transportName difficulty totalDistance isActive' },
+  'tourist-spots': { resourceType: 'TouristSpot', model: TouristSpot, fields: 'nombre lugarDestino category ubicacion isActive' }
+};
+
+// Añadir isFavorite a una lista de rutas o puntos turísticos (documentos lean)
+const markFavorites = async (userId, resourceType, items) => {
+  if (items.length === 0) {
+    return items;
+  }
+
+  const favorites = await Favorite.find({
+    userId,
+    resourceType,
+    resourceId: { $in: items.map(item => item._id) }
+  }).select('resourceId').lean();
+
+  const favoriteIds = new Set(favorites.map(favorite => String(favorite.resourceId)));
+  return items.map(item => ({ ...item, isFavorite: favoriteIds.has(String(item._id)) }));
+};
+
+module.exports = {
+  FAVORITE_TYPES,
+  markFavorites
+};
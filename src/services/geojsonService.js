@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { createError } = require('../middleware/errorHandler');
+const { validateGeometry } = require('../utils/geojson');
+
+const MAX_IMPORT_FEATURES = 1000;
+
+// Enviar un FeatureCollection con el tipo de contenido GeoJSON
+const sendFeatureCollection = (res, features) => {
+  res.type('application/geo+json');
+  res.send(JSON.stringify({ type: 'FeatureCollection', features }));
+};
+
+// Importar un FeatureCollection creando o actualizando documentos
+// Un feature cuyo id coincide con un documento existente lo actualiza (ida y vuelta con QGIS)
+// En modo dryRun solo se valida, sin escribir en la base de datos
+const importFeatureCollection = async ({ Model, collection, user, dryRun, geometryTypes, fromFeature }) => {
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw createError('A GeoJSON FeatureCollection is required', 400);
+  }
+
+  if (collection.features.length > MAX_IMPORT_FEATURES) {
+    throw createError(`A FeatureCollection can contain at most ${MAX_IMPORT_FEATURES} features`, 413);
+  }
+
+  const errors = [];
+  const imported = [];
+  let created = 0;
+  let updated = 0;
+
+  for (const [index, feature] of collection.features.entries()) {
+    const featureId = feature && (feature.id ?? (feature.properties || {})._id);
+
+    const geometryError = feature && feature.type === 'Feature'
+      ? validateGeometry(feature.geometry, geometryTypes)
+      : 'Item is not a GeoJSON Feature';
+
+    if (geometryError) {
+      errors.push({ index, id: featureId, message: geometryError });
+      continue;
+    }
+
+    try {
+      const data = fromFeature(feature);
+      let doc = mongoose.isValidObjectId(featureId) ? await Model.findById(featureId) : null;
+
+      if (doc) {
+        // Verificar ownership (solo el creador o admin puede modificar)
+        if (doc.createdBy !== user.id && user.role !== 'admin') {
+          errors.push({ index, id: featureId, message: 'You can only update your own resources' });
+          continue;
+        }
+        doc.set(data);
+      } else {
+        doc = new Model({ ...data, createdBy: user.id });
+      }
+
+      // Autor y acción de la revisión (solo lo usan los modelos con historial)
+      doc.$locals.changedBy = user.id;
+      doc.$locals.revisionAction = 'import';
+
+      const isNew = doc.isNew;
+      if (dryRun) {
+        await doc.validate();
+      } else {
+        await doc.save();
+      }
+
+      if (isNew) created++;
+      else updated++;
+      imported.push({ index, id: doc._id, action: isNew ? 'create' : 'update' });
+    } catch (error) {
+      errors.push({ index, id: featureId, message: error.message });
+    }
+  }
+
+  return {
+    dryRun,
+    total: collection.features.length,
+    created,
+    updated,
+    failed: errors.length,
+    imported,
+    errors
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_FEATURES,
+  sendFeatureCollection,
+  importFeatureCollection
+};
@@ -0,0 +1,555 @@
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse');
+const {
+  Route,
+  TransitStop,
+  TransitRoute,
+  TransitTrip,
+  TransitStopTime,
+  TransitShape,
+  TransitCalendar,
+  TransitCalendarDate,
+  TransitFeed
+} = require('../database/database.orm');
+const { logger } = require('../config/logger');
+const { createError } = require('../middleware/errorHandler');
+const { isValidPosition } = require('../utils/geo');
+const { publishedFeedFilter } = require('./transitFeeds');
+
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const BATCH_SIZE = 5000;
+const LINK_STOP_RADIUS = 150; // metros entre una parada GTFS y la ruta
+const IMPORT_DIR = path.resolve(process.env.GTFS_IMPORT_DIR || 'data/gtfs');
+const MAX_REPORTED_ROWS = 20; // filas descartadas que se detallan por archivo
+const MAX_FINISHED_JOBS = 20; // importaciones terminadas que se conservan en memoria
+
+// Colecciones que forman un feed (cada importación es una versión nueva de todas ellas)
+const FEED_MODELS = [
+  TransitStop,
+  TransitRoute,
+  TransitTrip,
+  TransitStopTime,
+  TransitShape,
+  TransitCalendar,
+  TransitCalendarDate
+];
+
+// Columnas de calendar.txt en el orden de la semana
+const CALENDAR_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Importaciones en segundo plano (por id) y feeds con una importación en curso
+const jobs = new Map();
+const runningFeeds = new Set();
+
+// Convertir "HH:MM:SS" de GTFS a segundos (las horas pueden superar 24)
+const parseGtfsTime = (value) => {
+  if (!value) return undefined;
+  const [hours, minutes, seconds] = value.split(':').map(part => parseInt(part, 10));
+  if ([hours, minutes, seconds].some(isNaN)) return undefined;
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+// Fecha de servicio GTFS (YYYYMMDD)
+const isGtfsDate = (value) => /^\d{8}$/.test(value || '');
+
+const parseOptionalInt = (value) => {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? undefined : number;
+};
+
+// Resolver la ruta de un feed dentro del directorio de importación permitido
+const resolveFeedPath = (file) => {
+  const resolved = path.resolve(IMPORT_DIR, file);
+  if (!resolved.startsWith(IMPORT_DIR + path.sep)) {
+    throw createError('GTFS file must be inside the import directory', 400);
+  }
+  return resolved;
+};
+
+// Leer un archivo CSV del zip como iterador asíncrono de { record, info }
+// info.lines indica la línea del archivo para informar de las filas descartadas
+const readCsv = (zip, name) => {
+  const entry = zip.getEntries().find(candidate => path.basename(candidate.entryName) === name);
+  if (!entry) return null;
+
+  return parse(entry.getData(), {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    info: true
+  });
+};
+
+// Registrar una fila descartada en el informe del archivo
+const skipRow = (report, file, line, reason) => {
+  if (!report[file]) {
+    report[file] = { count: 0, rows: [] };
+  }
+
+  report[file].count++;
+  if (report[file].rows.length < MAX_REPORTED_ROWS) {
+    report[file].rows.push({ line, reason });
+  }
+};
+
+// Insertar las filas de un archivo en la versión que se está importando, por lotes
+// Las filas inválidas o duplicadas (misma clave) se descartan y se informan en lugar de abortar
+const stageCollection = async (Model, target, file, records, { mapRecord, keyOf, skipped }) => {
+  const seen = new Set();
+  let batch = [];
+  let count = 0;
+
+  for await (const { record, info } of records) {
+    const doc = mapRecord(record);
+    if (!doc) {
+      skipRow(skipped, file, info.lines, 'Invalid or incomplete row');
+      continue;
+    }
+
+    const key = keyOf(doc);
+    if (seen.has(key)) {
+      skipRow(skipped, file, info.lines, `Duplicate ${key}`);
+      continue;
+    }
+    seen.add(key);
+
+    batch.push({ ...doc, ...target });
+    if (batch.length >= BATCH_SIZE) {
+      await Model.insertMany(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    await Model.insertMany(batch);
+    count += batch.length;
+  }
+
+  return count;
+};
+
+// Preparar un archivo opcional del feed (0 filas si no está en el zip)
+const stageOptionalCollection = async (Model, target, zip, file, options) => {
+  const records = readCsv(zip, file);
+  return records ? stageCollection(Model, target, file, records, options) : 0;
+};
+
+// Importar shapes.txt agrupando los puntos por shape_id
+const stageShapes = async (zip, target, skipped) => {
+  const records = readCsv(zip, 'shapes.txt');
+  if (!records) return 0;
+
+  const shapes = new Map();
+  for await (const { record, info } of records) {
+    const position = [parseFloat(record.shape_pt_lon), parseFloat(record.shape_pt_lat)];
+    const sequence = parseInt(record.shape_pt_sequence, 10);
+    if (!record.shape_id || !isValidPosition(position) || isNaN(sequence)) {
+      skipRow(skipped, 'shapes.txt', info.lines, 'Invalid or incomplete row');
+      continue;
+    }
+
+    if (!shapes.has(record.shape_id)) shapes.set(record.shape_id, []);
+    shapes.get(record.shape_id).push({ sequence, position });
+  }
+
+  const docs = [...shapes.entries()]
+    .filter(([, points]) => points.length >= 2)
+    .map(([shapeId, points]) => ({
+      ...target,
+      shapeId,
+      geometry: {
+        type: 'LineString',
+        coordinates: points.sort((a, b) => a.sequence - b.sequence).map(point => point.position)
+      }
+    }));
+
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    await TransitShape.insertMany(docs.slice(i, i + BATCH_SIZE));
+  }
+
+  return docs.length;
+};
+
+// Crear los índices de las colecciones del feed y eliminar los que ya no declara el schema
+// (los índices únicos anteriores a las versiones impedirían guardar dos versiones del mismo feed)
+let feedIndexesSynced = null;
+const syncFeedIndexes = () => {
+  if (!feedIndexesSynced) {
+    feedIndexesSynced = Promise.all(FEED_MODELS.map(Model => Model.syncIndexes()))
+      .catch((error) => {
+        feedIndexesSynced = null;
+        throw error;
+      });
+  }
+  return feedIndexesSynced;
+};
+
+// Publicar una versión del feed y eliminar la anterior
+// El cambio de puntero en TransitFeed es una única escritura atómica, así que los lectores ven
+// el feed anterior completo o el nuevo completo. Las filas de la versión anterior se borran
+// después, colección a colección: un feed real supera los límites de una transacción de MongoDB
+const publishFeedVersion = async (feedId, version) => {
+  const previous = await TransitFeed.findOneAndUpdate(
+    { feedId },
+    { $set: { version, publishedAt: new Date() } },
+    { upsert: true, new: false }
+  ).lean();
+
+  const previousVersion = previous ? previous.version : null;
+  for (const Model of FEED_MODELS) {
+    await Model.deleteMany({ feedId, version: previousVersion });
+  }
+};
+
+// Eliminar las filas de una versión que no llegó a publicarse
+const removeFeedVersion = async (feedId, version) => {
+  for (const Model of FEED_MODELS) {
+    await Model.deleteMany({ feedId, version });
+  }
+};
+
+// Eliminar las versiones no publicadas de un feed (importaciones interrumpidas)
+const removeUnpublishedVersions = async (feedId) => {
+  const { version } = await publishedFeedFilter(feedId);
+  for (const Model of FEED_MODELS) {
+    await Model.deleteMany({ feedId, version: { $ne: version } });
+  }
+};
+
+// Normalizar texto para comparar nombres de líneas
+const normalizeText = (value) => (value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Palabras de un nombre normalizado
+const tokenize = (value) => normalizeText(value).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Comprobar si las palabras de `needle` aparecen seguidas y completas dentro de `haystack`
+const containsTokens = (haystack, needle) => needle.length > 0 &&
+  haystack.some((_, start) => needle.every((token, offset) => haystack[start + offset] === token));
+
+// Comparar dos listas de identificadores sin importar el orden
+const sameIds = (a = [], b = []) => a.length === b.length && [...a].sort().join('\n') === [...b].sort().join('\n');
+
+// Vincular automáticamente las rutas de OpenBlind con rutas y paradas GTFS
+// Las rutas vinculadas manualmente no se modifican
+// changedBy: usuario que lanzó la importación (null si fue un proceso automático)
+const linkRoutes = async (feedId, { changedBy = null } = {}) => {
+  const feed = await publishedFeedFilter(feedId);
+  const transitRoutes = await TransitRoute.find(feed).lean();
+  const routes = await Route.find({ 'transit.linkMode': { $ne: 'manual' } })
+    .select('transportName name coordinates waypoints')
+    .lean();
+
+  let linked = 0;
+
+  for (const route of routes) {
+    const tokens = tokenize(route.transportName);
+
+    // Líneas cuyo número o nombre completo aparece como palabras enteras en el transporte de la ruta
+    // (un nombre genérico como "bus" no basta para vincular todas las líneas que lo contienen)
+    const matchedRoutes = tokens.length === 0 ? [] : transitRoutes.filter(transitRoute => {
+      const shortName = normalizeText(transitRoute.shortName);
+      return (shortName && tokens.includes(shortName)) ||
+        containsTokens(tokens, tokenize(transitRoute.longName));
+    });
+
+    // Posiciones de la ruta: waypoints o punto de inicio
+    const positions = route.waypoints && route.waypoints.length > 0
+      ? route.waypoints.map(waypoint => waypoint.position)
+      : route.coordinates && route.coordinates.coordinates && route.coordinates.coordinates.length === 2
+        ? [route.coordinates.coordinates]
+        : [];
+
+    if (matchedRoutes.length === 0 && positions.length === 0) continue;
+
+    const stopQuery = { ...feed };
+    if (positions.length > 0) {
+      stopQuery.$or = positions.map(position => ({
+        location: { $geoWithin: { $centerSphere: [position, LINK_STOP_RADIUS / 6371000] } }
+      }));
+    }
+
+    let stopIds = positions.length > 0 ? await TransitStop.distinct('stopId', stopQuery) : [];
+
+    // Si se identificaron líneas, conservar solo las paradas servidas por ellas
+    if (matchedRoutes.length > 0 && stopIds.length > 0) {
+      const tripIds = await TransitTrip.distinct('tripId', {
+        ...feed,
+        routeId: { $in: matchedRoutes.map(transitRoute => transitRoute.routeId) }
+      });
+      const servedStopIds = await TransitStopTime.distinct('stopId', {
+        ...feed,
+        tripId: { $in: tripIds },
+        stopId: { $in: stopIds }
+      });
+      stopIds = servedStopIds;
+    }
+
+    if (matchedRoutes.length === 0 && stopIds.length === 0) continue;
+
+    // Guardar con save() para que el cambio quede en el historial de revisiones de la ruta
+    // Se vuelve a comprobar linkMode por si la ruta se vinculó manualmente durante la importación
+    const doc = await Route.findOne({ _id: route._id, 'transit.linkMode': { $ne: 'manual' } });
+    if (!doc) continue;
+
+    const routeIds = matchedRoutes.map(transitRoute => transitRoute.routeId);
+    const current = doc.transit || {};
+    const unchanged = current.feedId === feedId &&
+      sameIds(current.routeIds, routeIds) &&
+      sameIds(current.stopIds, stopIds);
+
+    if (!unchanged) {
+      doc.transit = {
+        feedId,
+        routeIds,
+        stopIds,
+        linkMode: 'auto',
+        linkedAt: new Date()
+      };
+      doc.$locals.changedBy = changedBy;
+      doc.$locals.revisionAction = 'transit_link';
+      await doc.save();
+    }
+    linked++;
+  }
+
+  return linked;
+};
+
+// Abrir un feed GTFS y comprobar que contiene los archivos obligatorios
+const openFeed = (zipPath) => {
+  let zip;
+  try {
+    zip = new AdmZip(zipPath);
+  } catch (error) {
+    throw createError(`Unable to open GTFS file: ${error.message}`, 400);
+  }
+
+  const entries = zip.getEntries().map(entry => path.basename(entry.entryName));
+  const missing = REQUIRED_FILES.filter(name => !entries.includes(name));
+  if (missing.length > 0) {
+    throw createError(`GTFS feed is missing required files: ${missing.join(', ')}`, 400);
+  }
+
+  return zip;
+};
+
+// Guardar todas las colecciones del feed en una versión todavía no publicada
+const stageFeed = async (zip, target, skipped) => {
+  const stops = await stageCollection(TransitStop, target, 'stops.txt', readCsv(zip, 'stops.txt'), {
+    skipped,
+    keyOf: doc => `stop_id ${doc.stopId}`,
+    mapRecord: record => {
+      const position = [parseFloat(record.stop_lon), parseFloat(record.stop_lat)];
+      if (!record.stop_id || !isValidPosition(position)) return null;
+      return {
+        stopId: record.stop_id,
+        code: record.stop_code,
+        name: record.stop_name,
+        description: record.stop_desc,
+        location: { type: 'Point', coordinates: position },
+        parentStation: record.parent_station || undefined,
+        wheelchairBoarding: parseOptionalInt(record.wheelchair_boarding) || 0
+      };
+    }
+  });
+
+  const routes = await stageCollection(TransitRoute, target, 'routes.txt', readCsv(zip, 'routes.txt'), {
+    skipped,
+    keyOf: doc => `route_id ${doc.routeId}`,
+    mapRecord: record => record.route_id ? {
+      routeId: record.route_id,
+      agencyId: record.agency_id,
+      shortName: record.route_short_name,
+      longName: record.route_long_name,
+      description: record.route_desc,
+      routeType: parseOptionalInt(record.route_type),
+      color: record.route_color,
+      textColor: record.route_text_color
+    } : null
+  });
+
+  // Servicio de cada viaje, para copiarlo en sus horarios de paso
+  const tripServices = new Map();
+
+  const trips = await stageCollection(TransitTrip, target, 'trips.txt', readCsv(zip, 'trips.txt'), {
+    skipped,
+    keyOf: doc => `trip_id ${doc.tripId}`,
+    mapRecord: record => {
+      if (!record.trip_id || !record.route_id) return null;
+
+      // Si el viaje está duplicado se conserva la primera fila, igual que en la colección
+      if (!tripServices.has(record.trip_id)) {
+        tripServices.set(record.trip_id, record.service_id);
+      }
+
+      return {
+        tripId: record.trip_id,
+        routeId: record.route_id,
+        serviceId: record.service_id,
+        headsign: record.trip_headsign,
+        directionId: parseOptionalInt(record.direction_id),
+        shapeId: record.shape_id || undefined,
+        wheelchairAccessible: parseOptionalInt(record.wheelchair_accessible) || 0
+      };
+    }
+  });
+
+  const stopTimes = await stageCollection(TransitStopTime, target, 'stop_times.txt', readCsv(zip, 'stop_times.txt'), {
+    skipped,
+    keyOf: doc => `trip_id ${doc.tripId} stop_sequence ${doc.stopSequence}`,
+    mapRecord: record => {
+      const stopSequence = parseInt(record.stop_sequence, 10);
+      if (!record.trip_id || !record.stop_id || isNaN(stopSequence)) return null;
+      return {
+        tripId: record.trip_id,
+        stopId: record.stop_id,
+        stopSequence,
+        serviceId: tripServices.get(record.trip_id),
+        arrivalTime: parseGtfsTime(record.arrival_time),
+        departureTime: parseGtfsTime(record.departure_time),
+        stopHeadsign: record.stop_headsign || undefined
+      };
+    }
+  });
+
+  const calendars = await stageOptionalCollection(TransitCalendar, target, zip, 'calendar.txt', {
+    skipped,
+    keyOf: doc => `service_id ${doc.serviceId}`,
+    mapRecord: record => {
+      if (!record.service_id || !isGtfsDate(record.start_date) || !isGtfsDate(record.end_date)) return null;
+      return {
+        serviceId: record.service_id,
+        days: CALENDAR_DAYS.filter(day => record[day] === '1'),
+        startDate: record.start_date,
+        endDate: record.end_date
+      };
+    }
+  });
+
+  const calendarDates = await stageOptionalCollection(TransitCalendarDate, target, zip, 'calendar_dates.txt', {
+    skipped,
+    keyOf: doc => `service_id ${doc.serviceId} date ${doc.date}`,
+    mapRecord: record => {
+      const exceptionType = parseOptionalInt(record.exception_type);
+      if (!record.service_id || !isGtfsDate(record.date) || ![1, 2].includes(exceptionType)) return null;
+      return { serviceId: record.service_id, date: record.date, exceptionType };
+    }
+  });
+
+  const shapes = await stageShapes(zip, target, skipped);
+
+  return { stops, routes, trips, stopTimes, calendars, calendarDates, shapes };
+};
+
+// Importar un feed GTFS estático desde un archivo zip local
+// Las filas se guardan en una versión nueva que solo se publica si todo el feed se importó;
+// si algo falla, el feed publicado anteriormente no se modifica
+const importGtfsFeed = async (zipPath, feedId = 'default', { changedBy = null } = {}) => {
+  const zip = openFeed(zipPath);
+  const version = crypto.randomUUID();
+  const skipped = {};
+
+  logger.info(`Importing GTFS feed "${feedId}" from ${zipPath}`);
+
+  await syncFeedIndexes();
+  await removeUnpublishedVersions(feedId);
+
+  let counts;
+  try {
+    counts = await stageFeed(zip, { feedId, version }, skipped);
+  } catch (error) {
+    await removeFeedVersion(feedId, version);
+    throw error;
+  }
+
+  await publishFeedVersion(feedId, version);
+
+  const linkedRoutes = await linkRoutes(feedId, { changedBy });
+
+  const summary = { feedId, ...counts, linkedRoutes, skipped };
+  logger.info('GTFS feed imported', summary);
+
+  return summary;
+};
+
+// Vista pública de una importación en segundo plano
+const serializeJob = (job) => ({
+  id: job.id,
+  feedId: job.feedId,
+  status: job.status,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  summary: job.summary,
+  error: job.error
+});
+
+// Olvidar las importaciones terminadas más antiguas
+const pruneJobs = () => {
+  const finished = [...jobs.values()].filter(job => job.status !== 'running');
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+};
+
+// Iniciar la importación de un feed en segundo plano
+// El archivo se valida antes de devolver el trabajo; solo puede haber una importación por feed
+const startGtfsImport = (zipPath, feedId = 'default', { changedBy = null, onComplete } = {}) => {
+  openFeed(zipPath);
+
+  if (runningFeeds.has(feedId)) {
+    throw createError(`GTFS feed "${feedId}" is already being imported`, 409);
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    feedId,
+    status: 'running',
+    startedAt: new Date(),
+    finishedAt: null,
+    summary: null,
+    error: null
+  };
+  jobs.set(job.id, job);
+  runningFeeds.add(feedId);
+
+  importGtfsFeed(zipPath, feedId, { changedBy })
+    .then((summary) => {
+      job.status = 'completed';
+      job.summary = summary;
+      if (onComplete) onComplete(summary);
+    })
+    .catch((error) => {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`GTFS import of feed "${feedId}" failed:`, error);
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+      runningFeeds.delete(feedId);
+      pruneJobs();
+    });
+
+  return serializeJob(job);
+};
+
+// Estado de una importación en segundo plano (o null si no existe)
+const getImportJob = (id) => {
+  const job = jobs.get(id);
+  return job ? serializeJob(job) : null;
+};
+
+module.exports = {
+  IMPORT_DIR,
+  parseGtfsTime,
+  resolveFeedPath,
+  linkRoutes,
+  importGtfsFeed,
+  startGtfsImport,
+  getImportJob
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const { logger } = require('../config/logger');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const SOURCE = process.env.GTFS_RT_TRIP_UPDATES_URL; // URL http(s) o ruta de archivo local
+const FEED_ID = process.env.GTFS_RT_FEED_ID || 'default';
+const POLL_INTERVAL = (parseInt(process.env.GTFS_RT_POLL_INTERVAL) || 30) * 1000;
+const REQUEST_TIMEOUT = 10000;
+
+// Predicciones en memoria (en producción usar Redis)
+// stopId -> [{ tripId, routeId, arrivalTime, departureTime, delay, stopSequence }]
+let predictionsByStop = new Map();
+let lastUpdated = null;
+let timer = null;
+
+// Leer el feed desde una URL o un archivo local
+const fetchFeed = (source) => {
+  if (!/^https?:\/\//.test(source)) {
+    return fs.promises.readFile(source);
+  }
+
+  const client = source.startsWith('https') ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(source, { timeout: REQUEST_TIMEOUT }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`GTFS-Realtime feed responded with status ${response.statusCode}`));
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error('GTFS-Realtime request timed out')));
+    request.on('error', reject);
+  });
+};
+
+// Los enteros de 64 bits llegan como objetos Long de protobufjs
+const toNumber = (value) => {
+  if (value == null) return undefined;
+  return typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+};
+
+// Indexar las predicciones de TripUpdates por parada
+const indexTripUpdates = (feed) => {
+  const index = new Map();
+
+  feed.entity.forEach(entity => {
+    const update = entity.tripUpdate;
+    if (!update || !update.trip) return;
+
+    const { tripId, routeId, scheduleRelationship } = update.trip;
+    if (scheduleRelationship === 3) return; // CANCELED
+
+    update.stopTimeUpdate.forEach(stopTime => {
+      if (!stopTime.stopId || stopTime.scheduleRelationship === 1) return; // SKIPPED
+
+      const prediction = {
+        tripId,
+        routeId,
+        stopSequence: toNumber(stopTime.stopSequence),
+        arrivalTime: stopTime.arrival ? toNumber(stopTime.arrival.time) : undefined,
+        departureTime: stopTime.departure ? toNumber(stopTime.departure.time) : undefined,
+        delay: stopTime.arrival && stopTime.arrival.delay != null
+          ? stopTime.arrival.delay
+          : stopTime.departure && stopTime.departure.delay != null ? stopTime.departure.delay : undefined
+      };
+
+      if (!index.has(stopTime.stopId)) index.set(stopTime.stopId, []);
+      index.get(stopTime.stopId).push(prediction);
+    });
+  });
+
+  return index;
+};
+
+// Descargar y decodificar el feed una vez
+const poll = async () => {
+  try {
+    const buffer = await fetchFeed(SOURCE);
+    const feed = FeedMessage.decode(new Uint8Array(buffer));
+    predictionsByStop = indexTripUpdates(feed);
+    lastUpdated = new Date();
+    logger.debug(`GTFS-Realtime updated: ${feed.entity.length} entities`);
+  } catch (error) {
+    logger.error('Error polling GTFS-Realtime feed:', error);
+  }
+};
+
+// Iniciar el sondeo periódico si hay una fuente configurada
+const startRealtimePoller = () => {
+  if (!SOURCE) {
+    logger.info('GTFS-Realtime source not configured, arrivals will use scheduled times only');
+    return false;
+  }
+
+  if (timer) return true;
+
+  poll();
+  timer = setInterval(poll, POLL_INTERVAL);
+  timer.unref();
+  logger.info(`🚌 GTFS-Realtime poller started (every ${POLL_INTERVAL / 1000}s)`);
+  return true;
+};
+
+const stopRealtimePoller = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+// Predicciones en tiempo real para una parada del feed configurado
+const getStopPredictions = (feedId, stopId) => {
+  if (feedId !== FEED_ID) return [];
+  return predictionsByStop.get(stopId) || [];
+};
+
+const getRealtimeStatus = () => ({
+  enabled: Boolean(SOURCE),
+  feedId: FEED_ID,
+  lastUpdated
+});
+
+module.exports = {
+  indexTripUpdates,
+  startRealtimePoller,
+  stopRealtimePoller,
+  getStopPredictions,
+  getRealtimeStatus
+};
@@ -0,0 +1,102 @@
+const { Hazard } = require('../database/database.orm');
+const { distanceToLine, haversineDistance } = require('../utils/geo');
+
+const HAZARD_CORRIDOR = parseInt(process.env.HAZARD_CORRIDOR) || 30; // metros a cada lado de la ruta
+const METERS_PER_DEGREE = 111320;
+
+// Filtro de obstáculos vigentes
+const activeHazardQuery = (now = new Date()) => ({
+  status: 'active',
+  expiresAt: { $gt: now }
+});
+
+// Resumen de un obstáculo para incluir en otras respuestas
+const toHazardSummary = (hazard, distance) => ({
+  _id: hazard._id,
+  category: hazard.category,
+  severity: hazard.severity,
+  description: hazard.description,
+  location: hazard.location,
+  floor: hazard.floor,
+  expiresAt: hazard.expiresAt,
+  confirmations: (hazard.confirmations || []).length,
+  dismissals: (hazard.dismissals || []).length,
+  distance: Math.round(distance)
+});
+
+// Posiciones que describen el recorrido de una ruta
+const routeLine = (route) => {
+  if (route.path && route.path.coordinates && route.path.coordinates.length > 0) {
+    return route.path.coordinates;
+  }
+  if (route.waypoints && route.waypoints.length > 0) {
+    return route.waypoints.map(waypoint => waypoint.position);
+  }
+  if (route.coordinates && route.coordinates.coordinates && route.coordinates.coordinates.length === 2) {
+    return [route.coordinates.coordinates];
+  }
+  return [];
+};
+
+// Rectángulo que contiene todas las posiciones ampliado en un margen en metros
+const boundingPolygon = (positions, margin) => {
+  const lngs = positions.map(position => position[0]);
+  const lats = positions.map(position => position[1]);
+  const maxAbsLat = Math.max(...lats.map(Math.abs));
+  const latMargin = margin / METERS_PER_DEGREE;
+  const lngMargin = margin / (METERS_PER_DEGREE * Math.max(Math.cos(maxAbsLat * Math.PI / 180), 0.01));
+
+  const minLng = Math.max(Math.min(...lngs) - lngMargin, -180);
+  const maxLng = Math.min(Math.max(...lngs) + lngMargin, 180);
+  const minLat = Math.max(Math.min(...lats) - latMargin, -90);
+  const maxLat = Math.min(Math.max(...lats) + latMargin, 90);
+
+  return {
+    type: 'Polygon',
+    coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+  };
+};
+
+// Obstáculos vigentes dentro del corredor de cada ruta (un arreglo por ruta)
+// Se hace una sola consulta para todas las rutas y se filtra por distancia a cada línea
+const findHazardsAlongRoutes = async (routes, corridor = HAZARD_CORRIDOR) => {
+  const lines = routes.map(routeLine);
+  const positions = lines.flat();
+
+  if (positions.length === 0) {
+    return routes.map(() => []);
+  }
+
+  const hazards = await Hazard.find({
+    ...activeHazardQuery(),
+    location: { $geoWithin: { $geometry: boundingPolygon(positions, corridor) } }
+  }).lean();
+
+  return lines.map(line => hazards
+    .map(hazard => ({ hazard, distance: distanceToLine(hazard.location.coordinates, line) }))
+    .filter(({ distance }) => distance <= corridor)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ hazard, distance }) => toHazardSummary(hazard, distance)));
+};
+
+// Obstáculos vigentes alrededor de una posición, ordenados por distancia
+const findHazardsNear = async (position, maxDistance) => {
+  const hazards = await Hazard.find({
+    ...activeHazardQuery(),
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: position },
+        $maxDistance: maxDistance
+      }
+    }
+  }).lean();
+
+  return hazards.map(hazard => toHazardSummary(hazard, haversineDistance(position, hazard.location.coordinates)));
+};
+
+module.exports = {
+  HAZARD_CORRIDOR,
+  activeHazardQuery,
+  findHazardsAlongRoutes,
+  findHazardsNear
+};
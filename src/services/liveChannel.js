@@ -0,0 +1,300 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { TransitStop } = require('../database/database.orm');
+const { resolveSession } = require('../middleware/auth');
+const { logger } = require('../config/logger');
+const { resolveRequestPosition } = require('./positioningService');
+const { evaluateTriggers } = require('./messageTriggerService');
+const { findHazardsNear } = require('./hazardService');
+const { getStopArrivals } = require('./transitArrivals');
+const { publishedFeedsFilter } = require('./transitFeeds');
+const { updateActiveAlertPosition } = require('./emergencyService');
+const { DEFAULT_LANGUAGE } = require('../utils/instructions');
+
+const LIVE_PATH = '/api/live';
+const AUTH_TIMEOUT = 10000; // ms para enviar el token si no vino en la cabecera
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_PAYLOAD = 64 * 1024;
+const HAZARD_RADIUS = parseInt(process.env.LIVE_HAZARD_RADIUS) || 100; // metros
+const STOP_RADIUS = parseInt(process.env.LIVE_STOP_RADIUS) || 50; // metros
+const ARRIVALS_REFRESH = 30000; // ms entre actualizaciones de llegadas en la misma parada
+
+// Códigos de cierre (4000-4999 reservados para la aplicación)
+const CLOSE_UNAUTHORIZED = 4001;
+const CLOSE_SESSION_EXPIRED = 4002;
+
+const send = (ws, type, data) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type, data }));
+  }
+};
+
+const sendError = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'error', message }));
+  }
+};
+
+// Rechazar el upgrade antes de abrir el WebSocket
+const rejectUpgrade = (socket, status, message) => {
+  if (socket.destroyed) return;
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Verificar el token y devolver el usuario de la sesión, o null si no es válido
+const authenticateToken = async (token) => {
+  if (!token) return null;
+
+  try {
+    const { decoded, session } = await resolveSession(token);
+    if (!session) return null;
+
+    // La conexión termina cuando vence la sesión o el token, lo que ocurra antes
+    const expiresAt = Math.min(new Date(session.expiresAt).getTime(), decoded.exp ? decoded.exp * 1000 : Infinity);
+    return { user: session.user, expiresAt };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Hazards cercanos que esta conexión aún no ha recibido
+const pushHazards = async (ws, state, location) => {
+  const hazards = await findHazardsNear(location.position, HAZARD_RADIUS);
+  const fresh = hazards.filter(hazard => !state.seenHazards.has(String(hazard._id)));
+
+  state.seenHazards = new Set(hazards.map(hazard => String(hazard._id)));
+
+  if (fresh.length > 0) {
+    send(ws, 'hazards', { hazards: fresh });
+  }
+};
+
+// Llegadas de transporte público al estar junto a una parada
+const pushArrivals = async (ws, state, location, now) => {
+  // Solo paradas de las versiones publicadas (no de una importación en curso)
+  const stop = await TransitStop.findOne({
+    ...await publishedFeedsFilter(),
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: location.position },
+        $maxDistance: STOP_RADIUS
+      }
+    }
+  }).lean();
+
+  if (!stop) {
+    state.stopId = null;
+    return;
+  }
+
+  const stopKey = `${stop.feedId}:${stop.stopId}`;
+  if (state.stopId === stopKey && now - state.arrivalsAt < ARRIVALS_REFRESH) {
+    return;
+  }
+
+  state.stopId = stopKey;
+  state.arrivalsAt = now;
+
+  const arrivals = await getStopArrivals(stop, { limit: 5, language: state.language || DEFAULT_LANGUAGE, now });
+  send(ws, 'arrivals', {
+    stop: { stopId: stop.stopId, name: stop.name, location: stop.location, wheelchairBoarding: stop.wheelchairBoarding },
+    arrivals
+  });
+};
+
+// Procesar una posición: mensajes por geocerca, hazards y llegadas
+const processUpdate = async (ws, state, update) => {
+  const { heading, language } = update;
+
+  if (heading !== undefined && heading !== null &&
+      (!Number.isFinite(Number(heading)) || heading < 0 || heading > 360)) {
+    return sendError(ws, 'Heading must be a number between 0 and 360');
+  }
+
+  if (language) {
+    state.language = language;
+  }
+
+  const now = new Date();
+  const location = await resolveRequestPosition(
+    update.type === 'beacons'
+      ? { beacons: update.beacons }
+      : { latitude: update.latitude, longitude: update.longitude, accuracy: update.accuracy }
+  );
+
+  send(ws, 'position', location);
+
+  // Mantener actualizado el enlace de ubicación de una alerta SOS en curso
+  await updateActiveAlertPosition(state.user.id, location, now);
+
+  const { triggered } = await evaluateTriggers({
+    userId: state.user.id,
+    location,
+    heading: heading !== undefined && heading !== null ? Number(heading) : null,
+    language: state.language,
+    now
+  });
+
+  if (triggered.length > 0) {
+    send(ws, 'announce', { messages: triggered });
+  }
+
+  await pushHazards(ws, state, location);
+  await pushArrivals(ws, state, location, now);
+};
+
+// Las posiciones se procesan de una en una; si llegan más rápido solo se conserva la última
+const queueUpdate = async (ws, state, update) => {
+  state.pending = update;
+  if (state.processing) return;
+
+  state.processing = true;
+  while (state.pending) {
+    const next = state.pending;
+    state.pending = null;
+    try {
+      await processUpdate(ws, state, next);
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        sendError(ws, error.message);
+      } else {
+        logger.error('Live channel update error:', error);
+        sendError(ws, 'Failed to process update');
+      }
+    }
+  }
+  state.processing = false;
+};
+
+// Dejar la conexión lista tras autenticar al usuario
+const startSession = (ws, state, auth) => {
+  state.user = auth.user;
+
+  const remaining = auth.expiresAt - Date.now();
+  state.expiryTimer = setTimeout(() => ws.close(CLOSE_SESSION_EXPIRED, 'Session expired'), Math.max(0, remaining));
+
+  logger.info(`Live channel opened by user ${auth.user.email}`);
+  send(ws, 'ready', { userId: auth.user.id, expiresAt: new Date(auth.expiresAt) });
+};
+
+const handleConnection = (ws, auth) => {
+  const state = {
+    user: null,
+    language: null,
+    seenHazards: new Set(),
+    stopId: null,
+    arrivalsAt: 0,
+    pending: null,
+    processing: false,
+    authTimer: null,
+    expiryTimer: null
+  };
+
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  if (auth) {
+    startSession(ws, state, auth);
+  } else {
+    state.authTimer = setTimeout(() => ws.close(CLOSE_UNAUTHORIZED, 'Authentication timeout'), AUTH_TIMEOUT);
+  }
+
+  ws.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return sendError(ws, 'Messages must be JSON');
+    }
+
+    if (!message || typeof message.type !== 'string') {
+      return sendError(ws, 'Message type is required');
+    }
+
+    // Autenticación dentro del canal para clientes que no pueden enviar cabeceras
+    if (!state.user) {
+      if (message.type !== 'auth') {
+        return sendError(ws, 'Authentication required');
+      }
+
+      clearTimeout(state.authTimer);
+      const result = await authenticateToken(message.token);
+      if (!result) {
+        return ws.close(CLOSE_UNAUTHORIZED, 'Invalid or expired token');
+      }
+      return startSession(ws, state, result);
+    }
+
+    switch (message.type) {
+      case 'position':
+      case 'beacons':
+        return queueUpdate(ws, state, message);
+      case 'ping':
+        return send(ws, 'pong', { at: new Date() });
+      default:
+        return sendError(ws, `Unknown message type: ${message.type}`);
+    }
+  });
+
+  ws.on('close', () => {
+    clearTimeout(state.authTimer);
+    clearTimeout(state.expiryTimer);
+    if (state.user) {
+      logger.info(`Live channel closed by user ${state.user.email}`);
+    }
+  });
+
+  ws.on('error', (error) => {
+    logger.error('Live channel socket error:', error);
+  });
+};
+
+// Montar el canal en tiempo real sobre el servidor HTTP
+const attachLiveChannel = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+
+  // El manejador es asíncrono: cualquier error (p. ej. una URL mal formada) se captura aquí
+  // para responder al cliente en lugar de dejar una promesa rechazada sin manejar
+  server.on('upgrade', async (req, socket, head) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== LIVE_PATH) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+
+      // Con cabecera Authorization se autentica antes de aceptar la conexión
+      let auth = null;
+      const token = req.headers.authorization?.replace('Bearer ', '');
+      if (token) {
+        auth = await authenticateToken(token);
+        if (!auth) {
+          return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, auth));
+    } catch (error) {
+      logger.warn(`Live channel upgrade rejected: ${error.message}`);
+      rejectUpgrade(socket, 400, 'Bad Request');
+    }
+  });
+
+  // Cerrar conexiones que dejaron de responder
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+  server.on('close', () => wss.close());
+
+  return wss;
+};
+
+module.exports = {
+  LIVE_PATH,
+  attachLiveChannel
+};
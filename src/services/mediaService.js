@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Media } = require('../database/database.orm');
+const { createError } = require('../middleware/errorHandler');
+const { MEDIA_LIMITS, MEDIA_FORMATS, sniffMediaType } = require('../utils/mediaTypes');
+const { parseAudioMetadata } = require('../utils/audioMetadata');
+const { UPLOADS_DIR, resolveUploadPath, toUploadUrl } = require('../utils/uploads');
+
+const MEDIA_DIR = path.join(UPLOADS_DIR, 'media');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Usuarios que subieron un archivo (los registros anteriores a owners solo tienen ownerId)
+const OWNERS_OR_FIRST = { $ifNull: ['$owners', ['$ownerId']] };
+
+// Filtro de los archivos subidos por un usuario
+const ownedByFilter = (userId) => ({
+  $or: [{ owners: userId }, { ownerId: userId, owners: { $exists: false } }]
+});
+
+// Comprobar si un usuario subió un archivo (el documento debe incluir owners)
+const isMediaOwner = (media, userId) => (media.owners ? media.owners.includes(userId) : media.ownerId === userId);
+
+// Añadir un usuario a los que subieron un archivo y devolver el registro actualizado
+const addMediaOwner = (hash, ownerId) => Media.findOneAndUpdate(
+  { hash },
+  [{ $set: { owners: { $setUnion: [OWNERS_OR_FIRST, [ownerId]] } } }],
+  { new: true }
+);
+
+// Escribir el archivo con un nombre temporal y renombrarlo, para no servir archivos a medias
+const writeMediaFile = async (filePath, buffer) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, filePath);
+};
+
+const fileExists = (filePath) => fs.promises.access(filePath).then(() => true, () => false);
+
+// Metadatos de un audio; los archivos dañados (422) o no admitidos (415) se rechazan
+const readAudioMetadata = (buffer, mimeType) => {
+  const { metadata, error, unsupported } = parseAudioMetadata(buffer, mimeType);
+  if (error) {
+    throw createError(`${unsupported ? 'Unsupported' : 'Corrupt'} audio file: ${error}`, unsupported ? 415 : 422);
+  }
+  return metadata;
+};
+
+// Guardar un archivo subido. El tipo se detecta por contenido y el nombre es el hash,
+// así un mismo contenido se guarda una sola vez; cada usuario que lo sube queda en owners.
+// Devuelve { media, created }
+const storeMedia = async ({ buffer, originalName, ownerId }) => {
+  const format = sniffMediaType(buffer);
+  if (!format) {
+    const allowed = MEDIA_FORMATS.map(candidate => candidate.mimeType).join(', ');
+    throw createError(`Unsupported file type. Allowed: ${allowed}`, 415);
+  }
+
+  if (buffer.length > MEDIA_LIMITS[format.kind]) {
+    throw createError(`${format.kind} files can be at most ${Math.floor(MEDIA_LIMITS[format.kind] / (1024 * 1024))} MB`, 413);
+  }
+
+  // Los audios se analizan antes de guardarlos: duración, frecuencia de muestreo, bitrate y canales
+  const metadata = format.kind === 'audio' ? readAudioMetadata(buffer, format.mimeType) : undefined;
+
+  const hash = sha256(buffer);
+  const url = `/uploads/media/${hash}.${format.extension}`;
+  const filePath = path.join(MEDIA_DIR, `${hash}.${format.extension}`);
+
+  const existing = await addMediaOwner(hash, ownerId);
+  if (existing) {
+    // Restaurar el archivo si se perdió del disco
+    if (!(await fileExists(resolveUploadPath(existing.url)))) {
+      await writeMediaFile(resolveUploadPath(existing.url), buffer);
+    }
+    return { media: existing, created: false };
+  }
+
+  await writeMediaFile(filePath, buffer);
+
+  try {
+    const media = await Media.create({
+      hash,
+      kind: format.kind,
+      mimeType: format.mimeType,
+      size: buffer.length,
+      url,
+      originalName,
+      ownerId,
+      owners: [ownerId],
+      metadata
+    });
+    return { media, created: true };
+  } catch (error) {
+    // Subida simultánea del mismo contenido: usar el registro que ganó
+    if (error.code === 11000) {
+      return { media: await addMediaOwner(hash, ownerId), created: false };
+    }
+    throw error;
+  }
+};
+
+// Registro del archivo subido al que apunta una URL (o null)
+const findMediaByUrl = (url) => {
+  const uploadUrl = toUploadUrl(url);
+  return uploadUrl ? Media.findOne({ url: uploadUrl }).lean() : Promise.resolve(null);
+};
+
+// Metadatos del audio subido al que apunta una URL (para las guías de voz)
+// Los archivos subidos antes de analizarse el audio se leen del disco y se completan ahora
+const getAudioMetadata = async (url) => {
+  const media = await Media.findOne({ url: toUploadUrl(url) });
+
+  if (!media || media.kind !== 'audio') {
+    throw createError('Audio URL must reference an audio file uploaded to /api/media', 400);
+  }
+
+  if (!media.metadata) {
+    const buffer = await fs.promises.readFile(resolveUploadPath(media.url)).catch(() => {
+      throw createError('Uploaded audio file is missing', 422);
+    });
+    media.metadata = readAudioMetadata(buffer, media.mimeType);
+    await media.save();
+  }
+
+  return { ...media.metadata, mimeType: media.mimeType, size: media.size };
+};
+
+// Eliminar un archivo subido por userId (o por cualquiera si lo elimina un admin)
+// Si otros usuarios subieron el mismo contenido, solo se quita de los archivos de userId.
+// Si no, se borra exigiendo en la misma operación que siga sin referencias y sin otros usuarios,
+// por si un recurso lo empezó a usar o alguien lo volvió a subir. Devuelve { deleted }
+const removeMedia = async (media, { userId, isAdmin = false }) => {
+  if (media.references.length > 0) {
+    throw createError('Media is still referenced and cannot be deleted', 409, { references: media.references });
+  }
+
+  if (!isAdmin) {
+    const released = await Media.updateOne(
+      { _id: media._id, owners: { $elemMatch: { $ne: userId } } },
+      { $pull: { owners: userId } }
+    );
+    if (released.modifiedCount > 0) {
+      return { deleted: false };
+    }
+  }
+
+  const filter = { _id: media._id, references: { $size: 0 } };
+  if (!isAdmin) {
+    filter.owners = { $not: { $elemMatch: { $ne: userId } } };
+  }
+
+  const { deletedCount } = await Media.deleteOne(filter);
+  if (deletedCount === 0) {
+    throw createError('Media is still in use and cannot be deleted', 409);
+  }
+
+  const filePath = resolveUploadPath(media.url);
+  if (filePath) {
+    await fs.promises.unlink(filePath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  return { deleted: true };
+};
+
+module.exports = {
+  MEDIA_DIR,
+  ownedByFilter,
+  isMediaOwner,
+  storeMedia,
+  findMediaByUrl,
+  getAudioMetadata,
+  removeMedia
+};
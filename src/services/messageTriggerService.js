@@ -0,0 +1,155 @@
+const { PersonalizedMessage, MessageTriggerState } = require('../database/database.orm');
+const { haversineDistance } = require('../utils/geo');
+
+const DEFAULT_COOLDOWN_MINUTES = parseInt(process.env.MESSAGE_TRIGGER_COOLDOWN_MINUTES) || 30;
+const SEARCH_RADIUS = 1000; // metros; los radios de disparo mayores no se consideran
+const EXIT_HYSTERESIS = 10; // metros extra para considerar que el usuario salió del radio
+const STATE_TIMEOUT = 10 * 60 * 1000; // sin posiciones en este tiempo se considera fuera
+
+// Diferencia angular absoluta entre dos rumbos (0-180)
+const headingDifference = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+// El mensaje aplica al rumbo del usuario (sin rumbo en la petición no se filtra)
+const matchesHeading = (message, heading) =>
+  message.heading == null || heading == null ||
+  headingDifference(message.heading, heading) <= (message.headingTolerance ?? 45);
+
+// Decidir el evento de geocerca para un mensaje a partir del estado previo
+// Devuelve { event, state } donde event es enter, exit, dwell o null
+const evaluateGeofence = (message, previous, distance, now) => {
+  const state = {
+    inside: false,
+    enteredAt: null,
+    dwellTriggered: false,
+    lastTriggeredAt: null,
+    ...previous
+  };
+
+  // Un estado sin posiciones recientes no cuenta como dentro
+  if (state.inside && state.lastSeenAt && now - state.lastSeenAt > STATE_TIMEOUT) {
+    state.inside = false;
+  }
+
+  const wasInside = state.inside;
+  const isInside = wasInside
+    ? distance <= message.triggerRadius + EXIT_HYSTERESIS
+    : distance <= message.triggerRadius;
+
+  let event = null;
+  if (!wasInside && isInside) {
+    event = 'enter';
+    state.enteredAt = now;
+    state.dwellTriggered = false;
+  } else if (wasInside && !isInside) {
+    event = 'exit';
+  } else if (isInside && message.triggerType === 'dwell' && !state.dwellTriggered &&
+             now - state.enteredAt >= (message.dwellSeconds ?? 30) * 1000) {
+    event = 'dwell';
+  }
+
+  state.inside = isInside;
+  state.lastSeenAt = now;
+
+  return { event, state };
+};
+
+// Evaluar las geocercas de los mensajes para una posición del usuario
+// Devuelve los mensajes disparados ordenados por prioridad y distancia
+const evaluateTriggers = async ({ userId, location, heading, language, now = new Date() }) => {
+  const query = {
+    estado: 'active',
+    coordinates: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: location.position },
+        $maxDistance: SEARCH_RADIUS
+      }
+    }
+  };
+
+  if (language) {
+    query.language = language;
+  }
+
+  const nearby = await PersonalizedMessage.find(query).lean();
+
+  // Geocercas en las que el usuario estaba dentro, para detectar salidas lejanas
+  const insideStates = await MessageTriggerState.find({ userId, inside: true }).lean();
+  const nearbyIds = new Set(nearby.map(message => String(message._id)));
+  const missingIds = insideStates
+    .map(state => String(state.messageId))
+    .filter(id => !nearbyIds.has(id));
+  const farMessages = missingIds.length > 0
+    ? await PersonalizedMessage.find({ _id: { $in: missingIds } }).lean()
+    : [];
+
+  const messages = [...nearby, ...farMessages];
+  const states = await MessageTriggerState.find({
+    userId,
+    messageId: { $in: messages.map(message => message._id) }
+  }).lean();
+  const statesById = new Map(states.map(state => [String(state.messageId), state]));
+
+  const triggered = [];
+  const updates = [];
+
+  messages.forEach(message => {
+    const id = String(message._id);
+    const previous = statesById.get(id);
+    const position = message.coordinates && message.coordinates.coordinates;
+    if (!position || position.length !== 2) return;
+
+    const distance = haversineDistance(location.position, position);
+    const { event, state } = evaluateGeofence(message, previous, distance, now);
+
+    const cooldown = (message.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+    const coolingDown = state.lastTriggeredAt && now - state.lastTriggeredAt < cooldown;
+    // Las lecturas lean no aplican defaults: los mensajes anteriores a triggerType se disparan al entrar
+    const fires = event === (message.triggerType || 'enter') && message.estado === 'active' && !coolingDown &&
+      (event === 'exit' || matchesHeading(message, heading));
+
+    if (fires) {
+      state.lastTriggeredAt = now;
+      if (event === 'dwell') state.dwellTriggered = true;
+      triggered.push({ ...message, event, distance: Math.round(distance) });
+    } else if (event === 'dwell') {
+      // La permanencia solo se evalúa una vez por visita
+      state.dwellTriggered = true;
+    }
+
+    // No guardar estados de mensajes lejanos que nunca se visitaron
+    if (!previous && !state.inside) return;
+
+    updates.push({
+      updateOne: {
+        filter: { userId, messageId: message._id },
+        update: {
+          $set: {
+            inside: state.inside,
+            enteredAt: state.enteredAt,
+            dwellTriggered: state.dwellTriggered,
+            lastTriggeredAt: state.lastTriggeredAt,
+            lastSeenAt: state.lastSeenAt
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  if (updates.length > 0) {
+    await MessageTriggerState.bulkWrite(updates, { ordered: false });
+  }
+
+  triggered.sort((a, b) => (b.priority - a.priority) || (a.distance - b.distance));
+
+  return {
+    triggered,
+    inside: updates.filter(update => update.updateOne.update.$set.inside).length
+  };
+};
+
+module.exports = {
+  DEFAULT_COOLDOWN_MINUTES,
+  evaluateGeofence,
+  evaluateTriggers
+};
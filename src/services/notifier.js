@@ -0,0 +1,43 @@
+// Envío de notificaciones a contactos (correo, SMS) mediante transportes intercambiables
+// Por defecto se escriben en un archivo de salida (outbox) en lugar de enviarse
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../config/logger');
+
+const NOTIFIER = process.env.NOTIFIER || 'outbox';
+const OUTBOX_FILE = path.resolve(process.env.NOTIFIER_OUTBOX || 'outbox/notifications.jsonl');
+
+const transports = new Map();
+
+// Registrar un transporte: async ({ channel, to, subject, body, data }) => void
+const registerNotifier = (name, send) => {
+  transports.set(name, send);
+};
+
+// Solo deja constancia en el log
+registerNotifier('log', async (notification) => {
+  logger.info(`Notification (${notification.channel}) to ${notification.to}: ${notification.subject}`);
+});
+
+// Una notificación JSON por línea, para pruebas o para que otro proceso la despache
+registerNotifier('outbox', async (notification) => {
+  await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+  await fs.promises.appendFile(OUTBOX_FILE, `${JSON.stringify({ ...notification, queuedAt: new Date() })}\n`);
+});
+
+// Enviar una notificación con el transporte configurado en NOTIFIER
+const notify = async (notification) => {
+  const send = transports.get(NOTIFIER);
+
+  if (!send) {
+    throw new Error(`Unknown notifier: ${NOTIFIER}`);
+  }
+
+  await send(notification);
+};
+
+module.exports = {
+  OUTBOX_FILE,
+  registerNotifier,
+  notify
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { Beacon } = require('../database/database.orm');
+const { createError } = require('../middleware/errorHandler');
+const { buildAdvertisementQuery, parseRssi } = require('../utils/beacons');
+const { estimatePosition } = require('../utils/positioning');
+const { isValidPosition } = require('../utils/geo');
+
+const MAX_SIGHTINGS = 50;
+const ESTIMATION_METHODS = ['weighted_centroid', 'trilateration'];
+
+// Clave de búsqueda de un avistamiento: id del beacon o identificadores del anuncio
+const sightingQuery = (sighting) => {
+  if (sighting.beaconId !== undefined) {
+    return mongoose.isValidObjectId(sighting.beaconId) ? { _id: sighting.beaconId.toString() } : null;
+  }
+  return buildAdvertisementQuery(sighting);
+};
+
+// Comprobar si un beacon corresponde a la consulta de un avistamiento
+const matchesQuery = (beacon, query) => {
+  if (query._id) return beacon._id.toString() === query._id;
+  if (query.protocol === 'ibeacon') {
+    return beacon.protocol === 'ibeacon' &&
+      beacon.ibeacon.uuid === query['ibeacon.uuid'] &&
+      beacon.ibeacon.major === query['ibeacon.major'] &&
+      beacon.ibeacon.minor === query['ibeacon.minor'];
+  }
+  return beacon.protocol === 'eddystone' &&
+    beacon.eddystone.namespace === query['eddystone.namespace'] &&
+    beacon.eddystone.instance === query['eddystone.instance'];
+};
+
+// Estimar la posición a partir de avistamientos [{ beaconId | uuid/major/minor | namespace/instance, rssi }]
+const estimateFromSightings = async (sightings, options = {}) => {
+  if (!Array.isArray(sightings) || sightings.length === 0) {
+    throw createError('A non-empty sightings array is required', 400);
+  }
+
+  if (sightings.length > MAX_SIGHTINGS) {
+    throw createError(`At most ${MAX_SIGHTINGS} sightings can be used for an estimate`, 413);
+  }
+
+  if (options.method && !ESTIMATION_METHODS.includes(options.method)) {
+    throw createError(`Method must be one of: ${ESTIMATION_METHODS.join(', ')}`, 400);
+  }
+
+  const queries = sightings.map(sighting => ({
+    query: sighting ? sightingQuery(sighting) : null,
+    rssi: parseRssi(sighting && sighting.rssi)
+  })).filter(({ query, rssi }) => query && rssi !== null);
+
+  if (queries.length === 0) {
+    throw createError('No valid sightings were provided', 400);
+  }
+
+  const beacons = await Beacon.find({ isActive: true, $or: queries.map(({ query }) => query) })
+    .select('name protocol ibeacon eddystone position floor txPower')
+    .lean();
+
+  // Promediar las lecturas repetidas de un mismo beacon
+  const readingsByBeacon = new Map();
+  let matched = 0;
+  queries.forEach(({ query, rssi }) => {
+    const beacon = beacons.find(candidate => matchesQuery(candidate, query));
+    if (!beacon) return;
+
+    matched++;
+    const key = beacon._id.toString();
+    const entry = readingsByBeacon.get(key) || { beacon, total: 0, count: 0 };
+    entry.total += rssi;
+    entry.count++;
+    readingsByBeacon.set(key, entry);
+  });
+
+  if (readingsByBeacon.size === 0) {
+    throw createError('None of the sighted beacons are registered', 404);
+  }
+
+  const readings = [...readingsByBeacon.values()].map(({ beacon, total, count }) => ({
+    beaconId: beacon._id,
+    position: beacon.position.coordinates,
+    floor: beacon.floor,
+    txPower: beacon.txPower,
+    rssi: total / count
+  }));
+
+  const estimate = estimatePosition(readings, options);
+
+  return {
+    ...estimate,
+    latitude: estimate.position[1],
+    longitude: estimate.position[0],
+    beacons: readings.map(({ beaconId, rssi }) => ({ beaconId, rssi: Math.round(rssi) })),
+    ignored: sightings.length - matched
+  };
+};
+
+// Comprobar si una petición trae posición (coordenadas o avistamientos de beacons)
+// Una coordenada 0 cuenta como enviada
+const hasRequestPosition = (query) => (query.latitude !== undefined && query.longitude !== undefined) ||
+  Boolean(query.beacons);
+
+// Obtener la posición de una petición: latitude/longitude o avistamientos de beacons
+// El parámetro beacons es un array JSON de avistamientos (ver estimateFromSightings)
+const resolveRequestPosition = async (query) => {
+  const { latitude, longitude, accuracy, beacons } = query;
+
+  if (latitude !== undefined && longitude !== undefined) {
+    const position = [parseFloat(longitude), parseFloat(latitude)];
+    if (!isValidPosition(position)) {
+      throw createError('Invalid latitude or longitude', 400);
+    }
+
+    return {
+      position,
+      accuracy: accuracy !== undefined ? parseFloat(accuracy) || 0 : 0,
+      source: 'gps'
+    };
+  }
+
+  if (beacons) {
+    let sightings;
+    try {
+      sightings = typeof beacons === 'string' ? JSON.parse(beacons) : beacons;
+    } catch (error) {
+      throw createError('beacons must be a JSON array of sightings', 400);
+    }
+
+    const estimate = await estimateFromSightings(sightings);
+    return {
+      position: estimate.position,
+      accuracy: estimate.accuracy,
+      floor: estimate.floor,
+      source: 'beacons'
+    };
+  }
+
+  throw createError('Latitude and longitude (or beacon sightings) are required', 400);
+};
+
+module.exports = {
+  estimateFromSightings,
+  hasRequestPosition,
+  resolveRequestPosition
+};
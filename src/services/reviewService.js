@@ -0,0 +1,57 @@
+const { TouristSpot, REVIEW_FEEDBACK_FIELDS } = require('../database/database.orm');
+
+// Las reseñas ocultas por moderación no cuentan en los agregados
+const countsInAggregates = (review) => Boolean(review) && review.moderation?.status !== 'hidden';
+
+// Incrementos de accessibilityFeedback.<campo>.yes|no que aporta una reseña
+const addFeedbackDeltas = (deltas, review, sign) => {
+  REVIEW_FEEDBACK_FIELDS.forEach(field => {
+    const answer = review.feedback?.[field];
+    if (answer === true || answer === false) {
+      const path = `accessibilityFeedback.${field}.${answer ? 'yes' : 'no'}`;
+      deltas[path] = (deltas[path] || 0) + sign;
+    }
+  });
+};
+
+// Sumar un incremento a un campo numérico dentro de un pipeline de actualización
+const increment = (path, delta) => ({ $add: [{ $ifNull: [`$${path}`, 0] }, delta] });
+
+// Aplicar al punto turístico el cambio de una reseña (creación, edición, moderación o borrado)
+// before y after son objetos planos; null si la reseña no existía o ya no existe.
+// Se usa un único updateOne con pipeline para que el recálculo sea atómico en el documento
+const applyReviewChange = async (touristSpotId, before, after) => {
+  const previous = countsInAggregates(before) ? before : null;
+  const next = countsInAggregates(after) ? after : null;
+
+  const deltas = {
+    'rating.count': (next ? 1 : 0) - (previous ? 1 : 0),
+    'rating.total': (next ? next.rating : 0) - (previous ? previous.rating : 0)
+  };
+  if (previous) addFeedbackDeltas(deltas, previous, -1);
+  if (next) addFeedbackDeltas(deltas, next, 1);
+
+  const changes = Object.entries(deltas).filter(([, delta]) => delta !== 0);
+  if (changes.length === 0) {
+    return;
+  }
+
+  await TouristSpot.updateOne({ _id: touristSpotId }, [
+    { $set: Object.fromEntries(changes.map(([path, delta]) => [path, increment(path, delta)])) },
+    {
+      $set: {
+        'rating.average': {
+          $cond: [
+            { $gt: ['$rating.count', 0] },
+            { $round: [{ $divide: ['$rating.total', '$rating.count'] }, 2] },
+            0
+          ]
+        }
+      }
+    }
+  ]);
+};
+
+module.exports = {
+  applyReviewChange
+};
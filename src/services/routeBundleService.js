@@ -0,0 +1,131 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const { PersonalizedMessage, VoiceGuide } = require('../database/database.orm');
+const { createError } = require('../middleware/errorHandler');
+const { findRouteBeacons } = require('./routeExportService');
+const { buildInstructions } = require('../utils/instructions');
+const { resolveUploadPath, toUploadEntryName } = require('../utils/uploads');
+
+const BUNDLE_FORMAT = 'openblind-route-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+const MAX_BUNDLE_SIZE = (parseInt(process.env.ROUTE_BUNDLE_MAX_MB) || 100) * 1024 * 1024;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+const toJsonBuffer = (value) => Buffer.from(JSON.stringify(value, null, 2));
+
+// Leer los archivos de uploads/ referenciados por URL (sin duplicados)
+// Las URLs externas o inexistentes se informan en el manifiesto sin incluirse
+const collectUploads = async (urls) => {
+  const files = new Map();
+  const external = [];
+  const missing = [];
+
+  for (const url of new Set(urls.filter(Boolean))) {
+    const filePath = resolveUploadPath(url);
+    if (!filePath) {
+      external.push(url);
+      continue;
+    }
+
+    const entryName = toUploadEntryName(filePath);
+    if (files.has(entryName)) continue;
+
+    try {
+      files.set(entryName, { url, data: await fs.promises.readFile(filePath) });
+    } catch (error) {
+      missing.push(url);
+    }
+  }
+
+  return { files, external, missing };
+};
+
+// Construir el paquete offline de una ruta como zip en memoria
+// La versión depende solo del contenido, así la app puede comparar sin descargar de nuevo
+const buildRouteBundle = async (route, language) => {
+  const [beacons, routeMessages, voiceGuides] = await Promise.all([
+    findRouteBeacons(route),
+    PersonalizedMessage.find({ routeId: route._id, estado: 'active' }).lean(),
+    VoiceGuide.find({ routeId: route._id, estado: 'active' }).lean()
+  ]);
+
+  // Mensajes vinculados por beacons o guías de voz aunque pertenezcan a otra ruta
+  const knownIds = new Set(routeMessages.map(message => String(message._id)));
+  const extraIds = [
+    ...beacons.flatMap(beacon => beacon.messages || []),
+    ...voiceGuides.map(voiceGuide => voiceGuide.messageId)
+  ].map(String).filter(id => !knownIds.has(id));
+  const extraMessages = extraIds.length > 0
+    ? await PersonalizedMessage.find({ _id: { $in: extraIds }, estado: 'active' }).lean()
+    : [];
+  const messages = [...routeMessages, ...extraMessages];
+
+  const { waypoints = [], ...routeDocument } = route;
+  const steps = waypoints.length > 1 ? buildInstructions(waypoints, language) : [];
+
+  const entries = new Map([
+    ['route.json', toJsonBuffer(routeDocument)],
+    ['waypoints.json', toJsonBuffer({ language, waypoints, steps })],
+    ['beacons.json', toJsonBuffer(beacons)],
+    ['messages.json', toJsonBuffer(messages)],
+    ['voice-guides.json', toJsonBuffer(voiceGuides)]
+  ]);
+
+  const uploads = await collectUploads([
+    ...voiceGuides.flatMap(voiceGuide => [voiceGuide.audioUrl, voiceGuide.mapImageUrl]),
+    ...messages.map(message => message.audioUrl)
+  ]);
+  uploads.files.forEach(({ data }, entryName) => entries.set(entryName, data));
+
+  const totalSize = [...entries.values()].reduce((sum, data) => sum + data.length, 0);
+  if (totalSize > MAX_BUNDLE_SIZE) {
+    throw createError('Route bundle exceeds the maximum allowed size', 413);
+  }
+
+  const files = [...entries.entries()]
+    .map(([path, data]) => ({
+      path,
+      size: data.length,
+      sha256: sha256(data),
+      url: uploads.files.has(path) ? uploads.files.get(path).url : undefined
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const version = sha256(files.map(file => `${file.sha256}  ${file.path}`).join('\n')).slice(0, 16);
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    version,
+    routeId: route._id,
+    name: route.name,
+    routeRevision: route.revision,
+    routeUpdatedAt: route.updatedAt,
+    language,
+    generatedAt: new Date(),
+    counts: {
+      waypoints: waypoints.length,
+      beacons: beacons.length,
+      messages: messages.length,
+      voiceGuides: voiceGuides.length,
+      files: uploads.files.size
+    },
+    files,
+    externalUrls: uploads.external,
+    missingFiles: uploads.missing
+  };
+
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', toJsonBuffer(manifest));
+  zip.addFile('checksums.sha256', Buffer.from(files.map(file => `${file.sha256}  ${file.path}\n`).join('')));
+  entries.forEach((data, path) => zip.addFile(path, data));
+
+  return { buffer: zip.toBuffer(), version, manifest };
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_FORMAT_VERSION,
+  buildRouteBundle
+};
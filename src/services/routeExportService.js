@@ -0,0 +1,126 @@
+const { Beacon, PersonalizedMessage } = require('../database/database.orm');
+const { haversineDistance, isValidPosition } = require('../utils/geo');
+const { buildInstructions } = require('../utils/instructions');
+
+// Beacons del registro vinculados a la ruta (por referencia, legacyId o Beacon.routes)
+const findRouteBeacons = (route) => {
+  const entries = route.beacons || [];
+  const ids = entries.map(entry => entry.beacon).filter(Boolean);
+  const legacyIds = entries.map(entry => entry.id).filter(Boolean);
+
+  return Beacon.find({
+    isActive: true,
+    $or: [
+      { routes: route._id },
+      { _id: { $in: ids } },
+      { legacyId: { $in: legacyIds } }
+    ]
+  }).lean();
+};
+
+// Reunir waypoints, beacons y mensajes de una ruta para exportarla
+// Cada mensaje vinculado se usa como descripción del beacon que lo referencia o del
+// punto más cercano dentro de su radio; si no hay ninguno se exporta como punto propio
+const collectRouteExport = async (route, language) => {
+  const [beacons, routeMessages] = await Promise.all([
+    findRouteBeacons(route),
+    PersonalizedMessage.find({ routeId: route._id, estado: 'active' }).lean()
+  ]);
+
+  const beaconMessageIds = beacons.flatMap(beacon => (beacon.messages || []).map(String));
+  const beaconMessages = beaconMessageIds.length > 0
+    ? await PersonalizedMessage.find({
+      _id: { $in: beaconMessageIds },
+      routeId: { $ne: route._id },
+      estado: 'active'
+    }).lean()
+    : [];
+  const messagesById = new Map([...routeMessages, ...beaconMessages].map(message => [String(message._id), message]));
+
+  const steps = route.waypoints && route.waypoints.length > 1
+    ? buildInstructions(route.waypoints, language)
+    : [];
+  const waypoints = (route.waypoints || []).map((waypoint, index) => ({
+    position: waypoint.position,
+    name: waypoint.name || `${index + 1}`,
+    type: 'waypoint',
+    texts: [steps[index] ? steps[index].instruction : waypoint.instruction].filter(Boolean)
+  }));
+
+  const beaconPoints = beacons.map(beacon => ({
+    position: beacon.position.coordinates,
+    name: beacon.name,
+    type: 'beacon',
+    texts: [beacon.installNotes].filter(Boolean),
+    messageIds: (beacon.messages || []).map(String)
+  }));
+
+  // Beacons declarados solo en la ruta, sin registro
+  // (los beacons sin legacyId no deben coincidir con entradas sin id)
+  const registered = new Set(beacons.flatMap(beacon => [String(beacon._id), beacon.legacyId]).filter(Boolean));
+  (route.beacons || []).forEach(entry => {
+    if (registered.has(String(entry.beacon)) || registered.has(entry.id) || !isValidPosition(entry.position)) return;
+    beaconPoints.push({ position: entry.position, name: entry.id || entry.type, type: 'beacon', texts: [] });
+  });
+
+  const assigned = new Set();
+  beaconPoints.forEach(point => {
+    (point.messageIds || []).forEach(id => {
+      const message = messagesById.get(id);
+      if (!message) return;
+      point.texts.push(message.message);
+      assigned.add(id);
+    });
+  });
+
+  const messagePoints = [];
+  const notes = [];
+  const candidates = [...waypoints, ...beaconPoints];
+
+  messagesById.forEach((message, id) => {
+    if (assigned.has(id)) return;
+
+    const position = message.coordinates && message.coordinates.coordinates;
+    if (!isValidPosition(position)) {
+      notes.push(message.message);
+      return;
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    candidates.forEach(point => {
+      const distance = haversineDistance(position, point.position);
+      if (distance < nearestDistance) {
+        nearest = point;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearest && nearestDistance <= message.triggerRadius) {
+      nearest.texts.push(message.message);
+    } else {
+      messagePoints.push({ position, name: message.message.slice(0, 40), type: 'message', texts: [message.message] });
+    }
+  });
+
+  const toExportPoint = ({ position, name, type, texts }) => ({
+    position,
+    name,
+    type,
+    description: texts.join(' ')
+  });
+
+  return {
+    route: {
+      name: route.name,
+      description: [route.description, ...notes].filter(Boolean).join(' ')
+    },
+    waypoints: waypoints.map(toExportPoint),
+    points: [...beaconPoints, ...messagePoints].map(toExportPoint)
+  };
+};
+
+module.exports = {
+  findRouteBeacons,
+  collectRouteExport
+};
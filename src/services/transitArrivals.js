@@ -0,0 +1,171 @@
+const {
+  TransitTrip,
+  TransitRoute,
+  TransitStopTime,
+  TransitCalendar,
+  TransitCalendarDate
+} = require('../database/database.orm');
+const { getPhrases, formatDuration } = require('../utils/instructions');
+const { secondsSinceMidnight, getZonedParts } = require('../utils/time');
+const { getStopPredictions } = require('./gtfsRealtimePoller');
+const { rowFeedFilter } = require('./transitFeeds');
+
+const TRANSIT_TIMEZONE = process.env.TRANSIT_TIMEZONE || 'America/Guayaquil';
+const DEFAULT_ARRIVALS_WINDOW = 60; // minutos
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Fecha GTFS (YYYYMMDD) y día de la semana de un día de servicio a partir de su medianoche
+const serviceDate = (midnightEpoch) => {
+  const { year, month, day, weekday } = getZonedParts(new Date((midnightEpoch + DAY_SECONDS / 2) * 1000), TRANSIT_TIMEZONE);
+  return {
+    date: `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`,
+    weekday
+  };
+};
+
+// Servicios activos en una fecha según calendar.txt y las excepciones de calendar_dates.txt
+// Devuelve null si el feed no tiene calendario (se asume servicio todos los días)
+const findActiveServiceIds = async (feed, { date, weekday }) => {
+  const [calendars, exceptions] = await Promise.all([
+    TransitCalendar.find({ ...feed, days: weekday, startDate: { $lte: date }, endDate: { $gte: date } })
+      .select('serviceId')
+      .lean(),
+    TransitCalendarDate.find({ ...feed, date }).lean()
+  ]);
+
+  if (calendars.length === 0 && exceptions.length === 0) {
+    const hasCalendar = await TransitCalendar.exists(feed) || await TransitCalendarDate.exists(feed);
+    if (!hasCalendar) return null;
+  }
+
+  const active = new Set(calendars.map(calendar => calendar.serviceId));
+  exceptions.forEach(exception => {
+    if (exception.exceptionType === 1) {
+      active.add(exception.serviceId);
+    } else {
+      active.delete(exception.serviceId);
+    }
+  });
+
+  return [...active];
+};
+
+// Horarios de paso de una parada en un día de servicio dentro de la ventana [now, now + window]
+// Las horas GTFS se cuentan desde la medianoche del día de servicio, por lo que el mismo
+// instante corresponde a horas distintas según el día; cada resultado guarda su medianoche
+const findScheduledForServiceDay = async (stop, serviceMidnight, nowEpoch, windowSeconds) => {
+  const from = nowEpoch - serviceMidnight - 60;
+  const to = nowEpoch - serviceMidnight + windowSeconds;
+  if (to < 0) return [];
+
+  const serviceIds = await findActiveServiceIds(rowFeedFilter(stop), serviceDate(serviceMidnight));
+  if (serviceIds && serviceIds.length === 0) return [];
+
+  const query = {
+    ...rowFeedFilter(stop),
+    stopId: stop.stopId,
+    departureTime: { $gte: from, $lte: to }
+  };
+  if (serviceIds) {
+    query.serviceId = { $in: serviceIds };
+  }
+
+  const stopTimes = await TransitStopTime.find(query).lean();
+  return stopTimes.map(stopTime => ({ ...stopTime, serviceMidnight }));
+};
+
+// Próximas llegadas a una parada combinando horario y predicciones en tiempo real
+// Se consulta la misma versión del feed que la parada aunque se publique otra entre tanto
+const getStopArrivals = async (stop, { windowMinutes = DEFAULT_ARRIVALS_WINDOW, limit = 10, language, now = new Date() } = {}) => {
+  const { feedId } = stop;
+  const feed = rowFeedFilter(stop);
+  const p = getPhrases(language);
+
+  const nowEpoch = Math.floor(now.getTime() / 1000);
+  const nowSeconds = secondsSinceMidnight(now, TRANSIT_TIMEZONE);
+  const midnightEpoch = nowEpoch - nowSeconds;
+  const windowSeconds = windowMinutes * 60;
+
+  // Viajes del día de servicio actual, del anterior que pasan de medianoche (horas > 24)
+  // y del siguiente si la ventana cruza la medianoche
+  const scheduled = (await Promise.all(
+    [midnightEpoch - DAY_SECONDS, midnightEpoch, midnightEpoch + DAY_SECONDS]
+      .map(serviceMidnight => findScheduledForServiceDay(stop, serviceMidnight, nowEpoch, windowSeconds))
+  )).flat();
+
+  const predictions = getStopPredictions(feedId, stop.stopId);
+  const predictionsByTrip = new Map(predictions.map(prediction => [prediction.tripId, prediction]));
+
+  const arrivals = scheduled.map(stopTime => {
+    const scheduledEpoch = stopTime.serviceMidnight + (stopTime.arrivalTime ?? stopTime.departureTime);
+    const prediction = predictionsByTrip.get(stopTime.tripId);
+    predictionsByTrip.delete(stopTime.tripId);
+
+    let predictedEpoch = null;
+    if (prediction) {
+      predictedEpoch = prediction.arrivalTime || prediction.departureTime ||
+        (prediction.delay != null ? scheduledEpoch + prediction.delay : null);
+    }
+
+    return { tripId: stopTime.tripId, scheduledEpoch, predictedEpoch };
+  });
+
+  // Viajes con predicción que no figuran en el horario consultado
+  predictionsByTrip.forEach(prediction => {
+    const predictedEpoch = prediction.arrivalTime || prediction.departureTime;
+    if (predictedEpoch) {
+      arrivals.push({ tripId: prediction.tripId, routeId: prediction.routeId, scheduledEpoch: null, predictedEpoch });
+    }
+  });
+
+  const upcoming = arrivals
+    .map(arrival => ({ ...arrival, epoch: arrival.predictedEpoch || arrival.scheduledEpoch }))
+    .filter(arrival => arrival.epoch >= nowEpoch - 30 && arrival.epoch <= nowEpoch + windowSeconds)
+    .sort((a, b) => a.epoch - b.epoch)
+    .slice(0, limit);
+
+  const trips = await TransitTrip.find({
+    ...feed,
+    tripId: { $in: upcoming.map(arrival => arrival.tripId) }
+  }).lean();
+  const routeIds = [...new Set([
+    ...trips.map(trip => trip.routeId),
+    ...upcoming.map(arrival => arrival.routeId).filter(Boolean)
+  ])];
+  const routes = await TransitRoute.find({ ...feed, routeId: { $in: routeIds } }).lean();
+
+  return upcoming.map(arrival => {
+    const trip = trips.find(candidate => candidate.tripId === arrival.tripId) || {};
+    const route = routes.find(candidate => candidate.routeId === (trip.routeId || arrival.routeId)) || {};
+    const line = route.shortName || route.longName || route.routeId || '';
+    const vehicle = p.vehicles[route.routeType] || p.vehicles.default;
+    const secondsAway = Math.max(0, arrival.epoch - nowEpoch);
+    const realtime = Boolean(arrival.predictedEpoch);
+
+    let announcement = secondsAway < 60
+      ? p.arrivingNow(vehicle, line)
+      : p.arrivesIn(vehicle, line, formatDuration(secondsAway, language));
+    if (!realtime) {
+      announcement += ` ${p.scheduled}`;
+    }
+
+    return {
+      tripId: arrival.tripId,
+      routeId: route.routeId,
+      line,
+      headsign: trip.headsign,
+      directionId: trip.directionId,
+      scheduledTime: arrival.scheduledEpoch ? new Date(arrival.scheduledEpoch * 1000) : null,
+      predictedTime: arrival.predictedEpoch ? new Date(arrival.predictedEpoch * 1000) : null,
+      delay: arrival.predictedEpoch && arrival.scheduledEpoch ? arrival.predictedEpoch - arrival.scheduledEpoch : null,
+      minutes: Math.round(secondsAway / 60),
+      realtime,
+      announcement: `${announcement}.`
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_ARRIVALS_WINDOW,
+  getStopArrivals
+};
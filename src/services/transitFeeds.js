@@ -0,0 +1,26 @@
+const { TransitFeed } = require('../database/database.orm');
+
+// Filtro de las filas publicadas de un feed GTFS
+// Sin puntero en TransitFeed el feed es anterior a las versiones y sus filas no tienen versión
+// (version: null también coincide con las filas sin el campo)
+const publishedFeedFilter = async (feedId) => {
+  const feed = await TransitFeed.findOne({ feedId }).select('version').lean();
+  return { feedId, version: feed ? feed.version : null };
+};
+
+// Filtro de las filas publicadas de todos los feeds
+// Las versiones son únicas entre feeds, así que basta con filtrar por versión
+const publishedFeedsFilter = async () => {
+  const versions = await TransitFeed.distinct('version');
+  return { version: { $in: [...versions, null] } };
+};
+
+// Filtro del feed y la versión de una fila ya leída (p. ej. una parada)
+// Permite seguir consultando la misma versión aunque se publique otra entre tanto
+const rowFeedFilter = (row) => ({ feedId: row.feedId, version: row.version ?? null });
+
+module.exports = {
+  publishedFeedFilter,
+  publishedFeedsFilter,
+  rowFeedFilter
+};
@@ -0,0 +1,42 @@
+// Puntuación de accesibilidad de un punto turístico a partir de su lista de verificación
+// Cada característica presente suma sus puntos (total de 0 a 100; más alto = más accesible)
+
+const ACCESSIBILITY_WEIGHTS = {
+  hasStepFreeEntrance: 18, // entrada sin escalones
+  hasRamp: 12,
+  hasTactilePaving: 12, // pavimento podotáctil
+  hasAccessibleToilet: 12,
+  hasBraille: 10,
+  hasAudioGuide: 10,
+  acceptsGuideDogs: 10,
+  hasTrainedStaff: 10, // personal capacitado en asistencia
+  hasGuideAssistance: 6
+};
+
+const ACCESSIBILITY_FEATURES = Object.keys(ACCESSIBILITY_WEIGHTS);
+
+// Umbrales de la puntuación para cada nivel
+const ACCESSIBILITY_LEVELS = [
+  { level: 'low', below: 40 },
+  { level: 'medium', below: 70 },
+  { level: 'high', below: Infinity }
+];
+
+// Calcular { score, level, features } a partir del objeto accessibility
+const computeAccessibilityScore = (accessibility = {}) => {
+  const features = ACCESSIBILITY_FEATURES.filter(feature => accessibility[feature] === true);
+  const score = Math.min(100, features.reduce((sum, feature) => sum + ACCESSIBILITY_WEIGHTS[feature], 0));
+
+  return {
+    score,
+    level: ACCESSIBILITY_LEVELS.find(level => score < level.below).level,
+    features
+  };
+};
+
+module.exports = {
+  ACCESSIBILITY_WEIGHTS,
+  ACCESSIBILITY_FEATURES,
+  ACCESSIBILITY_LEVELS,
+  computeAccessibilityScore
+};
@@ -0,0 +1,324 @@
+// Lectura de las cabeceras de archivos de audio (WAV, MP3 y Ogg Opus/Vorbis)
+// Devuelve { metadata } o { error, unsupported } si el archivo está dañado o no es un formato admitido
+// metadata: { format, codec, duration (s), sampleRate (Hz), bitrate (bps), channels }
+
+const MP3_BITRATES = {
+  // kbps por índice; [versión MPEG 1 | 2 y 2.5][capa I, II, III]
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+const MP3_SYNC_SEARCH_BYTES = 64 * 1024;
+const WAV_CODECS = { 1: 'pcm', 3: 'pcm_float' };
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE; // el códec real está en el GUID SubFormat
+// Resto del GUID SubFormat (los 4 primeros bytes son el código del formato):
+// 0000XXXX-0000-0010-8000-00AA00389B71 en orden little-endian
+const WAV_SUBFORMAT_SUFFIX = Buffer.from([0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71]);
+const OPUS_GRANULE_RATE = 48000;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const corrupt = (message) => ({ error: message, unsupported: false });
+const unsupported = (message) => ({ error: message, unsupported: true });
+
+// WAV: recorrer los chunks RIFF hasta encontrar "fmt " y "data"
+const parseWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    return corrupt('Invalid RIFF/WAVE header');
+  }
+
+  let format;
+  let dataSize;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length && dataSize === undefined) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      if (size < 16 || start + 16 > buffer.length) {
+        return corrupt('Truncated WAV fmt chunk');
+      }
+      format = {
+        code: buffer.readUInt16LE(start),
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        byteRate: buffer.readUInt32LE(start + 8)
+      };
+
+      // WAVE_FORMAT_EXTENSIBLE: cbSize (2), bits válidos (2), máscara de canales (4) y SubFormat (16)
+      if (format.code === WAVE_FORMAT_EXTENSIBLE) {
+        if (size < 40 || start + 40 > buffer.length) {
+          return corrupt('Truncated WAV extensible fmt chunk');
+        }
+        const subFormat = buffer.subarray(start + 24, start + 40);
+        format.code = subFormat.subarray(4).equals(WAV_SUBFORMAT_SUFFIX) ? subFormat.readUInt32LE(0) : null;
+      }
+    } else if (id === 'data') {
+      if (start + size > buffer.length) {
+        return corrupt('WAV data chunk is truncated');
+      }
+      dataSize = size;
+    }
+
+    offset = start + size + (size % 2); // los chunks se alinean a 2 bytes
+  }
+
+  if (!format) {
+    return corrupt('WAV file has no fmt chunk');
+  }
+  if (dataSize === undefined) {
+    return corrupt('WAV file has no data chunk');
+  }
+  if (!WAV_CODECS[format.code]) {
+    const codec = format.code === null ? 'with an unknown SubFormat' : `0x${format.code.toString(16)}`;
+    return unsupported(`WAV codec ${codec} is not supported (PCM only)`);
+  }
+  if (!format.channels || !format.sampleRate || !format.byteRate) {
+    return corrupt('WAV fmt chunk has invalid values');
+  }
+
+  return {
+    metadata: {
+      format: 'wav',
+      codec: WAV_CODECS[format.code],
+      duration: round(dataSize / format.byteRate),
+      sampleRate: format.sampleRate,
+      bitrate: format.byteRate * 8,
+      channels: format.channels
+    }
+  };
+};
+
+// Cabecera de trama MPEG en una posición (o null si no es válida)
+const readMp3FrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channels = (buffer[offset + 3] >> 6) === 3 ? 1 : 2;
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+  const frameLength = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+
+  return { version, layer, bitrate, sampleRate, channels, samplesPerFrame, frameLength };
+};
+
+// Número de tramas declarado en una cabecera Xing/Info o VBRI (archivos de bitrate variable)
+const readMp3FrameCount = (buffer, offset, header) => {
+  const sideInfo = header.version === 1
+    ? (header.channels === 1 ? 17 : 32)
+    : (header.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const tag = buffer.toString('latin1', xing, xing + 4);
+
+  if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= buffer.length && (buffer.readUInt32BE(xing + 4) & 0x01)) {
+    return buffer.readUInt32BE(xing + 8);
+  }
+
+  const vbri = offset + 4 + 32;
+  if (buffer.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= buffer.length) {
+    return buffer.readUInt32BE(vbri + 14);
+  }
+
+  return null;
+};
+
+// MP3: saltar la etiqueta ID3v2, localizar dos tramas seguidas y calcular la duración
+const parseMp3 = (buffer) => {
+  let start = 0;
+
+  if (buffer.toString('latin1', 0, 3) === 'ID3') {
+    if (buffer.length < 10) {
+      return corrupt('Truncated ID3 tag');
+    }
+    // Tamaño "synchsafe": 7 bits útiles por byte
+    const tagSize = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    start = 10 + tagSize + (hasFooter ? 10 : 0);
+  }
+
+  let offset = -1;
+  let header = null;
+  const searchEnd = Math.min(buffer.length, start + MP3_SYNC_SEARCH_BYTES);
+
+  for (let i = start; i < searchEnd; i++) {
+    const candidate = readMp3FrameHeader(buffer, i);
+    if (!candidate) continue;
+
+    // Una trama se confirma si la siguiente empieza donde termina (o si el archivo acaba ahí)
+    const next = i + candidate.frameLength;
+    if (next >= buffer.length || readMp3FrameHeader(buffer, next)) {
+      offset = i;
+      header = candidate;
+      break;
+    }
+  }
+
+  if (!header) {
+    return corrupt('No valid MPEG audio frames found');
+  }
+  if (header.layer !== 3) {
+    return unsupported(`MPEG layer ${header.layer} audio is not supported (MP3 only)`);
+  }
+
+  const hasId3v1 = buffer.length >= 128 && buffer.toString('latin1', buffer.length - 128, buffer.length - 125) === 'TAG';
+  const audioBytes = buffer.length - offset - (hasId3v1 ? 128 : 0);
+  const frames = readMp3FrameCount(buffer, offset, header);
+  const duration = frames
+    ? frames * header.samplesPerFrame / header.sampleRate
+    : audioBytes * 8 / header.bitrate;
+
+  if (!(duration > 0)) {
+    return corrupt('MP3 file has no audio');
+  }
+
+  return {
+    metadata: {
+      format: 'mp3',
+      codec: 'mp3',
+      duration: round(duration),
+      sampleRate: header.sampleRate,
+      bitrate: frames ? Math.round(audioBytes * 8 / duration) : header.bitrate,
+      channels: header.channels
+    }
+  };
+};
+
+// Ogg: recorrer todas las páginas (detecta archivos truncados) y leer la cabecera del códec
+// La duración sale de la última posición de gránulo del primer flujo lógico
+const parseOgg = (buffer) => {
+  let offset = 0;
+  let serial;
+  let codec;
+  let lastGranule = -1n;
+
+  while (offset < buffer.length) {
+    if (offset + 27 > buffer.length || buffer.toString('latin1', offset, offset + 4) !== 'OggS' || buffer[offset + 4] !== 0) {
+      return corrupt(`Invalid Ogg page at byte ${offset}`);
+    }
+
+    const granule = buffer.readBigInt64LE(offset + 6);
+    const pageSerial = buffer.readUInt32LE(offset + 14);
+    const segments = buffer[offset + 26];
+    const bodyStart = offset + 27 + segments;
+
+    if (bodyStart > buffer.length) {
+      return corrupt('Ogg page header is truncated');
+    }
+
+    let bodySize = 0;
+    for (let i = 0; i < segments; i++) {
+      bodySize += buffer[offset + 27 + i];
+    }
+    if (bodyStart + bodySize > buffer.length) {
+      return corrupt('Ogg page is truncated');
+    }
+
+    if (serial === undefined) {
+      serial = pageSerial;
+      const body = buffer.subarray(bodyStart, bodyStart + bodySize);
+
+      if (body.toString('latin1', 0, 8) === 'OpusHead' && body.length >= 19) {
+        codec = {
+          name: 'opus',
+          channels: body[9],
+          preSkip: body.readUInt16LE(10),
+          sampleRate: body.readUInt32LE(12) || OPUS_GRANULE_RATE,
+          granuleRate: OPUS_GRANULE_RATE
+        };
+      } else if (body[0] === 0x01 && body.toString('latin1', 1, 7) === 'vorbis' && body.length >= 30) {
+        const sampleRate = body.readUInt32LE(12);
+        codec = {
+          name: 'vorbis',
+          channels: body[11],
+          preSkip: 0,
+          sampleRate,
+          granuleRate: sampleRate,
+          nominalBitrate: body.readInt32LE(20)
+        };
+      } else {
+        return unsupported('Only Opus and Vorbis Ogg streams are supported');
+      }
+    } else if (pageSerial === serial && granule !== -1n) {
+      lastGranule = granule;
+    }
+
+    offset = bodyStart + bodySize;
+  }
+
+  if (!codec.channels || !codec.granuleRate) {
+    return corrupt(`Invalid ${codec.name} identification header`);
+  }
+
+  const duration = Number(lastGranule - BigInt(codec.preSkip)) / codec.granuleRate;
+  if (!(duration > 0)) {
+    return corrupt('Ogg file has no audio');
+  }
+
+  return {
+    metadata: {
+      format: 'ogg',
+      codec: codec.name,
+      duration: round(duration),
+      sampleRate: codec.sampleRate,
+      bitrate: codec.nominalBitrate > 0 ? codec.nominalBitrate : Math.round(buffer.length * 8 / duration),
+      channels: codec.channels
+    }
+  };
+};
+
+const PARSERS = {
+  'audio/wav': parseWav,
+  'audio/mpeg': parseMp3,
+  'audio/ogg': parseOgg
+};
+
+// Leer los metadatos de un audio según su tipo MIME (detectado por contenido)
+const parseAudioMetadata = (buffer, mimeType) => {
+  const parser = PARSERS[mimeType];
+  if (!parser) {
+    return unsupported(`Audio type ${mimeType} is not supported`);
+  }
+
+  try {
+    return parser(buffer);
+  } catch (error) {
+    // Lecturas fuera de rango en cabeceras incompletas
+    return corrupt(`Unreadable ${mimeType} headers`);
+  }
+};
+
+module.exports = {
+  parseAudioMetadata
+};
@@ -0,0 +1,93 @@
+// Normalización de identificadores de anuncios BLE (iBeacon / Eddystone)
+
+// Normalizar un UUID de iBeacon a minúsculas con guiones (8-4-4-4-12)
+const normalizeUuid = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const hex = value.replace(/-/g, '').toLowerCase();
+  if (!/^[0-9a-f]{32}$/.test(hex)) {
+    return null;
+  }
+
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// Normalizar un identificador hexadecimal de Eddystone con la longitud en bytes indicada
+const normalizeHex = (value, bytes) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const hex = value.replace(/^0x/i, '').toLowerCase();
+  return new RegExp(`^[0-9a-f]{${bytes * 2}}$`).test(hex) ? hex : null;
+};
+
+// Interpretar un entero de 16 bits (major / minor)
+// Solo se aceptan números o cadenas numéricas no vacías (Number('') y Number(null) valen 0)
+const parseUint16 = (value) => {
+  if (typeof value === 'string' ? value.trim() === '' : typeof value !== 'number') {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 && number <= 65535 ? number : null;
+};
+
+// Interpretar la intensidad de señal (dBm): debe ser un número finito negativo, no menor de -127
+// Se rechazan null, cadenas vacías y el 0, que Number() confundiría con una lectura válida
+const parseRssi = (value) => {
+  if (typeof value === 'string' ? value.trim() === '' : typeof value !== 'number') {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) && number < 0 && number >= -127 ? number : null;
+};
+
+// Construir la consulta de MongoDB para los identificadores de un anuncio
+// Devuelve null si los identificadores no son válidos
+const buildAdvertisementQuery = ({ uuid, major, minor, namespace, instance }) => {
+  if (uuid !== undefined) {
+    const normalizedUuid = normalizeUuid(uuid);
+    const parsedMajor = parseUint16(major);
+    const parsedMinor = parseUint16(minor);
+
+    if (!normalizedUuid || parsedMajor === null || parsedMinor === null) {
+      return null;
+    }
+
+    return {
+      protocol: 'ibeacon',
+      'ibeacon.uuid': normalizedUuid,
+      'ibeacon.major': parsedMajor,
+      'ibeacon.minor': parsedMinor
+    };
+  }
+
+  if (namespace !== undefined) {
+    const normalizedNamespace = normalizeHex(namespace, 10);
+    const normalizedInstance = normalizeHex(instance, 6);
+
+    if (!normalizedNamespace || !normalizedInstance) {
+      return null;
+    }
+
+    return {
+      protocol: 'eddystone',
+      'eddystone.namespace': normalizedNamespace,
+      'eddystone.instance': normalizedInstance
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeUuid,
+  normalizeHex,
+  parseUint16,
+  parseRssi,
+  buildAdvertisementQuery
+};
@@ -0,0 +1,42 @@
+// Diferencias campo a campo entre dos versiones de un documento
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Recorrer objetos y arreglos y devolver [{ path, from, to }] con rutas tipo "waypoints.2.name"
+// Los valores ausentes se reportan como null
+const diffValues = (before, after, path = '', changes = []) => {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return changes;
+  }
+
+  const bothObjects = isPlainObject(before) && isPlainObject(after);
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+
+  if (!bothObjects && !bothArrays) {
+    changes.push({ path, from: before ?? null, to: after ?? null });
+    return changes;
+  }
+
+  const keys = bothArrays
+    ? [...Array(Math.max(before.length, after.length)).keys()]
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  keys.forEach(key => {
+    diffValues(before[key], after[key], path ? `${path}.${key}` : String(key), changes);
+  });
+
+  return changes;
+};
+
+// Diferencias entre dos snapshots ignorando los campos indicados en el primer nivel
+const diffSnapshots = (before = {}, after = {}, ignore = []) => {
+  const omit = (snapshot) => Object.fromEntries(
+    Object.entries(snapshot || {}).filter(([key]) => !ignore.includes(key))
+  );
+  return diffValues(omit(before), omit(after));
+};
+
+module.exports = {
+  diffValues,
+  diffSnapshots
+};
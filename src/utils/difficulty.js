@@ -0,0 +1,112 @@
+// Cálculo automático de la dificultad de una ruta a partir de los atributos de sus tramos
+// Cada waypoint describe en `attributes` el tramo hasta el siguiente waypoint
+const { DEFAULT_COSTS, ROUGH_SURFACES } = require('./pathfinding');
+
+// Puntos por factor (la puntuación total va de 0 a 100; más alto = más difícil)
+const DIFFICULTY_WEIGHTS = {
+  distance: { pointsPer100m: 1, max: 20 },
+  stairs: { pointsPerStep: 1.5, max: 25 },
+  slope: { pointsPer10m: 1, max: 15 }, // metros con pendiente mayor al umbral
+  crossings: { uncontrolled: 8, controlled: 3, audibleSignalDiscount: 1.5, max: 20 },
+  surface: { max: 10 }, // proporción del recorrido con superficie irregular
+  tactilePaving: { max: 10 } // proporción del recorrido sin pavimento podotáctil
+};
+
+// Umbrales de la puntuación total para cada nivel
+const DIFFICULTY_LEVELS = [
+  { level: 'easy', below: 25 },
+  { level: 'medium', below: 50 },
+  { level: 'hard', below: Infinity }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Calcular la puntuación y su desglose a partir de waypoints con distance y attributes
+// Devuelve { score, difficulty, breakdown, coverage } o null si no hay tramos
+const computeRouteDifficulty = (waypoints = []) => {
+  const segments = waypoints.slice(0, -1).map(waypoint => ({
+    distance: waypoint.distance || 0,
+    attributes: waypoint.attributes || null
+  }));
+
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const totalDistance = segments.reduce((sum, segment) => sum + segment.distance, 0);
+  const described = segments.filter(segment => segment.attributes);
+  const describedDistance = described.reduce((sum, segment) => sum + segment.distance, 0);
+
+  let stairs = 0;
+  let steepDistance = 0;
+  let roughDistance = 0;
+  let noTactileDistance = 0;
+  let controlled = 0;
+  let uncontrolled = 0;
+  let withAudibleSignal = 0;
+
+  described.forEach(({ distance, attributes }) => {
+    stairs += attributes.stairs || 0;
+    if (Math.abs(attributes.slope || 0) > DEFAULT_COSTS.steepSlopeThreshold) steepDistance += distance;
+    if (ROUGH_SURFACES.includes(attributes.surface)) roughDistance += distance;
+    if (attributes.tactilePaving === false) noTactileDistance += distance;
+    if (attributes.crossing === 'controlled') controlled++;
+    if (attributes.crossing === 'uncontrolled') uncontrolled++;
+    if (attributes.crossing && attributes.crossing !== 'none' && attributes.audibleSignal) withAudibleSignal++;
+  });
+
+  const w = DIFFICULTY_WEIGHTS;
+  const share = (distance) => (totalDistance > 0 ? distance / totalDistance : 0);
+
+  const breakdown = [
+    {
+      factor: 'distance',
+      value: Math.round(totalDistance),
+      points: Math.min(w.distance.max, totalDistance / 100 * w.distance.pointsPer100m)
+    },
+    {
+      factor: 'stairs',
+      value: stairs,
+      points: Math.min(w.stairs.max, stairs * w.stairs.pointsPerStep)
+    },
+    {
+      factor: 'slope',
+      value: Math.round(steepDistance),
+      points: Math.min(w.slope.max, steepDistance / 10 * w.slope.pointsPer10m)
+    },
+    {
+      factor: 'crossings',
+      value: controlled + uncontrolled,
+      points: Math.max(0, Math.min(w.crossings.max,
+        uncontrolled * w.crossings.uncontrolled +
+        controlled * w.crossings.controlled -
+        withAudibleSignal * w.crossings.audibleSignalDiscount))
+    },
+    {
+      factor: 'surface',
+      value: round(share(roughDistance)),
+      points: share(roughDistance) * w.surface.max
+    },
+    {
+      factor: 'tactilePaving',
+      value: round(share(noTactileDistance)),
+      points: share(noTactileDistance) * w.tactilePaving.max
+    }
+  ].map(entry => ({ ...entry, points: round(entry.points) }));
+
+  const score = Math.min(100, Math.round(breakdown.reduce((sum, entry) => sum + entry.points, 0)));
+
+  return {
+    score,
+    difficulty: DIFFICULTY_LEVELS.find(level => score < level.below).level,
+    breakdown,
+    // Proporción del recorrido con atributos conocidos (1 = todos los tramos descritos)
+    coverage: round(totalDistance > 0 ? describedDistance / totalDistance : described.length / segments.length)
+  };
+};
+
+module.exports = {
+  DIFFICULTY_WEIGHTS,
+  DIFFICULTY_LEVELS,
+  computeRouteDifficulty
+};
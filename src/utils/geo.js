@@ -0,0 +1,143 @@
+// Utilidades geoespaciales compartidas
+// Todas las posiciones usan el formato GeoJSON [longitude, latitude]
+
+const EARTH_RADIUS_M = 6371000; // Radio de la Tierra en metros
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Verificar que una posición [lng, lat] sea válida
+const isValidPosition = (position) => {
+  if (!Array.isArray(position) || position.length < 2) {
+    return false;
+  }
+
+  const [lng, lat] = position;
+  return Number.isFinite(lng) && Number.isFinite(lat) &&
+    lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+};
+
+// Distancia entre dos posiciones en metros (fórmula de haversine)
+const haversineDistance = (from, to) => {
+  const [lng1, lat1] = from;
+  const [lng2, lat2] = to;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_M * c;
+};
+
+// Rumbo inicial de una posición a otra en grados (0 = norte, sentido horario)
+const initialBearing = (from, to) => {
+  const [lng1, lat1] = from;
+  const [lng2, lat2] = to;
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+            Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+// Convertir un rumbo en grados a punto cardinal (N, NE, E, ...)
+const bearingToCardinal = (bearing) => {
+  const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  return points[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+};
+
+// Clasificar el giro entre dos rumbos consecutivos
+const turnDirection = (fromHeading, toHeading) => {
+  const delta = ((toHeading - fromHeading + 540) % 360) - 180; // -180..180
+
+  if (Math.abs(delta) < 20) return 'straight';
+  if (Math.abs(delta) > 160) return 'u_turn';
+
+  const side = delta > 0 ? 'right' : 'left';
+  if (Math.abs(delta) < 45) return `slight_${side}`;
+  if (Math.abs(delta) > 120) return `sharp_${side}`;
+  return side;
+};
+
+// Proyectar una posición a metros locales (equirectangular) respecto a un origen
+const projectToMeters = (position, origin) => {
+  const [lng, lat] = position;
+  const [originLng, originLat] = origin;
+  return [
+    toRadians(lng - originLng) * Math.cos(toRadians(originLat)) * EARTH_RADIUS_M,
+    toRadians(lat - originLat) * EARTH_RADIUS_M
+  ];
+};
+
+// Punto más cercano de un segmento [start, end] a una posición
+// Devuelve la distancia en metros y la fracción (0..1) recorrida sobre el segmento
+const nearestPointOnSegment = (position, start, end) => {
+  const [px, py] = projectToMeters(position, start);
+  const [ex, ey] = projectToMeters(end, start);
+  const lengthSquared = ex * ex + ey * ey;
+
+  let fraction = 0;
+  if (lengthSquared > 0) {
+    fraction = Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+  }
+
+  const point = [
+    start[0] + (end[0] - start[0]) * fraction,
+    start[1] + (end[1] - start[1]) * fraction
+  ];
+
+  return {
+    point,
+    fraction,
+    distance: haversineDistance(position, point)
+  };
+};
+
+// Distancia mínima en metros de una posición a una línea (lista de posiciones)
+const distanceToLine = (position, line) => {
+  if (!Array.isArray(line) || line.length === 0) {
+    return Infinity;
+  }
+
+  if (line.length === 1) {
+    return haversineDistance(position, line[0]);
+  }
+
+  let minDistance = Infinity;
+  for (let i = 0; i < line.length - 1; i++) {
+    const { distance } = nearestPointOnSegment(position, line[i], line[i + 1]);
+    minDistance = Math.min(minDistance, distance);
+  }
+  return minDistance;
+};
+
+// Interpretar "lat,lng" (formato de query string) como posición [lng, lat]
+const parseLatLng = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const position = [parts[1], parts[0]];
+  return isValidPosition(position) ? position : null;
+};
+
+module.exports = {
+  EARTH_RADIUS_M,
+  toRadians,
+  toDegrees,
+  isValidPosition,
+  haversineDistance,
+  initialBearing,
+  bearingToCardinal,
+  turnDirection,
+  projectToMeters,
+  nearestPointOnSegment,
+  distanceToLine,
+  parseLatLng
+};
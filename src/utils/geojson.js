@@ -0,0 +1,130 @@
+// Conversión entre documentos de MongoDB y features GeoJSON
+const { isValidPosition } = require('./geo');
+
+// Validar una geometría GeoJSON de los tipos permitidos
+// Devuelve un mensaje de error o null si es válida
+const validateGeometry = (geometry, allowedTypes) => {
+  if (!geometry || typeof geometry !== 'object') {
+    return 'Feature has no geometry';
+  }
+
+  if (!allowedTypes.includes(geometry.type)) {
+    return `Geometry type must be one of: ${allowedTypes.join(', ')}`;
+  }
+
+  if (geometry.type === 'Point' && !isValidPosition(geometry.coordinates)) {
+    return 'Point has invalid coordinates';
+  }
+
+  if (geometry.type === 'LineString' &&
+      (!Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2 ||
+       !geometry.coordinates.every(position => isValidPosition(position)))) {
+    return 'LineString needs at least two valid positions';
+  }
+
+  return null;
+};
+
+const pick = (source, keys) => keys.reduce((result, key) => {
+  if (source[key] !== undefined) result[key] = source[key];
+  return result;
+}, {});
+
+const hasPoint = (point) => point && Array.isArray(point.coordinates) && point.coordinates.length === 2;
+
+// Rutas: LineString desde los waypoints o Point de inicio
+const ROUTE_PROPERTIES = ['name', 'location', 'transportName', 'description', 'tags', 'difficulty', 'isActive'];
+
+const routeToFeature = (route) => ({
+  type: 'Feature',
+  id: route._id.toString(),
+  geometry: route.path && route.path.coordinates
+    ? { type: 'LineString', coordinates: route.path.coordinates }
+    : hasPoint(route.coordinates) ? { type: 'Point', coordinates: route.coordinates.coordinates } : null,
+  properties: {
+    ...pick(route, ROUTE_PROPERTIES),
+    totalDistance: route.totalDistance,
+    instructions: (route.waypoints || []).map(waypoint => waypoint.instruction || null),
+    waypointNames: (route.waypoints || []).map(waypoint => waypoint.name || null),
+    segmentAttributes: (route.waypoints || []).map(waypoint => waypoint.attributes || null),
+    difficultyScore: route.difficultyScore,
+    createdBy: route.createdBy,
+    updatedAt: route.updatedAt
+  }
+});
+
+const featureToRoute = (feature) => {
+  const properties = feature.properties || {};
+  const data = pick(properties, ROUTE_PROPERTIES);
+
+  if (feature.geometry.type === 'LineString') {
+    const names = properties.waypointNames || [];
+    const instructions = properties.instructions || [];
+    const attributes = properties.segmentAttributes || [];
+    data.waypoints = feature.geometry.coordinates.map((position, index) => ({
+      position: [position[0], position[1]],
+      name: names[index] || undefined,
+      instruction: instructions[index] || undefined,
+      attributes: attributes[index] || undefined
+    }));
+  } else {
+    data.coordinates = { type: 'Point', coordinates: feature.geometry.coordinates };
+  }
+
+  return data;
+};
+
+// Puntos turísticos: Point de ubicación
+const TOURIST_SPOT_PROPERTIES = [
+  'lugarDestino', 'nombre', 'descripcion', 'category', 'accessibility',
+  'images', 'schedule', 'timezone', 'contact', 'tags', 'isActive'
+];
+
+const touristSpotToFeature = (spot) => ({
+  type: 'Feature',
+  id: spot._id.toString(),
+  geometry: hasPoint(spot.ubicacion) ? { type: 'Point', coordinates: spot.ubicacion.coordinates } : null,
+  properties: {
+    ...pick(spot, TOURIST_SPOT_PROPERTIES),
+    rating: spot.rating,
+    createdBy: spot.createdBy,
+    updatedAt: spot.updatedAt
+  }
+});
+
+const featureToTouristSpot = (feature) => ({
+  ...pick(feature.properties || {}, TOURIST_SPOT_PROPERTIES),
+  ubicacion: { type: 'Point', coordinates: feature.geometry.coordinates }
+});
+
+// Mensajes personalizados: Point de disparo
+const MESSAGE_PROPERTIES = [
+  'message', 'estado', 'routeId', 'touristSpotId', 'triggerRadius', 'triggerType', 'dwellSeconds',
+  'cooldownMinutes', 'heading', 'headingTolerance', 'language', 'audioUrl', 'priority'
+];
+
+const messageToFeature = (message) => ({
+  type: 'Feature',
+  id: message._id.toString(),
+  geometry: hasPoint(message.coordinates) ? { type: 'Point', coordinates: message.coordinates.coordinates } : null,
+  properties: {
+    ...pick(message, MESSAGE_PROPERTIES),
+    createdBy: message.createdBy,
+    updatedAt: message.updatedAt
+  }
+});
+
+const featureToMessage = (feature) => ({
+  ...pick(feature.properties || {}, MESSAGE_PROPERTIES),
+  coordinates: { type: 'Point', coordinates: feature.geometry.coordinates }
+});
+
+module.exports = {
+  validateGeometry,
+  routeToFeature,
+  featureToRoute,
+  touristSpotToFeature,
+  featureToTouristSpot,
+  messageToFeature,
+  featureToMessage
+};
@@ -0,0 +1,134 @@
+// Feriados nacionales de Ecuador con las reglas de traslado de la Ley Orgánica de 2016:
+// - martes -> lunes anterior; miércoles o jueves -> viernes de la misma semana
+// - sábado -> viernes anterior; domingo -> lunes siguiente
+// - no se trasladan: 1 de enero, 25 de diciembre, Carnaval y Viernes Santo
+// - Difuntos (2 nov) e Independencia de Cuenca (3 nov) se trasladan juntos para formar
+//   dos días seguidos de descanso unidos al fin de semana
+// El Gobierno puede decretar otros traslados; se cubren con las excepciones de cada horario
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fecha UTC (sin hora) para cálculos de calendario
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Domingo de Pascua (algoritmo anónimo gregoriano)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+};
+
+// Día de descanso efectivo según el día de la semana del feriado
+const observedDate = (date) => {
+  switch (date.getUTCDay()) {
+    case 2: return addDays(date, -1); // martes -> lunes
+    case 3: return addDays(date, 2); // miércoles -> viernes
+    case 4: return addDays(date, 1); // jueves -> viernes
+    case 6: return addDays(date, -1); // sábado -> viernes
+    case 0: return addDays(date, 1); // domingo -> lunes
+    default: return date;
+  }
+};
+
+// Desplazamiento en días de Difuntos y de Cuenca según el día de la semana del 2 de noviembre
+// Ej.: 2023 (jueves) se descansa jueves 2 y viernes 3; 2024 (sábado) viernes 1 y lunes 4
+const NOVEMBER_PAIR_SHIFTS = {
+  0: [1, 1], // domingo-lunes -> lunes-martes
+  1: [0, 0], // lunes-martes
+  2: [-1, -1], // martes-miércoles -> lunes-martes
+  3: [1, 1], // miércoles-jueves -> jueves-viernes
+  4: [0, 0], // jueves-viernes
+  5: [-1, -1], // viernes-sábado -> jueves-viernes
+  6: [-1, 1] // sábado-domingo -> viernes y lunes
+};
+
+// Días de descanso de Difuntos y de Cuenca, tratados como una unidad
+const novemberPair = (year) => {
+  const difuntos = utcDate(year, 11, 2);
+  const cuenca = utcDate(year, 11, 3);
+  const [difuntosShift, cuencaShift] = NOVEMBER_PAIR_SHIFTS[difuntos.getUTCDay()];
+
+  return [
+    { date: addDays(difuntos, difuntosShift), name: 'Día de los Difuntos', officialDate: difuntos },
+    { date: addDays(cuenca, cuencaShift), name: 'Independencia de Cuenca', officialDate: cuenca }
+  ];
+};
+
+const FIXED_HOLIDAYS = [
+  { month: 1, day: 1, name: 'Año Nuevo', movable: false },
+  { month: 5, day: 1, name: 'Día del Trabajo', movable: true },
+  { month: 5, day: 24, name: 'Batalla de Pichincha', movable: true },
+  { month: 8, day: 10, name: 'Primer Grito de Independencia', movable: true },
+  { month: 10, day: 9, name: 'Independencia de Guayaquil', movable: true },
+  { month: 12, day: 25, name: 'Navidad', movable: false }
+];
+
+const cache = new Map();
+
+// Feriados de un año: [{ date: 'YYYY-MM-DD', name, officialDate }]
+const getEcuadorHolidays = (year) => {
+  if (cache.has(year)) {
+    return cache.get(year);
+  }
+
+  const easter = easterSunday(year);
+  const official = [
+    { date: addDays(easter, -48), name: 'Carnaval' },
+    { date: addDays(easter, -47), name: 'Carnaval' },
+    { date: addDays(easter, -2), name: 'Viernes Santo' },
+    ...novemberPair(year),
+    ...FIXED_HOLIDAYS.map(({ month, day, name, movable }) => {
+      const date = utcDate(year, month, day);
+      return { date, name, officialDate: date, movable };
+    })
+  ];
+
+  // Los traslados nunca llevan un feriado a un día que ya es de descanso: si coincidiría,
+  // se descansa en su fecha oficial
+  const taken = new Set(official.filter(holiday => !holiday.movable).map(holiday => toDateString(holiday.date)));
+  const holidays = official.map(holiday => {
+    let date = holiday.movable ? observedDate(holiday.date) : holiday.date;
+    if (holiday.movable && taken.has(toDateString(date))) {
+      date = holiday.date;
+    }
+    taken.add(toDateString(date));
+
+    return {
+      date: toDateString(date),
+      name: holiday.name,
+      officialDate: toDateString(holiday.officialDate || holiday.date)
+    };
+  });
+
+  holidays.sort((a, b) => a.date.localeCompare(b.date));
+  cache.set(year, holidays);
+  return holidays;
+};
+
+// Feriado que se descansa en una fecha 'YYYY-MM-DD' (o null)
+const findHoliday = (dateString) => {
+  const year = parseInt(dateString.slice(0, 4), 10);
+  return getEcuadorHolidays(year).find(holiday => holiday.date === dateString) || null;
+};
+
+module.exports = {
+  easterSunday,
+  getEcuadorHolidays,
+  findHoliday
+};
@@ -0,0 +1,212 @@
+// Generación de instrucciones habladas paso a paso
+const { turnDirection, bearingToCardinal } = require('./geo');
+
+const DEFAULT_LANGUAGE = 'es';
+
+// Frases por idioma
+const phrases = {
+  es: {
+    turns: {
+      straight: 'Continúa recto',
+      slight_right: 'Gira ligeramente a la derecha',
+      right: 'Gira a la derecha',
+      sharp_right: 'Gira completamente a la derecha',
+      slight_left: 'Gira ligeramente a la izquierda',
+      left: 'Gira a la izquierda',
+      sharp_left: 'Gira completamente a la izquierda',
+      u_turn: 'Da la vuelta'
+    },
+    cardinals: {
+      N: 'norte', NE: 'noreste', E: 'este', SE: 'sureste',
+      S: 'sur', SW: 'suroeste', W: 'oeste', NW: 'noroeste'
+    },
+    start: (cardinal) => `Comienza caminando hacia el ${cardinal}`,
+    walk: (distance) => `y avanza ${distance}`,
+    towards: (name) => `hacia ${name}`,
+    arrive: (name) => name ? `Has llegado a ${name}` : 'Has llegado a tu destino',
+    meters: (value) => `${value} ${value === 1 ? 'metro' : 'metros'}`,
+    kilometers: (value) => `${value} kilómetros`,
+    minutes: (value) => `${value} ${value === 1 ? 'minuto' : 'minutos'}`,
+    stairs: (count) => `Atención: ${count} ${count === 1 ? 'escalón' : 'escalones'}`,
+    crossings: {
+      controlled: 'Cruce con semáforo',
+      uncontrolled: 'Precaución: cruce sin semáforo'
+    },
+    noTactilePaving: 'Tramo sin pavimento podotáctil',
+    line: (name) => `Línea ${name}`,
+    direction: (headsign) => `con dirección a ${headsign}`,
+    nextStop: (name, distance) => `Próxima parada: ${name}, a ${distance}`,
+    vehicles: { 0: 'tranvía', 1: 'metro', 2: 'tren', 3: 'bus', 11: 'trolebús', default: 'transporte' },
+    arrivesIn: (vehicle, line, minutes) => `El ${vehicle} ${line} llega en ${minutes}`,
+    arrivingNow: (vehicle, line) => `El ${vehicle} ${line} está llegando`,
+    scheduled: 'según el horario',
+    inDistance: (distance) => `En ${distance}`,
+    offRoute: 'Te has alejado de la ruta',
+    remaining: (distance, minutes) => `Faltan ${distance}, unos ${minutes}`,
+    weekdays: {
+      sunday: 'domingo', monday: 'lunes', tuesday: 'martes', wednesday: 'miércoles',
+      thursday: 'jueves', friday: 'viernes', saturday: 'sábado'
+    },
+    openAllDay: 'Abierto las 24 horas',
+    closesIn: (minutes) => `Abierto, cierra en ${minutes}`,
+    openUntil: (time) => `Abierto hasta las ${time}`,
+    opensIn: (minutes) => `Cerrado, abre en ${minutes}`,
+    opensToday: (time) => `Cerrado, abre hoy a las ${time}`,
+    opensTomorrow: (time) => `Cerrado, abre mañana a las ${time}`,
+    opensOn: (weekday, time) => `Cerrado, abre el ${weekday} a las ${time}`,
+    closedNoReopen: 'Cerrado, sin apertura prevista en los próximos días',
+    hoursUnknown: 'Horario no disponible',
+    holidayToday: (name) => `Hoy es feriado: ${name}`,
+    exceptionToday: (reason) => `Horario especial: ${reason}`
+  },
+  en: {
+    turns: {
+      straight: 'Continue straight',
+      slight_right: 'Bear right',
+      right: 'Turn right',
+      sharp_right: 'Turn sharp right',
+      slight_left: 'Bear left',
+      left: 'Turn left',
+      sharp_left: 'Turn sharp left',
+      u_turn: 'Make a U-turn'
+    },
+    cardinals: {
+      N: 'north', NE: 'northeast', E: 'east', SE: 'southeast',
+      S: 'south', SW: 'southwest', W: 'west', NW: 'northwest'
+    },
+    start: (cardinal) => `Start walking ${cardinal}`,
+    walk: (distance) => `and walk ${distance}`,
+    towards: (name) => `towards ${name}`,
+    arrive: (name) => name ? `You have arrived at ${name}` : 'You have arrived at your destination',
+    meters: (value) => `${value} ${value === 1 ? 'meter' : 'meters'}`,
+    kilometers: (value) => `${value} kilometers`,
+    minutes: (value) => `${value} ${value === 1 ? 'minute' : 'minutes'}`,
+    stairs: (count) => `Caution: ${count} ${count === 1 ? 'step' : 'steps'}`,
+    crossings: {
+      controlled: 'Signalised crossing',
+      uncontrolled: 'Caution: crossing without traffic lights'
+    },
+    noTactilePaving: 'No tactile paving on this stretch',
+    line: (name) => `Line ${name}`,
+    direction: (headsign) => `towards ${headsign}`,
+    nextStop: (name, distance) => `Next stop: ${name}, ${distance} away`,
+    vehicles: { 0: 'tram', 1: 'metro', 2: 'train', 3: 'bus', 11: 'trolleybus', default: 'service' },
+    arrivesIn: (vehicle, line, minutes) => `The ${line} ${vehicle} arrives in ${minutes}`,
+    arrivingNow: (vehicle, line) => `The ${line} ${vehicle} is arriving now`,
+    scheduled: 'according to the timetable',
+    inDistance: (distance) => `In ${distance}`,
+    offRoute: 'You have left the route',
+    remaining: (distance, minutes) => `${distance} to go, about ${minutes}`,
+    weekdays: {
+      sunday: 'Sunday', monday: 'Monday', tuesday: 'Tuesday', wednesday: 'Wednesday',
+      thursday: 'Thursday', friday: 'Friday', saturday: 'Saturday'
+    },
+    openAllDay: 'Open 24 hours',
+    closesIn: (minutes) => `Open, closes in ${minutes}`,
+    openUntil: (time) => `Open until ${time}`,
+    opensIn: (minutes) => `Closed, opens in ${minutes}`,
+    opensToday: (time) => `Closed, opens today at ${time}`,
+    opensTomorrow: (time) => `Closed, opens tomorrow at ${time}`,
+    opensOn: (weekday, time) => `Closed, opens on ${weekday} at ${time}`,
+    closedNoReopen: 'Closed, not opening in the next few days',
+    hoursUnknown: 'Opening hours not available',
+    holidayToday: (name) => `Public holiday today: ${name}`,
+    exceptionToday: (reason) => `Special hours: ${reason}`
+  }
+};
+
+// Obtener las frases de un idioma, con español por defecto
+const getPhrases = (language) => {
+  const code = (language || DEFAULT_LANGUAGE).toLowerCase().split('-')[0];
+  return phrases[code] || phrases[DEFAULT_LANGUAGE];
+};
+
+// Expresar una distancia en metros de forma hablada
+const formatDistance = (meters, language) => {
+  const p = getPhrases(language);
+
+  if (meters >= 1000) {
+    return p.kilometers((Math.round(meters / 100) / 10).toString());
+  }
+
+  // Redondear a múltiplos de 5 metros, suficiente para orientarse a pie
+  const rounded = Math.max(1, Math.round(meters / 5) * 5);
+  return p.meters(rounded);
+};
+
+// Expresar una duración en segundos como minutos hablados
+const formatDuration = (seconds, language) => {
+  const p = getPhrases(language);
+  return p.minutes(Math.max(1, Math.round(seconds / 60)));
+};
+
+// Advertencias habladas para los atributos de accesibilidad de un tramo
+const describeSegmentAttributes = (attributes = {}, language) => {
+  const p = getPhrases(language);
+  const warnings = [];
+
+  if (attributes.stairs > 0) {
+    warnings.push(p.stairs(attributes.stairs));
+  }
+
+  if (p.crossings[attributes.crossing]) {
+    warnings.push(p.crossings[attributes.crossing]);
+  }
+
+  if (attributes.tactilePaving === false) {
+    warnings.push(p.noTactilePaving);
+  }
+
+  return warnings;
+};
+
+// Construir la lista de pasos hablados a partir de waypoints ordenados
+// Cada waypoint debe tener position, distance y heading (ver routeSchema)
+const buildInstructions = (waypoints, language = DEFAULT_LANGUAGE) => {
+  const p = getPhrases(language);
+  const steps = [];
+
+  waypoints.forEach((waypoint, index) => {
+    const isLast = index === waypoints.length - 1;
+    const next = waypoints[index + 1];
+    let maneuver;
+    let text;
+
+    if (isLast) {
+      maneuver = 'arrive';
+      text = p.arrive(waypoint.name);
+    } else if (index === 0 || waypoints[index - 1].heading == null) {
+      maneuver = 'depart';
+      text = `${p.start(p.cardinals[bearingToCardinal(waypoint.heading)])} ${p.walk(formatDistance(waypoint.distance, language))}`;
+    } else {
+      maneuver = turnDirection(waypoints[index - 1].heading, waypoint.heading);
+      text = `${p.turns[maneuver]} ${p.walk(formatDistance(waypoint.distance, language))}`;
+    }
+
+    if (!isLast && next.name) {
+      text += ` ${p.towards(next.name)}`;
+    }
+
+    steps.push({
+      step: index + 1,
+      maneuver,
+      // Una instrucción escrita por el autor de la ruta tiene prioridad sobre la generada
+      instruction: waypoint.instruction || `${text}.`,
+      distance: isLast ? 0 : Math.round(waypoint.distance),
+      heading: isLast || waypoint.heading == null ? null : Math.round(waypoint.heading),
+      cardinal: isLast || waypoint.heading == null ? null : bearingToCardinal(waypoint.heading),
+      position: waypoint.position
+    });
+  });
+
+  return steps;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getPhrases,
+  formatDistance,
+  formatDuration,
+  describeSegmentAttributes,
+  buildInstructions
+};
@@ -0,0 +1,83 @@
+// Tipos de archivo admitidos y detección del formato a partir de los primeros bytes
+
+const MB = 1024 * 1024;
+
+// Límite de tamaño por tipo de archivo (configurable por entorno)
+const MEDIA_LIMITS = {
+  image: (parseFloat(process.env.MEDIA_MAX_IMAGE_MB) || 5) * MB,
+  audio: (parseFloat(process.env.MEDIA_MAX_AUDIO_MB) || 25) * MB
+};
+
+// Formatos admitidos: kind, extensión y firma
+const MEDIA_FORMATS = [
+  {
+    mimeType: 'image/jpeg',
+    kind: 'image',
+    extension: 'jpg',
+    matches: (buffer) => buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF
+  },
+  {
+    mimeType: 'image/png',
+    kind: 'image',
+    extension: 'png',
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))
+  },
+  {
+    mimeType: 'image/gif',
+    kind: 'image',
+    extension: 'gif',
+    matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))
+  },
+  {
+    mimeType: 'image/webp',
+    kind: 'image',
+    extension: 'webp',
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  },
+  {
+    mimeType: 'audio/wav',
+    kind: 'audio',
+    extension: 'wav',
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE'
+  },
+  {
+    mimeType: 'audio/ogg',
+    kind: 'audio',
+    extension: 'ogg',
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'OggS'
+  },
+  {
+    // Etiqueta ID3 al inicio o directamente una cabecera de trama MPEG (11 bits de sincronía)
+    mimeType: 'audio/mpeg',
+    kind: 'audio',
+    extension: 'mp3',
+    matches: (buffer) => buffer.toString('latin1', 0, 3) === 'ID3' ||
+      (buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)
+  }
+];
+
+// Extensiones de audio: las de los formatos admitidos y otras habituales de archivos antiguos
+const AUDIO_EXTENSIONS = [
+  ...MEDIA_FORMATS.filter(format => format.kind === 'audio').map(format => format.extension),
+  'oga', 'opus', 'm4a', 'aac', 'flac', 'weba'
+];
+
+// Indica si un nombre o ruta de archivo es un audio según su extensión
+const isAudioFileName = (name) => {
+  const match = /\.([^./\\]+)$/.exec(name || '');
+  return Boolean(match) && AUDIO_EXTENSIONS.includes(match[1].toLowerCase());
+};
+
+// Formato de un archivo según su contenido (o null si no es un formato admitido)
+const sniffMediaType = (buffer) => {
+  const format = MEDIA_FORMATS.find(candidate => candidate.matches(buffer));
+  return format ? { mimeType: format.mimeType, kind: format.kind, extension: format.extension } : null;
+};
+
+module.exports = {
+  MEDIA_LIMITS,
+  MEDIA_FORMATS,
+  AUDIO_EXTENSIONS,
+  isAudioFileName,
+  sniffMediaType
+};
@@ -0,0 +1,274 @@
+// Motor de horarios de atención: intervalos por día, tramos nocturnos, feriados y excepciones
+const { DEFAULT_TIMEZONE, WEEKDAYS, getZonedParts, isValidTimeZone } = require('./time');
+const { findHoliday } = require('./holidays');
+const { getPhrases, formatDuration } = require('./instructions');
+
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * 60 * 1000;
+const LOOKAHEAD_DAYS = 7;
+const CLOSING_SOON_MINUTES = 30;
+const COUNTDOWN_MINUTES = 60; // por debajo de este margen se anuncia "en X minutos"
+const HOLIDAY_POLICIES = ['closed', 'regular', 'special'];
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "HH:MM" -> minutos desde la medianoche
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutos (de cualquier día) -> "HH:MM"
+const formatTime = (minutes) => {
+  const value = ((Math.round(minutes) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+};
+
+// Intervalo en minutos del día; si el cierre no es posterior a la apertura termina al día siguiente
+const toRange = ({ open, close }) => {
+  const start = parseTime(open);
+  let end = parseTime(close);
+  if (end <= start) {
+    end += DAY_MINUTES;
+  }
+  return [start, end];
+};
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+// Errores de los intervalos de un día (formato y solapes)
+const validateIntervals = (intervals = [], label) => {
+  const errors = [];
+
+  intervals.forEach(({ open, close }, index) => {
+    if (!TIME_PATTERN.test(open || '') || !TIME_PATTERN.test(close || '')) {
+      errors.push(`${label}[${index}]: open and close must use HH:MM (00:00-24:00)`);
+    } else if (open === '24:00') {
+      errors.push(`${label}[${index}]: open cannot be 24:00`);
+    } else if (open === close) {
+      errors.push(`${label}[${index}]: open and close must differ`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const ranges = intervals.map(toRange).sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i][0] < ranges[i - 1][1]) {
+      errors.push(`${label}: intervals overlap`);
+      break;
+    }
+  }
+
+  return errors;
+};
+
+// Validar un horario completo; devuelve la lista de errores (vacía si es válido)
+const validateSchedule = (schedule = {}, timezone) => {
+  const errors = [];
+
+  WEEKDAYS.forEach(day => {
+    errors.push(...validateIntervals(schedule[day], `schedule.${day}`));
+  });
+
+  const holidays = schedule.holidays || {};
+  if (holidays.policy && !HOLIDAY_POLICIES.includes(holidays.policy)) {
+    errors.push(`schedule.holidays.policy must be one of: ${HOLIDAY_POLICIES.join(', ')}`);
+  }
+  errors.push(...validateIntervals(holidays.intervals, 'schedule.holidays.intervals'));
+  if (holidays.policy === 'special' && !(holidays.intervals || []).length) {
+    errors.push('schedule.holidays.intervals are required when policy is special');
+  }
+
+  (schedule.exceptions || []).forEach((exception, index) => {
+    const label = `schedule.exceptions[${index}]`;
+
+    if (!isValidDate(exception.from || '') || (exception.to && !isValidDate(exception.to))) {
+      errors.push(`${label}: from and to must be dates (YYYY-MM-DD)`);
+    } else if (exception.to && exception.to < exception.from) {
+      errors.push(`${label}: to must not be before from`);
+    }
+
+    if (!exception.closed && !(exception.intervals || []).length) {
+      errors.push(`${label}: intervals are required unless closed is true`);
+    }
+    errors.push(...validateIntervals(exception.intervals, `${label}.intervals`));
+  });
+
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    errors.push(`timezone "${timezone}" is not a valid IANA time zone`);
+  }
+
+  return errors;
+};
+
+// Adaptar horarios guardados con el formato anterior, un único { open, close } por día,
+// a la lista de intervalos actual (las lecturas lean reciben el documento tal cual)
+const normalizeSchedule = (schedule) => {
+  if (!schedule) return schedule;
+
+  const normalized = { ...schedule };
+  WEEKDAYS.forEach(day => {
+    const value = schedule[day];
+    if (value && !Array.isArray(value)) {
+      normalized[day] = value.open && value.close ? [{ open: value.open, close: value.close }] : [];
+    }
+  });
+
+  return normalized;
+};
+
+// Indica si el horario tiene algún dato con el que calcular el estado
+const hasOpeningHours = (schedule) => Boolean(schedule) && (
+  WEEKDAYS.some(day => (schedule[day] || []).length > 0) ||
+  (schedule.exceptions || []).length > 0
+);
+
+// Intervalos de una fecha local. Prioridad: excepción, feriado y horario semanal
+const resolveDay = (schedule, dateString, weekday) => {
+  const holiday = findHoliday(dateString);
+  const exception = (schedule.exceptions || [])
+    .find(({ from, to }) => from <= dateString && dateString <= (to || from));
+
+  if (exception) {
+    return { intervals: exception.closed ? [] : exception.intervals || [], holiday, exception };
+  }
+
+  if (holiday) {
+    const policy = schedule.holidays?.policy || 'closed';
+    if (policy === 'closed') {
+      return { intervals: [], holiday };
+    }
+    if (policy === 'special') {
+      return { intervals: schedule.holidays.intervals || [], holiday };
+    }
+  }
+
+  return { intervals: schedule[weekday] || [], holiday };
+};
+
+// Tramos abiertos en minutos relativos a la medianoche local de hoy, desde ayer
+// (por los tramos nocturnos) hasta LOOKAHEAD_DAYS días después, unidos si se tocan
+const buildTimeline = (schedule, parts) => {
+  const today = Date.UTC(parts.year, parts.month - 1, parts.day);
+  const ranges = [];
+  let current;
+
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const date = new Date(today + offset * DAY_MS);
+    const day = resolveDay(schedule, date.toISOString().slice(0, 10), WEEKDAYS[date.getUTCDay()]);
+
+    if (offset === 0) {
+      current = day;
+    }
+
+    day.intervals
+      .filter(({ open, close }) => TIME_PATTERN.test(open || '') && TIME_PATTERN.test(close || ''))
+      .forEach(interval => {
+        const [start, end] = toRange(interval);
+        ranges.push([start + offset * DAY_MINUTES, end + offset * DAY_MINUTES]);
+      });
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = ranges.reduce((result, range) => {
+    const last = result[result.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      result.push([...range]);
+    }
+    return result;
+  }, []);
+
+  return { today: current, timeline: merged, end: (LOOKAHEAD_DAYS + 1) * DAY_MINUTES };
+};
+
+// Estado de apertura de un punto turístico en un instante, con el anuncio hablado.
+// status: open | closing_soon | closed | unknown; los horarios se interpretan en spot.timezone
+const getOpeningStatus = (spot, at = new Date(), language) => {
+  const p = getPhrases(language);
+  const timezone = spot.timezone || DEFAULT_TIMEZONE;
+  const schedule = normalizeSchedule(spot.schedule);
+
+  if (!hasOpeningHours(schedule)) {
+    return { isOpen: null, status: 'unknown', timezone, announcement: `${p.hoursUnknown}.` };
+  }
+
+  const parts = getZonedParts(at, timezone);
+  const now = parts.hour * 60 + parts.minute + parts.second / 60;
+  const { today, timeline, end } = buildTimeline(schedule, parts);
+  const toInstant = (minutes) => new Date(Math.round((at.getTime() + (minutes - now) * 60000) / 60000) * 60000);
+
+  const result = {
+    isOpen: false,
+    status: 'closed',
+    opensAt: null,
+    closesAt: null,
+    holiday: today.holiday ? today.holiday.name : null,
+    exception: today.exception ? (today.exception.reason || null) : null,
+    timezone
+  };
+  let text;
+
+  const current = timeline.find(([start, stop]) => start <= now && now < stop);
+
+  if (current) {
+    const minutesLeft = current[1] - now;
+    result.isOpen = true;
+
+    if (current[1] >= end) {
+      // Abierto sin cierre dentro del horizonte calculado
+      result.status = 'open';
+      text = p.openAllDay;
+    } else {
+      result.status = minutesLeft <= CLOSING_SOON_MINUTES ? 'closing_soon' : 'open';
+      result.closesAt = toInstant(current[1]);
+      text = minutesLeft <= COUNTDOWN_MINUTES
+        ? p.closesIn(formatDuration(minutesLeft * 60, language))
+        : p.openUntil(formatTime(current[1]));
+    }
+  } else {
+    const next = timeline.find(([start]) => start > now);
+
+    if (!next) {
+      text = p.closedNoReopen;
+    } else {
+      const minutesUntil = next[0] - now;
+      const dayOffset = Math.floor(next[0] / DAY_MINUTES);
+      result.opensAt = toInstant(next[0]);
+
+      if (minutesUntil <= COUNTDOWN_MINUTES) {
+        text = p.opensIn(formatDuration(minutesUntil * 60, language));
+      } else if (dayOffset === 0) {
+        text = p.opensToday(formatTime(next[0]));
+      } else if (dayOffset === 1) {
+        text = p.opensTomorrow(formatTime(next[0]));
+      } else {
+        text = p.opensOn(p.weekdays[WEEKDAYS[(parts.weekdayIndex + dayOffset) % 7]], formatTime(next[0]));
+      }
+    }
+  }
+
+  // Contexto del día: excepción o feriado que cambia el horario habitual
+  const notes = [];
+  if (result.exception) {
+    notes.push(p.exceptionToday(result.exception));
+  } else if (result.holiday) {
+    notes.push(p.holidayToday(result.holiday));
+  }
+
+  result.announcement = [text, ...notes].map(sentence => `${sentence}.`).join(' ');
+  return result;
+};
+
+module.exports = {
+  HOLIDAY_POLICIES,
+  CLOSING_SOON_MINUTES,
+  validateSchedule,
+  hasOpeningHours,
+  getOpeningStatus
+};
@@ -0,0 +1,347 @@
+// Cálculo de caminos peatonales accesibles sobre un grafo de tramos
+const { haversineDistance } = require('./geo');
+
+// Costos de accesibilidad, expresados en metros equivalentes o factores
+const DEFAULT_COSTS = {
+  stairPenalty: 15, // metros extra por escalón
+  controlledCrossingPenalty: 30,
+  uncontrolledCrossingPenalty: 150,
+  missingTactilePavingFactor: 1.3,
+  roughSurfaceFactor: 1.5, // empedrado, grava o tierra
+  steepSlopeThreshold: 6, // porcentaje
+  steepSlopeFactor: 1.5
+};
+
+const ROUGH_SURFACES = ['cobblestone', 'gravel', 'unpaved'];
+
+// Precisión usada para unir extremos de tramos que coinciden (~1 metro)
+const NODE_PRECISION = 5;
+
+const nodeKey = (position) =>
+  `${position[0].toFixed(NODE_PRECISION)},${position[1].toFixed(NODE_PRECISION)}`;
+
+// Costo de recorrer un tramo según su distancia y atributos de accesibilidad
+const segmentCost = (distance, attributes = {}, options = {}) => {
+  const costs = { ...DEFAULT_COSTS, ...options.costs };
+
+  if (options.avoidStairs && attributes.stairs > 0) {
+    return Infinity;
+  }
+
+  let factor = 1;
+  if (attributes.tactilePaving === false) factor *= costs.missingTactilePavingFactor;
+  if (ROUGH_SURFACES.includes(attributes.surface)) factor *= costs.roughSurfaceFactor;
+  if (Math.abs(attributes.slope || 0) > costs.steepSlopeThreshold) factor *= costs.steepSlopeFactor;
+
+  let penalty = (attributes.stairs || 0) * costs.stairPenalty;
+  if (attributes.crossing === 'controlled') penalty += costs.controlledCrossingPenalty;
+  if (attributes.crossing === 'uncontrolled') penalty += costs.uncontrolledCrossingPenalty;
+
+  return distance * factor + penalty;
+};
+
+// Tolerancia para unir tramos que se tocan sin compartir vértice (metros)
+const JUNCTION_TOLERANCE = 1;
+// Tamaño de celda de la rejilla usada para buscar cruces entre tramos (metros)
+const GRID_CELL = 100;
+const METERS_PER_DEGREE = 111320;
+
+// Proyección plana local en metros alrededor de una latitud de referencia (suficiente a escala urbana)
+const toPlane = (position, refLat) => [
+  position[0] * METERS_PER_DEGREE * Math.cos(refLat * Math.PI / 180),
+  position[1] * METERS_PER_DEGREE
+];
+
+const fromPlane = ([x, y], refLat) => [
+  x / (METERS_PER_DEGREE * Math.cos(refLat * Math.PI / 180)),
+  y / METERS_PER_DEGREE
+];
+
+const cross = (a, b) => a[0] * b[1] - a[1] * b[0];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+
+// Proyectar un punto sobre un tramo recto: { t (0-1), point, distance } en el plano
+const projectOntoLine = (p, a, b) => {
+  const ab = sub(b, a);
+  const lengthSquared = ab[0] * ab[0] + ab[1] * ab[1];
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p[0] - a[0]) * ab[0] + (p[1] - a[1]) * ab[1]) / lengthSquared));
+  const point = [a[0] + t * ab[0], a[1] + t * ab[1]];
+  return { t, point, distance: Math.hypot(p[0] - point[0], p[1] - point[1]) };
+};
+
+// Un corte es interior si queda a más de la tolerancia de ambos extremos
+const isInterior = (t, length) => t * length > JUNCTION_TOLERANCE && (1 - t) * length > JUNCTION_TOLERANCE;
+
+// Puntos donde hay que partir dos tramos rectos: cruce propiamente dicho o
+// extremo de uno apoyado sobre el otro (unión en T)
+const findJunctions = (first, second, refLat) => {
+  const splits = [];
+  const d1 = sub(first.b, first.a);
+  const d2 = sub(second.b, second.a);
+  const denominator = cross(d1, d2);
+
+  if (Math.abs(denominator) > 1e-9) {
+    const offset = sub(second.a, first.a);
+    const t = cross(offset, d2) / denominator;
+    const u = cross(offset, d1) / denominator;
+
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1 && isInterior(t, first.length) && isInterior(u, second.length)) {
+      const position = fromPlane([first.a[0] + t * d1[0], first.a[1] + t * d1[1]], refLat);
+      splits.push({ line: first, t, position }, { line: second, t: u, position });
+      return splits;
+    }
+  }
+
+  // Uniones en T: se usa la posición del extremo para que ambos tramos compartan nodo
+  [[first, second], [second, first]].forEach(([line, other]) => {
+    [[other.a, other.start], [other.b, other.end]].forEach(([point, position]) => {
+      const projection = projectOntoLine(point, line.a, line.b);
+      if (projection.distance <= JUNCTION_TOLERANCE && isInterior(projection.t, line.length)) {
+        splits.push({ line, t: projection.t, position });
+      }
+    });
+  });
+
+  return splits;
+};
+
+// Añadir una arista en ambos sentidos y registrarla para el ajuste de puntos al grafo
+const addEdge = (graph, from, to, metadata) => {
+  if (from === to) return;
+
+  const distance = haversineDistance(from.position, to.position);
+  from.edges.push({ to: to.key, distance, ...metadata });
+  to.edges.push({ to: from.key, distance, ...metadata });
+  graph.lines.push({ from, to, metadata });
+};
+
+// Construir un grafo no dirigido a partir de tramos
+// Cada tramo: { coordinates: [[lng, lat], ...], attributes, name, source, sourceId }
+// Los tramos que se cruzan o se tocan se parten en el punto de unión para quedar conectados
+const buildGraph = (segments) => {
+  const nodes = new Map(); // key -> { position, edges: [] }
+  const lines = []; // tramos rectos entre dos vértices consecutivos
+
+  const allPositions = segments.flatMap(segment => segment.coordinates);
+  const refLat = allPositions.length > 0
+    ? allPositions.reduce((sum, position) => sum + position[1], 0) / allPositions.length
+    : 0;
+
+  segments.forEach(segment => {
+    const { coordinates, ...metadata } = segment;
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const a = toPlane(coordinates[i], refLat);
+      const b = toPlane(coordinates[i + 1], refLat);
+      lines.push({
+        start: coordinates[i],
+        end: coordinates[i + 1],
+        a,
+        b,
+        length: Math.hypot(b[0] - a[0], b[1] - a[1]),
+        metadata,
+        splits: []
+      });
+    }
+  });
+
+  // Rejilla espacial para comparar solo tramos cercanos
+  const grid = new Map();
+  lines.forEach((line, index) => {
+    const minX = Math.floor((Math.min(line.a[0], line.b[0]) - JUNCTION_TOLERANCE) / GRID_CELL);
+    const maxX = Math.floor((Math.max(line.a[0], line.b[0]) + JUNCTION_TOLERANCE) / GRID_CELL);
+    const minY = Math.floor((Math.min(line.a[1], line.b[1]) - JUNCTION_TOLERANCE) / GRID_CELL);
+    const maxY = Math.floor((Math.max(line.a[1], line.b[1]) + JUNCTION_TOLERANCE) / GRID_CELL);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const cell = `${x},${y}`;
+        if (!grid.has(cell)) grid.set(cell, []);
+        grid.get(cell).push(index);
+      }
+    }
+  });
+
+  const compared = new Set();
+  grid.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const pair = `${indexes[i]},${indexes[j]}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+
+        findJunctions(lines[indexes[i]], lines[indexes[j]], refLat)
+          .forEach(({ line, t, position }) => line.splits.push({ t, position }));
+      }
+    }
+  });
+
+  const getNode = (position) => {
+    const key = nodeKey(position);
+    if (!nodes.has(key)) {
+      nodes.set(key, { key, position: [position[0], position[1]], edges: [] });
+    }
+    return nodes.get(key);
+  };
+
+  const graph = { nodes, refLat, lines: [] };
+
+  lines.forEach(line => {
+    const points = [
+      line.start,
+      ...line.splits.sort((x, y) => x.t - y.t).map(split => split.position),
+      line.end
+    ];
+
+    for (let i = 0; i < points.length - 1; i++) {
+      addEdge(graph, getNode(points[i]), getNode(points[i + 1]), line.metadata);
+    }
+  });
+
+  return graph;
+};
+
+// Ajustar una posición al punto más cercano de cualquier arista del grafo
+// Si cae dentro de una arista se crea un nodo allí unido a sus dos extremos
+// Devuelve { node, distance } o null si no hay aristas a menos de maxDistance
+const snapToGraph = (graph, position, maxDistance = Infinity) => {
+  const point = toPlane(position, graph.refLat);
+  let nearest = null;
+
+  graph.lines.forEach(line => {
+    const projection = projectOntoLine(point, toPlane(line.from.position, graph.refLat), toPlane(line.to.position, graph.refLat));
+    if (!nearest || projection.distance < nearest.projection.distance) {
+      nearest = { line, projection };
+    }
+  });
+
+  if (!nearest) {
+    return null;
+  }
+
+  const { line, projection } = nearest;
+  const snapped = fromPlane(projection.point, graph.refLat);
+  const distance = haversineDistance(position, snapped);
+
+  if (distance > maxDistance) {
+    return null;
+  }
+
+  const length = haversineDistance(line.from.position, line.to.position);
+  if (!isInterior(projection.t, length)) {
+    return { node: projection.t < 0.5 ? line.from : line.to, distance };
+  }
+
+  const key = nodeKey(snapped);
+  if (!graph.nodes.has(key)) {
+    graph.nodes.set(key, { key, position: snapped, edges: [] });
+  }
+  const node = graph.nodes.get(key);
+
+  // Las siguientes posiciones se ajustan a las dos mitades, así origen y destino
+  // sobre la misma arista quedan unidos directamente
+  graph.lines.splice(graph.lines.indexOf(line), 1);
+  addEdge(graph, line.from, node, line.metadata);
+  addEdge(graph, node, line.to, line.metadata);
+
+  return { node, distance };
+};
+
+// Cola de prioridad mínima (montículo binario) para Dijkstra
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    this.items.push(item);
+    let index = this.items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.items[parent].cost <= this.items[index].cost) break;
+      [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < this.items.length && this.items[left].cost < this.items[smallest].cost) smallest = left;
+        if (right < this.items.length && this.items[right].cost < this.items[smallest].cost) smallest = right;
+        if (smallest === index) break;
+        [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Camino de menor costo entre dos nodos (Dijkstra)
+// Devuelve la lista ordenada de aristas recorridas o null si no hay camino
+const findPath = (graph, startKey, goalKey, options = {}) => {
+  const best = new Map([[startKey, 0]]);
+  const previous = new Map();
+  const heap = new MinHeap();
+  heap.push({ key: startKey, cost: 0 });
+
+  while (heap.size > 0) {
+    const { key, cost } = heap.pop();
+    if (key === goalKey) break;
+    if (cost > best.get(key)) continue;
+
+    graph.nodes.get(key).edges.forEach(edge => {
+      const edgeCost = segmentCost(edge.distance, edge.attributes, options);
+      if (!Number.isFinite(edgeCost)) return;
+
+      const nextCost = cost + edgeCost;
+      if (nextCost < (best.has(edge.to) ? best.get(edge.to) : Infinity)) {
+        best.set(edge.to, nextCost);
+        previous.set(edge.to, { from: key, edge });
+        heap.push({ key: edge.to, cost: nextCost });
+      }
+    });
+  }
+
+  if (startKey !== goalKey && !previous.has(goalKey)) {
+    return null;
+  }
+
+  const path = [];
+  let current = goalKey;
+  while (current !== startKey) {
+    const { from, edge } = previous.get(current);
+    path.unshift({
+      ...edge,
+      from: graph.nodes.get(from).position,
+      to: graph.nodes.get(current).position
+    });
+    current = from;
+  }
+
+  return path;
+};
+
+module.exports = {
+  DEFAULT_COSTS,
+  ROUGH_SURFACES,
+  nodeKey,
+  segmentCost,
+  buildGraph,
+  snapToGraph,
+  findPath
+};
@@ -0,0 +1,131 @@
+// Estimación de posición a partir del RSSI de beacons BLE
+const { projectToMeters, EARTH_RADIUS_M, toRadians, toDegrees } = require('./geo');
+
+// Modelo de pérdida de trayecto log-distancia
+const DEFAULT_MODEL = {
+  txPower: parseFloat(process.env.POSITIONING_TX_POWER) || -59, // dBm medidos a 1 metro
+  pathLossExponent: parseFloat(process.env.POSITIONING_PATH_LOSS_EXPONENT) || 2.0,
+  minAccuracy: 1 // metros
+};
+
+// Distancia estimada en metros para un RSSI: d = 10 ^ ((txPower - rssi) / (10 * n))
+const rssiToDistance = (rssi, txPower = DEFAULT_MODEL.txPower, pathLossExponent = DEFAULT_MODEL.pathLossExponent) =>
+  Math.pow(10, (txPower - rssi) / (10 * pathLossExponent));
+
+// Convertir metros locales de vuelta a [lng, lat] respecto a un origen
+const unprojectFromMeters = ([x, y], origin) => {
+  const [originLng, originLat] = origin;
+  return [
+    originLng + toDegrees(x / (EARTH_RADIUS_M * Math.cos(toRadians(originLat)))),
+    originLat + toDegrees(y / EARTH_RADIUS_M)
+  ];
+};
+
+// Centroide ponderado por el inverso del cuadrado de la distancia estimada
+const weightedCentroid = (points) => {
+  let totalWeight = 0;
+  let x = 0;
+  let y = 0;
+
+  points.forEach(point => {
+    const weight = 1 / Math.max(point.distance, 0.1) ** 2;
+    x += point.xy[0] * weight;
+    y += point.xy[1] * weight;
+    totalWeight += weight;
+  });
+
+  return [x / totalWeight, y / totalWeight];
+};
+
+// Trilateración por mínimos cuadrados (linealizada respecto al último beacon)
+// Devuelve null si la geometría de los beacons no permite resolver el sistema
+const trilaterate = (points) => {
+  if (points.length < 3) {
+    return null;
+  }
+
+  const [xn, yn] = points[points.length - 1].xy;
+  const dn = points[points.length - 1].distance;
+
+  // Ecuaciones normales (AᵀA) p = Aᵀb para un sistema de 2 incógnitas
+  let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+  points.slice(0, -1).forEach(({ xy: [xi, yi], distance: di }) => {
+    const ax = 2 * (xn - xi);
+    const ay = 2 * (yn - yi);
+    const b = di * di - dn * dn - xi * xi + xn * xn - yi * yi + yn * yn;
+    a11 += ax * ax;
+    a12 += ax * ay;
+    a22 += ay * ay;
+    b1 += ax * b;
+    b2 += ay * b;
+  });
+
+  const determinant = a11 * a22 - a12 * a12;
+  if (Math.abs(determinant) < 1e-6) {
+    return null;
+  }
+
+  return [
+    (b1 * a22 - b2 * a12) / determinant,
+    (a11 * b2 - a12 * b1) / determinant
+  ];
+};
+
+// Estimar la posición a partir de lecturas { position: [lng, lat], rssi, txPower?, floor? }
+// options: { method: 'weighted_centroid' | 'trilateration', pathLossExponent, txPower }
+const estimatePosition = (readings, options = {}) => {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return null;
+  }
+
+  const pathLossExponent = options.pathLossExponent || DEFAULT_MODEL.pathLossExponent;
+  const origin = readings[0].position;
+
+  const points = readings.map(reading => ({
+    ...reading,
+    xy: projectToMeters(reading.position, origin),
+    distance: rssiToDistance(
+      reading.rssi,
+      reading.txPower != null ? reading.txPower : (options.txPower || DEFAULT_MODEL.txPower),
+      pathLossExponent
+    )
+  }));
+
+  let method = 'weighted_centroid';
+  let xy = null;
+
+  if (options.method === 'trilateration') {
+    xy = trilaterate(points);
+    if (xy) method = 'trilateration';
+  }
+
+  if (!xy) {
+    xy = weightedCentroid(points);
+  }
+
+  // Precisión: error cuadrático medio entre distancias geométricas y estimadas por RSSI
+  const residuals = points.map(point => {
+    const geometric = Math.hypot(point.xy[0] - xy[0], point.xy[1] - xy[1]);
+    return geometric - point.distance;
+  });
+  const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+  const nearest = Math.min(...points.map(point => point.distance));
+  const accuracy = Math.max(DEFAULT_MODEL.minAccuracy, points.length === 1 ? nearest : Math.max(rms, nearest / 2));
+
+  // Planta: la del beacon con señal más fuerte
+  const strongest = points.reduce((best, point) => (point.rssi > best.rssi ? point : best));
+
+  return {
+    position: unprojectFromMeters(xy, origin),
+    accuracy: Math.round(accuracy * 10) / 10,
+    floor: strongest.floor != null ? strongest.floor : null,
+    method,
+    beaconsUsed: points.length
+  };
+};
+
+module.exports = {
+  DEFAULT_MODEL,
+  rssiToDistance,
+  estimatePosition
+};
@@ -0,0 +1,114 @@
+// Serialización de rutas a GPX 1.1 y KML 2.2 para apps de navegación de terceros
+// Los puntos llegan como { position: [lng, lat], name, description, type }
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+// Nombre de archivo seguro a partir del nombre de la ruta
+const toFileName = (name, fallback = 'route') => (name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-zA-Z0-9]+/g, '-')
+  .replace(/^-|-$/g, '')
+  .toLowerCase() || fallback;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Elemento XML opcional: se omite si no hay valor
+const element = (tag, value, indent) => (
+  value === undefined || value === null || value === ''
+    ? ''
+    : `${indent}<${tag}>${escapeXml(value)}</${tag}>\n`
+);
+
+// GPX: beacons y mensajes como <wpt>, waypoints como <rtept> dentro de <rte>
+const gpxPoint = (tag, point, indent) => {
+  const [lng, lat] = point.position;
+  return `${indent}<${tag} lat="${lat}" lon="${lng}">\n` +
+    element('name', point.name, `${indent}  `) +
+    element('desc', point.description, `${indent}  `) +
+    element('type', point.type, `${indent}  `) +
+    `${indent}</${tag}>\n`;
+};
+
+const buildGpx = ({ route, waypoints, points }) => {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="OpenBlind" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    '  <metadata>\n' +
+    element('name', route.name, '    ') +
+    element('desc', route.description, '    ') +
+    element('time', new Date().toISOString(), '    ') +
+    '  </metadata>\n';
+
+  points.forEach(point => {
+    xml += gpxPoint('wpt', point, '  ');
+  });
+
+  xml += '  <rte>\n' +
+    element('name', route.name, '    ') +
+    element('desc', route.description, '    ');
+  waypoints.forEach(point => {
+    xml += gpxPoint('rtept', point, '    ');
+  });
+  xml += '  </rte>\n</gpx>\n';
+
+  return xml;
+};
+
+// KML: carpeta de waypoints, línea del recorrido y carpeta de beacons/mensajes
+const kmlPlacemark = (point, indent) => {
+  const [lng, lat] = point.position;
+  return `${indent}<Placemark>\n` +
+    element('name', point.name, `${indent}  `) +
+    element('description', point.description, `${indent}  `) +
+    `${indent}  <Point><coordinates>${lng},${lat}</coordinates></Point>\n` +
+    `${indent}</Placemark>\n`;
+};
+
+const kmlFolder = (name, points) => {
+  if (points.length === 0) return '';
+  return '    <Folder>\n' +
+    element('name', name, '      ') +
+    points.map(point => kmlPlacemark(point, '      ')).join('') +
+    '    </Folder>\n';
+};
+
+const buildKml = ({ route, waypoints, points }) => {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    '  <Document>\n' +
+    element('name', route.name, '    ') +
+    element('description', route.description, '    ');
+
+  if (waypoints.length > 1) {
+    xml += '    <Placemark>\n' +
+      element('name', route.name, '      ') +
+      '      <LineString>\n' +
+      '        <tessellate>1</tessellate>\n' +
+      `        <coordinates>${waypoints.map(point => point.position.join(',')).join(' ')}</coordinates>\n` +
+      '      </LineString>\n' +
+      '    </Placemark>\n';
+  }
+
+  xml += kmlFolder('Waypoints', waypoints);
+  xml += kmlFolder('Beacons', points.filter(point => point.type === 'beacon'));
+  xml += kmlFolder('Messages', points.filter(point => point.type === 'message'));
+  xml += '  </Document>\n</kml>\n';
+
+  return xml;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toFileName,
+  escapeXml,
+  buildGpx,
+  buildKml
+};
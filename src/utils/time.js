@@ -0,0 +1,58 @@
+// Utilidades de fecha y hora en una zona horaria concreta
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Guayaquil';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Componentes de una fecha en la zona horaria indicada
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  const weekdayIndex = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+
+  return {
+    year: parseInt(get('year'), 10),
+    month: parseInt(get('month'), 10),
+    day: parseInt(get('day'), 10),
+    weekday: WEEKDAYS[weekdayIndex],
+    weekdayIndex,
+    hour: parseInt(get('hour'), 10),
+    minute: parseInt(get('minute'), 10),
+    second: parseInt(get('second'), 10)
+  };
+};
+
+// Segundos transcurridos desde la medianoche local
+const secondsSinceMidnight = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { hour, minute, second } = getZonedParts(date, timeZone);
+  return hour * 3600 + minute * 60 + second;
+};
+
+// Validar un identificador de zona horaria IANA
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  getZonedParts,
+  secondsSinceMidnight,
+  isValidTimeZone
+};
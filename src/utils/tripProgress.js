@@ -0,0 +1,64 @@
+// Seguimiento del avance de un usuario sobre los waypoints de una ruta
+const { nearestPointOnSegment, haversineDistance } = require('./geo');
+
+const OFF_ROUTE_DISTANCE = parseInt(process.env.TRIP_OFF_ROUTE_DISTANCE) || 40; // metros
+const ARRIVAL_RADIUS = parseInt(process.env.TRIP_ARRIVAL_RADIUS) || 15; // metros
+
+// Distancia acumulada desde el inicio hasta cada waypoint
+const cumulativeDistances = (waypoints) => {
+  const distances = [0];
+  for (let i = 1; i < waypoints.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(waypoints[i - 1].position, waypoints[i].position));
+  }
+  return distances;
+};
+
+// Tramo más cercano a una posición entre los índices indicados
+const nearestSegment = (position, waypoints, from, to) => {
+  let best = null;
+  for (let i = from; i < to; i++) {
+    const candidate = nearestPointOnSegment(position, waypoints[i].position, waypoints[i + 1].position);
+    if (!best || candidate.distance < best.distance) {
+      best = { ...candidate, segment: i };
+    }
+  }
+  return best;
+};
+
+// Ubicar una posición sobre la ruta
+// Se busca primero desde el tramo anterior para no retroceder en rutas que se cruzan;
+// si la posición queda lejos se busca en toda la ruta
+const locateOnRoute = (position, waypoints, previousSegment = 0) => {
+  const segments = waypoints.length - 1;
+  const distances = cumulativeDistances(waypoints);
+  const totalDistance = distances[distances.length - 1];
+
+  let match = nearestSegment(position, waypoints, Math.max(0, previousSegment - 1), segments);
+  if (!match || match.distance > OFF_ROUTE_DISTANCE) {
+    const global = nearestSegment(position, waypoints, 0, segments);
+    if (!match || global.distance < match.distance) match = global;
+  }
+
+  const segmentLength = distances[match.segment + 1] - distances[match.segment];
+  const distanceAlong = distances[match.segment] + segmentLength * match.fraction;
+  const distanceRemaining = Math.max(0, totalDistance - distanceAlong);
+
+  return {
+    segment: match.segment,
+    distanceFromRoute: match.distance,
+    distanceAlong,
+    distanceRemaining,
+    distanceToNextWaypoint: distances[match.segment + 1] - distanceAlong,
+    totalDistance,
+    progress: totalDistance > 0 ? Math.min(100, (distanceAlong / totalDistance) * 100) : 100,
+    offRoute: match.distance > OFF_ROUTE_DISTANCE,
+    arrived: haversineDistance(position, waypoints[waypoints.length - 1].position) <= ARRIVAL_RADIUS
+  };
+};
+
+module.exports = {
+  OFF_ROUTE_DISTANCE,
+  ARRIVAL_RADIUS,
+  cumulativeDistances,
+  locateOnRoute
+};
@@ -0,0 +1,68 @@
+// Resolución de URLs de archivos subidos a rutas locales dentro de uploads/
+const path = require('path');
+
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || 'uploads');
+const UPLOADS_PREFIX = '/uploads/';
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Origen de este servidor: único origen aceptado en URLs absolutas de archivos subidos
+const publicOrigin = () => {
+  try {
+    return new URL(PUBLIC_URL).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Convertir una URL de /uploads/... a la ruta del archivo
+// Se aceptan rutas relativas ("/uploads/...") o URLs absolutas del propio servidor (PUBLIC_URL);
+// devuelve null para otros orígenes, si no apunta a uploads/ o si intenta salir del directorio
+const resolveUploadPath = (url) => {
+  if (typeof url !== 'string' || url.length === 0) {
+    return null;
+  }
+
+  let pathname;
+  try {
+    if (url.startsWith('/')) {
+      // "//host/..." o "/\\host/..." se interpretan como otro origen
+      if (url.startsWith('//') || url.includes('\\')) {
+        return null;
+      }
+      pathname = new URL(url, 'http://localhost').pathname;
+    } else {
+      const parsed = new URL(url);
+      if (parsed.origin !== publicOrigin()) {
+        return null;
+      }
+      pathname = parsed.pathname;
+    }
+    pathname = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  if (!pathname.startsWith(UPLOADS_PREFIX)) {
+    return null;
+  }
+
+  const resolved = path.resolve(UPLOADS_DIR, pathname.slice(UPLOADS_PREFIX.length));
+  return resolved.startsWith(UPLOADS_DIR + path.sep) ? resolved : null;
+};
+
+// Ruta relativa "uploads/..." usada dentro de paquetes y manifiestos
+const toUploadEntryName = (filePath) =>
+  path.posix.join('uploads', path.relative(UPLOADS_DIR, filePath).split(path.sep).join('/'));
+
+// URL canónica "/uploads/..." de un archivo subido (o null si no apunta a uploads/)
+const toUploadUrl = (url) => {
+  const filePath = resolveUploadPath(url);
+  return filePath ? `/${toUploadEntryName(filePath)}` : null;
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  resolveUploadPath,
+  toUploadEntryName,
+  toUploadUrl
+};
@@ -0,0 +1,88 @@
+const Joi = require('joi');
+const { CONTACT_PERMISSIONS } = require('../config/postgresql');
+
+const telefono = Joi.string()
+  .pattern(/^[0-9+\-\s()]+$/)
+  .min(7)
+  .max(20)
+  .messages({
+    'string.pattern.base': 'Phone number contains invalid characters',
+    'string.min': 'Phone number must be at least 7 characters long',
+    'string.max': 'Phone number must not exceed 20 characters'
+  });
+
+const permissions = Joi.array()
+  .items(Joi.string().valid(...CONTACT_PERMISSIONS))
+  .unique()
+  .messages({
+    'any.only': `Permissions must be any of: ${CONTACT_PERMISSIONS.join(', ')}`,
+    'array.unique': 'Permissions must not be repeated'
+  });
+
+// Validador para invitar a un contacto de confianza
+const validateContactInvite = (data) => {
+  const schema = Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .required()
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required'
+      }),
+
+    name: Joi.string()
+      .min(2)
+      .max(150)
+      .required()
+      .messages({
+        'string.min': 'Name must be at least 2 characters long',
+        'string.max': 'Name must not exceed 150 characters',
+        'any.required': 'Name is required'
+      }),
+
+    telefono: telefono.optional(),
+
+    relationship: Joi.string()
+      .max(50)
+      .optional(),
+
+    permissions: permissions.default(['receive_sos']),
+
+    language: Joi.string()
+      .max(10)
+      .optional()
+  });
+
+  return schema.validate(data);
+};
+
+// Validador para actualizar un contacto de confianza
+const validateContactUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(150)
+      .messages({
+        'string.min': 'Name must be at least 2 characters long',
+        'string.max': 'Name must not exceed 150 characters'
+      }),
+
+    telefono: telefono.allow(null),
+
+    relationship: Joi.string()
+      .max(50)
+      .allow(null),
+
+    permissions
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  validateContactInvite,
+  validateContactUpdate
+};